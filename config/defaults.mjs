@@ -1,52 +1,158 @@
-import {normalizePath} from "../src/utils/helpers.mjs";
+import {normalizePath, SIDECAR_EXTENSIONS} from "../src/utils/helpers.mjs";
+import {CONFLICT_STRATEGIES} from "../src/utils/conflicts.mjs";
+import {DUPLICATE_VERIFICATIONS, isSupportedHashAlgorithm} from "../src/utils/fileHash.mjs";
+import {LINK_TYPES} from "../src/utils/links.mjs";
+import {isValidOriginalRule, ORIGINAL_RULES} from "../src/utils/originalRules.mjs";
+import {parseTemplateRules} from "../src/utils/template.mjs";
+import {isValidTimezone} from "../src/utils/timezone.mjs";
+import {compileDatePattern, DATE_SOURCES} from "../src/utils/datePatterns.mjs";
+import {parseOrphanRules} from "../src/modules/orphanDetector.mjs";
+
+// Names of the actions that can be configured in `actions`
+export const ACTIONS = ["pre-cleanup", "reorganize", "duplicates", "similar-images", "orphans", "permissions", "ownership", "fix-timestamps", "post-cleanup"];
+
+// Checks that can be configured in `orphanChecks`
+export const ORPHAN_CHECKS = ["sidecars", "lonely-files"];
+
+// Names of the operations that can be executed, as used by autoApprove and autoDeny
+export const OPERATIONS = ["preCleanup", "duplicate", "similar", "orphan", "reorganize", "permissions", "ownership", "timestamps", "postCleanup", "undo", "restore", "purge"];
 
 export default {
   owner_user: {
     type:    "string",
-    required: 'permissions'
+    required: 'ownership',
+    description: "User that should own all files and directories (for the 'ownership' action).",
   },
   owner_group: {
     type:    "string",
-    required: 'permissions'
+    required: 'ownership',
+    description: "Group that should own all files and directories (for the 'ownership' action).",
   },
   filePerm: {
     default: '664', //664 allows owner & group to read and modify, but unauthorized users only read.
     type:    "string",
+    description: "Permissions every file should have (for the 'permissions' action).",
   },
   dirPerm: {
     default: '775', //775 allows owner & group to read, modify, traverse, but unauthorized users only read.
     type:    "string",
+    description: "Permissions every directory should have (for the 'permissions' action).",
   },
   scanPath:             {
     default: "/path/to/scan",
     type:    "string",
     validate: normalizePath,
     required: true,
+    description: "The path to scan and maintain.",
   },
   relativePath:         {
     default: "",
     type:    "string",
     validate: normalizePath,
+    description: "Root for the reorganizeTemplate. Defaults to scanPath.",
   },
   recycleBinPath:       {
     default: "/path/to/recycle-bin",
     type:    "string",
     validate: normalizePath,
     required: true,
+    description: "Where 'deleted' items are moved to, retaining their directory structure. Nothing is ever actually deleted.",
+  },
+  recycleRetentionDays: {
+    default:  30,
+    type:     "number",
+    validate: (value) => value >= 0,
+    description: "Number of days items are kept in the recycle bin, before 'bin purge' permanently deletes them.",
+  },
+  journalPath:          {
+    default: "",
+    type:    "string",
+    description: "Where every executed change is recorded, so runs can be undone. Defaults to a file inside recycleBinPath.",
+  },
+  scanIndex:            {
+    default: true,
+    type:    "boolean",
+    description: "Whether to keep an index of the scanned items (and their hashes and dates), so later scans only read directories that changed.",
+  },
+  indexPath:            {
+    default: "",
+    type:    "string",
+    description: "Where the scan index is kept. Defaults to a file (per scanPath) inside recycleBinPath.",
   },
   reorganizeTemplate:   {
     default:  "/{year}/{month}/{filename}.{extension}",
+    type:     "string|array",
+    items:    "object",
+    validate: (value) => !!parseTemplateRules(value),
+    description: "Target structure for the 'reorganize' action, relative to relativePath. Supports tokens such as {year}, {month:MMM}, {hour}, {cameraModel}, {mediaType} and {counter:3} (see the README). Can also be an ordered list of rules, e.g. [{match: {mediaType: 'video'}, template: '/video/{year}/{month}/'}, {template: '/{year}/'}]; files that match no rule are left where they are.",
+  },
+  timezone:             {
+    default:  "",
+    type:     "string",
+    validate: (value) => value === "" || isValidTimezone(value),
+    description: "Timezone (e.g. 'Europe/Amsterdam') files are reorganized into years, months and days in, and that dates without an offset from UTC (e.g. EXIF dates without OffsetTimeOriginal) are taken to be in. Defaults to the system's timezone.",
+  },
+  onConflict:           {
+    default:  "rename",
     type:     "string",
-    validate: (value) => /(?:\{(year|month|day|filename|extension)}?)+/.test(value),
+    validate: (value) => CONFLICT_STRATEGIES.includes(value),
+    description: `What to do when a file would be moved onto an existing file (or onto another file's target): ${CONFLICT_STRATEGIES.join(', ')}.`,
   },
   hashByteLimit:        {
     default: 131072,
     type:    "number",
+    validate: (value) => value > 0,
+    description: "Number of bytes hashed per chunk when checking for duplicates (from the start of each file, and for samples also from its middle and end).",
+  },
+  duplicateVerification: {
+    default:  "full",
+    type:     "string",
+    validate: (value) => DUPLICATE_VERIFICATIONS.includes(value),
+    description: "How files with the same size are verified to be duplicates, after comparing their first bytes: 'sample' (also compare chunks from their middle and end) or 'full' (also compare their complete contents).",
+  },
+  duplicateAction:      {
+    default:  "recycle",
+    type:     "string",
+    validate: (value) => ["recycle", ...LINK_TYPES].includes(value),
+    description: "What to do with duplicate files: 'recycle' (move them to the recycle bin), or keep their path but reclaim their space by replacing them with a 'hardlink', 'reflink' (copy-on-write clone, e.g. on Btrfs or XFS) or 'symlink' to the original.",
+  },
+  referencePaths:       {
+    default:  [],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.every(normalizePath),
+    description: "Read-only paths (e.g. an archive, or another configuration's scanPath) that the 'duplicates' action also compares against. Files in scanPath that already exist in a reference path are duplicates; files in reference paths are never touched.",
+  },
+  originalPreference:   {
+    default:  ["oldest", "shortest-name"],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.every(isValidOriginalRule),
+    description: `Rules to choose which of a group of duplicates is kept as the original, applied in order until one file remains: ${ORIGINAL_RULES.join(', ')}.`,
+  },
+  similarityThreshold:  {
+    default:  10,
+    type:     "number",
+    validate: (value) => Number.isInteger(value) && value >= 0 && value <= 64,
+    description: "For the 'similar-images' action: the maximum number of bits (out of 64) in which the perceptual hashes of two images may differ for them to be considered similar. 0 only matches images that look identical; above about 12, different photos start to match.",
+  },
+  similarAction:        {
+    default:  "report",
+    type:     "string",
+    validate: (value) => ["report", "recycle"].includes(value),
+    description: "What the 'similar-images' action does with images similar to another image: 'report' (only list them), or 'recycle' (move them to the recycle bin). As perceptual hashes can also match different photos (e.g. shots taken in a burst), check the report before choosing 'recycle'.",
+  },
+  hashAlgorithm:        {
+    default:  "sha256",
+    type:     "string",
+    validate: isSupportedHashAlgorithm,
+    description: "Hash algorithm used to compare files: xxhash64 (fastest), xxhash32, or any algorithm supported by Node's crypto module (e.g. sha256, sha1, md5).",
   },
   debugLevel:           {
     default:  "info",
     type:     "string",
     validate: (value) => ["log", "info", "warn", "error"].includes(value),
+    description: "One of log, info, warn or error.",
   },
   actions:              {
     default: [
@@ -58,21 +164,92 @@ export default {
       "ownership",
       "post-cleanup"
     ],
-    type:    "object",
+    type:    "array",
+    items:   "string",
+    validate: (value) => {
+      const unknownActions = value.filter(action => !ACTIONS.includes(action));
+      if (unknownActions.length) throw new Error(`Unknown action(s): ${unknownActions.join(', ')}.`);
+      return true;
+    },
     required: true,
+    description: `The actions to perform: ${ACTIONS.join(', ')}.`,
+  },
+  autoApprove: {
+    default:  [],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.every(operation => OPERATIONS.includes(operation)),
+    description: `Operations to execute without asking for confirmation, e.g. for unattended runs: ${OPERATIONS.join(', ')}.`,
+  },
+  autoDeny: {
+    default:  [],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.every(operation => OPERATIONS.includes(operation)),
+    description: "Operations to always skip without asking. Takes precedence over autoApprove.",
+  },
+  orphanChecks: {
+    default:  ["sidecars"],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.every(check => ORPHAN_CHECKS.includes(check)),
+    description: `How the 'orphans' action finds orphaned files: ${ORPHAN_CHECKS.join(', ')} ('sidecars' finds sidecar files, by orphanFileExtensions, without the file they belong to; 'lonely-files' finds files that are the only file in their directory).`,
   },
   orphanFileExtensions: {
-    default: ["aae", "xml", "ini"],
-    type:    "object",
+    default: SIDECAR_EXTENSIONS,
+    type:    "array",
+    items:   "string",
+    description: "Extensions of sidecar files (e.g. edits, metadata, subtitles or previews), which are moved along with the photo or video with the same name when reorganizing, and are considered orphans when that file is gone.",
+  },
+  orphanRules: {
+    default:  [],
+    type:     "array",
+    items:    "object",
+    validate: (value) => !!parseOrphanRules(value),
+    description: "Rules for other orphaned files or directories, checked before orphanChecks, each with a 'reason' and the conditions to 'match' (see the README), e.g. {match: {extensions: ['part', 'crdownload'], olderThan: 7}, reason: 'unfinished download'}.",
   },
   handleSidecarFiles: {
     default: true,
-    type: "boolean"
+    type: "boolean",
+    description: "Whether sidecar files (by orphanFileExtensions, e.g. .aae, .xmp) are handled together with the file they belong to.",
   },
 
   dateThreshold: {
     default: "",
     type:    "string",
+    description: "Dates before this date are considered invalid when reorganizing.",
+  },
+  dateSources: {
+    default:  [...DATE_SOURCES],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.length > 0 && value.every(source => DATE_SOURCES.includes(source)),
+    description: `Where the date of a file is read from when reorganizing, in order of priority: ${DATE_SOURCES.join(', ')} ('media' being the metadata of audio and video files, 'path' the names of its directories, and 'mtime' its modification time).`,
+  },
+  stopAtFirstDateSource: {
+    default: true,
+    type:    "boolean",
+    description: "Whether to use the date of the first source in dateSources that has a valid date, or the oldest date of all sources.",
+  },
+  filenameDatePatterns: {
+    default:  [],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.every(compileDatePattern),
+    description: "Regular expressions for dates in file and directory names, tried before the default patterns, with named groups for the year, month and day (and optionally the hour, minute and second), e.g. 'PXL_(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})_(?<hour>\\d{2})(?<minute>\\d{2})(?<second>\\d{2})', or for an epoch timestamp in seconds ('(?<epoch>\\d{10})').",
+  },
+  timestampDateSources: {
+    default:  ["exif", "media"],
+    type:     "array",
+    items:    "string",
+    validate: (value) => value.length > 0 && value.every(source => DATE_SOURCES.includes(source) && source !== 'mtime'),
+    description: "For the 'fix-timestamps' action: the trusted sources of dates that the modification time of files is set to, in order of priority (see dateSources).",
+  },
+  timestampTolerance: {
+    default:  60,
+    type:     "number",
+    validate: (value) => value >= 0,
+    description: "For the 'fix-timestamps' action: the number of seconds the modification time of a file may differ from its date before it is changed.",
   },
 
   // Directories to ignore
@@ -82,12 +259,15 @@ export default {
       "@*"       // Example: Wildcard match (e.g., "@eaDir", "@something")
       //...Array.from({ length: 2024 - 2000 + 1 }, (_, i) => (2000 + i).toString()) //example that ignores all directories named /2000 up to /2024.
     ],
-    type:    "object",
+    type:    "array",
+    items:   "string",
+    description: "Names of directories to skip entirely. Wildcards (*) are allowed.",
   },
   emptyThreshold: {
     default: 0,
     type:    "number",
     validate: (value) => value >= 0,
+    description: "Directories with a total size (in bytes) up to this threshold are considered empty.",
   },
 
   // Files to ignore
@@ -96,7 +276,9 @@ export default {
       //"Thumbs.db", // Example: Exact match
       "*.ini"      // Example: Wildcard match (e.g., "config.ini", "setup.ini")
     ],
-    type:    "object",
+    type:    "array",
+    items:   "string",
+    description: "Names of files to ignore. Wildcards (*) are allowed.",
   },
 
   // Files to always remove. Note: this will bypass anything defined in ignoreFiles!
@@ -106,7 +288,8 @@ export default {
       "Thumbs.db",
       //"*.ini"      // Example: Wildcard match (e.g., "config.ini", "setup.ini")
     ],
-    type:    "object",
+    type:    "array",
+    items:   "string",
+    description: "Names of files to always remove (bypasses ignoreFiles). Wildcards (*) are allowed.",
   }
 };
-
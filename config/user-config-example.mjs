@@ -7,7 +7,7 @@ export default [
       "duplicates",
       "orphans",
       "permissions",
-      "cleanup",
+      "pre-cleanup",
       "post-cleanup"
     ]
   }
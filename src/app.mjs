@@ -1,193 +1,431 @@
 #!/usr/bin/env node
+import chalk from 'chalk';
 import logger from './utils/logger.mjs';
-import configLoader from './modules/configLoader.mjs';
-import scanDirectory from './modules/scanner.mjs';
-import getDuplicateItems from './modules/duplicateChecker.mjs';
-import getOrphanItems from './modules/orphanDetector.mjs';
-import getPermissionFiles from './modules/permissionChecker.mjs';
-import getReorganizeItems from "./modules/reorganizer.mjs";
-import getCleanUpItems from "./modules/getCleanUpItems.mjs";
-import getOwnershipFiles from "./modules/ownershipChecker.mjs";
-import {doHeader, formatBytes} from "./utils/helpers.mjs";
+import loadConfigs, {checkConfigs, DEFAULT_CONFIG_PATH, formatConfigProblem} from './modules/configLoader.mjs';
+import scanDirectory, {simulateOperations} from './modules/scanner.mjs';
+import {getOperations, getPlannedOperations, getPostCleanupItems, toPlanRows} from "./modules/planner.mjs";
+import {readPlanFile, writePlanFile} from "./utils/planFile.mjs";
+import {doHeader, formatBytes, isInsidePath, normalizePath} from "./utils/helpers.mjs";
 import executeOperations from './utils/executor.mjs';
+import {listFlag, parseArguments} from "./utils/arguments.mjs";
+import {getHelpText} from "./utils/help.mjs";
+import defaultConfig, {ACTIONS, OPERATIONS} from "../config/defaults.mjs";
+import {createRunId, getJournalPath, getJournalRuns, readJournal} from "./utils/journal.mjs";
+import getUndoItems from "./modules/undo.mjs";
+import {getBinEntries, getPurgeItems, getRestoreItems} from "./modules/recycleBin.mjs";
 
-(async () => {
-  logger.start('Loading configuration...');
-  try {
-    // Step 1: Load Configuration
-    const configs = configLoader;
-    if (!configs || !Array.isArray(configs) || configs.every(config => !config)) {
-      logger.fail('Configuration invalid, cannot continue.');
-      process.exit(1);
+// Available commands: the first positional argument (defaults to 'run'). Commands with ownConfig get the configuration
+// file path instead of the loaded configurations.
+const COMMANDS = {
+  run:    {usage: 'run', description: 'Scan, and execute all configured actions (default).', handler: runActions},
+  scan:   {usage: 'scan', description: 'Only scan the configured paths, and show what was found.', handler: showScan},
+  report: {usage: 'report', description: 'Show a summary of the operations the configured actions would execute.', handler: showReport},
+  plan:   {usage: 'plan <file>', description: 'Write the planned operations to a .csv or .json file, to review or edit them.', handler: writePlan},
+  apply:  {usage: 'apply <file>', description: 'Execute the operations in a plan file, skipping items that changed since planning.', handler: applyPlan},
+  bin:    {usage: 'bin [list|restore <run-id|path>|purge]', description: 'List, restore or purge the items in the recycle bin.', handler: manageRecycleBin},
+  undo:   {usage: 'undo [run-id]', description: 'List the recorded runs, or revert all changes made during a run.', handler: undoRun},
+  config: {usage: 'config check', description: 'Validate the configuration file, and report every problem in it.', handler: checkConfiguration, ownConfig: true},
+  help:   {usage: 'help', description: 'Show this help.'},
+};
+
+// Available flags
+const FLAGS = {
+  config:         {value: '<path>', alias: 'c', description: `Configuration file to use (default: ${DEFAULT_CONFIG_PATH}).`},
+  only:           {value: '<actions>', description: `Perform only these (comma-separated) actions, instead of the configured ones: ${ACTIONS.join(', ')}.`},
+  path:           {value: '<scanPath>', description: 'Scan this path instead of the configured scanPath, using the configuration for the path it is in (or the first).'},
+  'dry-run':      {description: 'Only list what would be done, without asking anything or changing anything.'},
+  yes:            {alias: 'y', description: 'Execute all operations without asking (except those in autoDeny).'},
+  'auto-approve': {value: '<operations>', description: `Execute these (comma-separated) operations without asking: ${OPERATIONS.join(', ')}.`},
+  'auto-deny':    {value: '<operations>', description: 'Skip these (comma-separated) operations without asking.'},
+  rescan:         {description: 'Read every directory again, instead of only those that changed since the last scan (rebuilds the scan index).'},
+  verbose:        {alias: 'v', description: 'Show the loaded configuration, and every operation that is executed without asking.'},
+  help:           {alias: 'h', description: 'Show this help.'},
+};
+
+const args = parseArguments(
+  process.argv.slice(2),
+  Object.keys(FLAGS).filter(flag => FLAGS[flag].value),
+  Object.fromEntries(Object.entries(FLAGS).filter(([, flag]) => flag.alias).map(([name, flag]) => [flag.alias, name]))
+);
+const [command = 'run', ...commandArgs] = args.positionals;
+const dryRun = !!args.flags['dry-run'];
+const scanOptions = {rescan: !!args.flags.rescan, dryRun};
+const policy = {
+  autoApprove: listFlag(args.flags['auto-approve']),
+  autoDeny:    listFlag(args.flags['auto-deny']),
+};
+const runId = createRunId();
+
+/**
+ * Validates the configuration file, and lists every problem in it (with its entry index and key).
+ * @param {string} configPath - Path to the configuration file.
+ * @param {string} [subcommand='check'] - Only 'check' is supported.
+ * @returns {Promise<void>}
+ */
+async function checkConfiguration(configPath, subcommand = 'check') {
+  if (subcommand !== 'check') {
+    throw new Error(`Unknown config command "${subcommand}". Use: config check.`);
+  }
+  doHeader(`Checking ${configPath}`);
+  const {configs, problems} = await checkConfigs(configPath);
+  problems.forEach(problem => {
+    const label = problem.severity === 'error' ? chalk.red('error  ') : chalk.yellow('warning');
+    console.log(`${label} ${formatConfigProblem(problem)}`);
+  });
+
+  const errorCount = problems.filter(problem => problem.severity === 'error').length;
+  const entryCount = configs ? configs.length : 0;
+  const summary = `${entryCount} ${entryCount === 1 ? 'entry' : 'entries'}, ${errorCount} error(s), ${problems.length - errorCount} warning(s).`;
+  if (errorCount) {
+    logger.fail(summary);
+    process.exitCode = 1;
+  } else {
+    logger.succeed(summary);
+  }
+}
+
+/**
+ * Returns the options to pass to executeOperations for a configuration.
+ * @param {object} config - The configuration.
+ * @returns {object} - The execution options.
+ */
+function getExecuteOptions(config) {
+  return {
+    dryRun,
+    yes:         !!args.flags.yes,
+    autoApprove: [...config.autoApprove, ...policy.autoApprove],
+    autoDeny:    [...config.autoDeny, ...policy.autoDeny],
+    journalPath:    getJournalPath(config),
+    runId,
+    recycleBinPath: config.recycleBinPath,
+    onConflict:     config.onConflict,
+    referencePaths: config.referencePaths,
+  };
+}
+
+/**
+ * Reverts the changes recorded in the journal(s) for a previous run, or lists the recorded runs if no run id is given.
+ * @param {object[]} configs - The loaded configurations.
+ * @param {string} [undoRunId] - The id of the run to revert.
+ * @returns {Promise<void>}
+ */
+async function undoRun(configs, undoRunId) {
+  let found = false;
+
+  for (const config of configs) {
+    const journalPath = getJournalPath(config);
+    const entries = await readJournal(journalPath);
+
+    if (!undoRunId) {
+      doHeader(`Runs recorded in ${journalPath}`);
+      getJournalRuns(entries).forEach(run => {
+        const counts = Object.entries(run.operations).map(([operation, count]) => `${operation}: ${count}`).join(', ');
+        console.log(`${run.runId} (${run.started} - ${run.ended}) ${counts}`);
+      });
+      continue;
     }
-    logger.succeed('Configuration loaded.');
-    console.log(configs);
-
-    for (const config of configs) {
-      if (!config) continue;
-      doHeader(`Starting scan in path: ${config.scanPath}`);
-      let scan = await scanDirectory(config.scanPath, config);
-
-      // Perform Checks based on `actions`
-      const operations = {
-        preCleanup:  [],
-        duplicate:   [],
-        orphan:      [],
-        permissions: [],
-        ownership:   [],
-        reorganize:  [],
-        postCleanup: []
-      };
-      const destructivePaths = new Set(); // Tracks paths marked for destructive actions
-
-      //Destructive operations (items can either be in of these actions or in non-destructive operations, but not both)
-      //Todo: change the logic. If an item is not processed (e.g. it is considered for pre-cleanup, but pre-cleanup is not run by the user, it is still in destructivePaths, so not processed by other operations. This doesn't make sense.
-
-      if (config.actions.includes('pre-cleanup')) {
-        logger.start('Checking for items to pre-clean...');
-        const preCleanTheseItems = await getCleanUpItems(scan, config.scanPath, config.recycleBinPath, config.emptyThreshold);
-        logger.succeed(`Found ${preCleanTheseItems.directories.length} directories and ${preCleanTheseItems.files.length} files that should be cleaned up first, totaling ${formatBytes(preCleanTheseItems.size)}.`);
-
-        [
-          ...Object.values(preCleanTheseItems.files),
-          ...Object.values(preCleanTheseItems.directories)
-        ].forEach(item => {
-          destructivePaths.add(item.path); // Add to destructive paths
-          operations.preCleanup.push({
-            ...item,
-            move_to: item.move_to,
-            reason:  item.reason
-          });
-        });
-      }
 
-      if (config.actions.includes('duplicates')) {
-        logger.start('Checking for duplicate files...');
-        const duplicates = await getDuplicateItems(scan, config.recycleBinPath);
-        logger.succeed(`Found ${duplicates.directories.length} directory duplicates and ${duplicates.files.length} file duplicates by hash, totaling ${formatBytes(duplicates.size)}.`);
-
-        Object.values(duplicates).flat().forEach(dupe => {
-          if (dupe.path && dupe.move_to) {
-            destructivePaths.add(dupe.path); // Add the file to destructive paths
-            operations.duplicate.push(dupe);
-          }
-        });
-      }
+    const items = getUndoItems(entries, undoRunId);
+    if (!items.length) continue;
+    found = true;
+    doHeader(`Undoing run ${undoRunId} in ${config.scanPath}`);
+    await executeOperations({undo: items}, getExecuteOptions(config));
+  }
 
-      if (config.actions.includes('orphans')) {
-        logger.start('Checking for orphan files...');
-        const orphans = await getOrphanItems(scan, config.orphanFileExtensions, config.recycleBinPath);
-        logger.succeed(`Found ${orphans.files.length} orphaned files.`);
-
-        orphans.files.forEach(item => {
-          destructivePaths.add(item.path); // Add to destructive paths
-          operations.orphan.push({
-            ...item,
-            move_to: item.move_to
-          });
-        });
-      }
+  if (undoRunId && !found) {
+    logger.fail(`No changes recorded for run "${undoRunId}".`);
+    process.exitCode = 1;
+  }
+}
 
-      //Non-Destructive operations (items can be in multiple of these actions)
-
-      if (config.actions.includes('reorganize')) {
-        logger.start('Checking if reorganizing is possible...');
-        const reorganizeTheseFiles = await getReorganizeItems(scan, config.reorganizeTemplate, config.dateThreshold, (config.relativePath || config.scanPath));
-        logger.succeed(`Found ${reorganizeTheseFiles.files.length} items that can be reorganized.`);
-        reorganizeTheseFiles.files.forEach(item => {
-          if (!destructivePaths.has(item.path)) { // Skip if path is in destructivePaths
-            operations.reorganize.push({
-              ...item,
-              move_to:    item.move_to,
-              date_found: item.date,
-            });
-          }
-        });
-      }
+/**
+ * Manages the recycle bin(s) of the configurations: lists their contents, restores items, or purges expired items.
+ * @param {object[]} configs - The loaded configurations.
+ * @param {string} [subcommand='list'] - One of 'list', 'restore' or 'purge'.
+ * @param {string} [selector] - For 'restore': the run id or path to restore.
+ * @returns {Promise<void>}
+ */
+async function manageRecycleBin(configs, subcommand = 'list', selector) {
+  if (!['list', 'restore', 'purge'].includes(subcommand)) {
+    logger.fail(`Unknown bin command "${subcommand}". Use "list", "restore <run-id|path>" or "purge".`);
+    process.exitCode = 1;
+    return;
+  }
+  if (subcommand === 'restore' && !selector) {
+    logger.fail('Specify what to restore: a run id, or a (original or recycle bin) path.');
+    process.exitCode = 1;
+    return;
+  }
 
-      if (config.actions.includes('permissions')) {
-        if (config.filePerm && config.dirPerm) {
-          logger.start('Checking permissions...');
-          const wrongPermissions = await getPermissionFiles(scan, config.filePerm, config.dirPerm);
-          logger.succeed(`Found ${wrongPermissions.length} items with wrong permissions.`);
-          wrongPermissions.forEach(item => {
-            if (!destructivePaths.has(item.path)) { // Skip if path is in destructivePaths
-              operations.permissions.push({
-                ...item,
-                mode:         item.currentMode,
-                change_mode:  item.desiredMode,
-                fsChmodValue: item.fsChmodValue
-              });
-            }
-          });
-        } else {
-          logger.warn('Skipping permission checks due to missing config values (filePerm & dirPerm).')
-        }
-      }
+  for (const config of configs) {
+    doHeader(`Recycle bin: ${config.recycleBinPath}`);
+    logger.start('Reading recycle bin...');
+    const entries = await getBinEntries(config.recycleBinPath);
+    logger.succeed(`Found ${entries.length} items in the recycle bin, totaling ${formatBytes(entries.reduce((sum, entry) => sum + entry.size, 0))}.`);
 
-      if (config.actions.includes('ownership')) {
-        if (config.owner_user && config.owner_group) {
-          logger.start('Checking ownership...');
-          const wrongOwnership = await getOwnershipFiles(scan, config.owner_user, config.owner_group);
-          logger.succeed(`Found ${wrongOwnership.length} items with wrong ownership.`);
-          wrongOwnership.forEach(item => {
-            if (!destructivePaths.has(item.path)) { // Skip if path is in destructivePaths
-              operations.ownership.push({
-                ...item,
-                owner:        item.currentUser,
-                group:        item.currentGroup,
-                new_owner:    item.expectedUser,
-                new_group:    item.expectedGroup,
-                new_owner_id: item.expectedUid,
-                new_group_id: item.expectedGid,
-              });
-            }
-          });
-        } else {
-          logger.warn('Skipping ownership checks due to missing config values (owner_user & owner_group).')
-        }
-      }
+    if (subcommand === 'list') {
+      entries.forEach(entry => {
+        console.log(`${entry.deletionDate?.toISOString() ?? 'unknown date'} ${entry.isDirectory ? 'Directory' : 'File'} "${entry.originalPath}" (${formatBytes(entry.size)})`);
+        console.log(`  ${entry.operation ?? 'unknown operation'}: ${entry.reason ?? 'no reason recorded'}, run ${entry.runId ?? 'unknown'}, now at "${entry.path}"`);
+      });
+    } else if (subcommand === 'restore') {
+      const items = await getRestoreItems(entries, selector);
+      logger.succeed(`${items.length} items can be restored.`);
+      if (items.length) await executeOperations({restore: items}, getExecuteOptions(config));
+    } else {
+      const items = getPurgeItems(entries, config.recycleRetentionDays);
+      logger.succeed(`${items.length} items are older than ${config.recycleRetentionDays} days.`);
+      if (items.length) await executeOperations({purge: items}, getExecuteOptions(config));
+    }
+  }
+}
 
-      if (Object.values(operations).flat().length) {
-        // Confirm and Execute
-        await executeOperations(operations);
-      }
+/**
+ * Cleans up whatever the executed operations left behind (e.g. directories that are now empty).
+ * @param {object} config - The configuration.
+ * @param {object} operations - The operations that were executed.
+ * @param {object} [scan] - The scan the operations were based on. Used (or made) to simulate the result in a dry-run.
+ * @returns {Promise<void>}
+ */
+async function postCleanup(config, operations, scan) {
+  if (!Object.values(operations).flat().length) {
+    logger.succeed('No operations required, skipping post cleanup check.');
+    return;
+  }
+  doHeader('post-cleanup');
+  // In a dry-run nothing was actually changed, so simulate the planned state instead of rescanning
+  const postScan = dryRun
+    ? simulateOperations(scan ?? await scanDirectory(config.scanPath, config, scanOptions), operations, config)
+    : await scanDirectory(config.scanPath, config);
+  const postCleanupItems = await getPostCleanupItems(postScan, config);
 
-      // Do another cleanup last
-      if (config.actions.includes('post-cleanup')) {
-        if (!Object.values(operations).flat().length) {
-          logger.succeed('No operations required, skipping post cleanup check.');
-        } else {
-          doHeader('post-cleanup');
-          logger.start('Checking for items to post-clean...');
-          scan = await scanDirectory(config.scanPath, config);
-          const postCleanTheseItems = await getCleanUpItems(scan, config.scanPath, config.recycleBinPath, config.emptyThreshold);
-          logger.succeed(`Found ${postCleanTheseItems.directories.length} directories and ${postCleanTheseItems.files.length} files requiring cleaning up after running all actions, totaling ${formatBytes(postCleanTheseItems.size)}.`);
-
-          [
-            ...Object.values(postCleanTheseItems.files),
-            ...Object.values(postCleanTheseItems.directories)
-          ].forEach(item => {
-            destructivePaths.add(item.path); // Add to destructive paths
-            operations.postCleanup.push({
-              ...item,
-              depth:   item.depth,
-              dir:     item.dir,
-              path:    item.path,
-              size:    item.stats.size,
-              move_to: item.move_to,
-              reason:  item.reason
-            });
-          });
-
-          // Confirm and Execute
-          await executeOperations({postCleanup: operations.postCleanup});
-        }
+  // Confirm and Execute
+  await executeOperations({postCleanup: postCleanupItems}, getExecuteOptions(config));
+}
+
+/**
+ * Scans every configured path and writes the resulting operations to a plan file (CSV or JSON, based on its extension),
+ * so they can be reviewed or edited, and executed later using applyPlan.
+ * Post-cleanup is not part of the plan, as it depends on the state after applying it; it is checked when applying instead.
+ * @param {object[]} configs - The loaded configurations.
+ * @param {string} planPath - Path of the plan file to write.
+ * @returns {Promise<void>}
+ */
+async function writePlan(configs, planPath) {
+  if (!planPath) {
+    logger.fail('Specify the plan file to write, e.g. "plan plan.csv".');
+    process.exitCode = 1;
+    return;
+  }
+  const rows = [];
+  for (const config of configs) {
+    doHeader(`Starting scan in path: ${config.scanPath}`);
+    const scan = await scanDirectory(config.scanPath, config, scanOptions);
+    const operations = await getOperations(scan, config, {dryRun});
+    rows.push(...toPlanRows(config, operations));
+  }
+
+  await writePlanFile(planPath, rows);
+  logger.succeed(`Wrote ${rows.length} planned operations to ${planPath}.`);
+}
+
+/**
+ * Executes the operations in a plan file (see writePlan). Items that changed since planning are skipped.
+ * @param {object[]} configs - The loaded configurations. Each plan row is executed using the configuration for its scan path.
+ * @param {string} planPath - Path of the plan file to read.
+ * @returns {Promise<void>}
+ */
+async function applyPlan(configs, planPath) {
+  if (!planPath) {
+    logger.fail('Specify the plan file to apply, e.g. "apply plan.csv".');
+    process.exitCode = 1;
+    return;
+  }
+  logger.start(`Reading plan ${planPath}...`);
+  const rows = await readPlanFile(planPath);
+  logger.succeed(`Read ${rows.length} planned operations from ${planPath}.`);
+  const handledRows = new Set();
+
+  for (const config of configs) {
+    const configRows = rows.filter(row => row.scanPath && normalizePath(row.scanPath) === normalizePath(config.scanPath));
+    if (!configRows.length) continue;
+    configRows.forEach(row => handledRows.add(row));
+
+    doHeader(`Applying plan for path: ${config.scanPath}`);
+    logger.start('Checking planned items...');
+    const {operations, skipped} = await getPlannedOperations(configRows);
+    logger.succeed(`${configRows.length - skipped.length} planned items can be handled, ${skipped.length} are skipped.`);
+    skipped.forEach(({row, reason}) => logger.warn(`Skipping ${row.operation} for "${row.path}": ${reason}`));
+
+    if (Object.values(operations).flat().length) {
+      await executeOperations(operations, getExecuteOptions(config));
+    }
+    if (config.actions.includes('post-cleanup')) {
+      await postCleanup(config, operations);
+    }
+    doHeader(`Done handling ${config.scanPath}`);
+  }
+
+  const unhandledRows = rows.filter(row => !handledRows.has(row));
+  if (unhandledRows.length) {
+    logger.warn(`${unhandledRows.length} planned operations were not applied, as no configuration matches their scanPath.`);
+  }
+}
+
+/**
+ * Scans every configured path, and executes the operations for all configured actions.
+ * @param {object[]} configs - The loaded configurations.
+ * @returns {Promise<void>}
+ */
+async function runActions(configs) {
+  for (const config of configs) {
+    doHeader(`Starting scan in path: ${config.scanPath}`);
+    const scan = await scanDirectory(config.scanPath, config, scanOptions);
+
+    // Perform Checks based on `actions`
+    const operations = await getOperations(scan, config, {dryRun});
+
+    if (Object.values(operations).flat().length) {
+      // Confirm and Execute
+      await executeOperations(operations, getExecuteOptions(config));
+    }
+
+    // Do another cleanup last
+    if (config.actions.includes('post-cleanup')) {
+      await postCleanup(config, operations, scan);
+    }
+    doHeader(`Done handling ${config.scanPath}`);
+  }
+}
+
+/**
+ * Scans every configured path, and shows what was found.
+ * @param {object[]} configs - The loaded configurations.
+ * @returns {Promise<void>}
+ */
+async function showScan(configs) {
+  for (const config of configs) {
+    doHeader(`Starting scan in path: ${config.scanPath}`);
+    const scan = await scanDirectory(config.scanPath, config, scanOptions);
+    if (!scan) continue;
+
+    const {counters} = scan;
+    console.log(`Files:       ${counters.file} (${counters.filesignored} ignored)`);
+    console.log(`Directories: ${counters.dir} (${counters.dirsignored} ignored)`);
+    console.log(`Total size:  ${formatBytes(counters.size)}`);
+    if (logger.isVerbose()) {
+      [...scan.directories.values()]
+      .sort((a, b) => b.totalSize - a.totalSize)
+      .slice(0, 10)
+      .forEach(dir => console.log(`  ${formatBytes(dir.totalSize).padStart(10)}  ${dir.path}`));
+    }
+  }
+}
+
+/**
+ * Scans every configured path, and shows a summary of the operations that would be executed, without executing them.
+ * Post-cleanup is simulated against the planned state.
+ * @param {object[]} configs - The loaded configurations.
+ * @returns {Promise<void>}
+ */
+async function showReport(configs) {
+  for (const config of configs) {
+    doHeader(`Starting scan in path: ${config.scanPath}`);
+    // Only a report: nothing is written, not even the scan index
+    const scan = await scanDirectory(config.scanPath, config, {...scanOptions, dryRun: true});
+    const operations = await getOperations(scan, config, {dryRun: true});
+    if (config.actions.includes('post-cleanup')) {
+      operations.postCleanup = await getPostCleanupItems(simulateOperations(scan, operations, config), config);
+    }
+
+    doHeader(`Report for ${config.scanPath}`);
+    Object.entries(operations).forEach(([operation, items]) => {
+      if (!items.length) return;
+      const size = items.reduce((sum, item) => sum + (item.size ?? item.stats?.size ?? 0), 0);
+      console.log(`${operation.padEnd(14)} ${String(items.length).padStart(8)} items  ${formatBytes(size).padStart(10)}`);
+      items.forEach(item => logger.debug(`  "${item.path}"${item.move_to ? ` -> "${item.move_to}"` : ''}${item.reason ? ` (${item.reason})` : ''}`));
+    });
+  }
+}
+
+/**
+ * Determines which configuration to use when a path to scan is given on the command line: the configuration whose
+ * scanPath contains the given path most specifically, or the first configuration if none does.
+ * @param {object[]} configs - The loaded configurations.
+ * @param {string} scanPath - The path to scan.
+ * @returns {object[]} - The selected configuration, with its scanPath replaced.
+ */
+function selectConfigsForPath(configs, scanPath) {
+  const normalized = normalizePath(scanPath);
+  const matching = configs
+  .filter(config => normalizePath(config.scanPath) === normalized || isInsidePath(normalized, config.scanPath))
+  .sort((a, b) => b.scanPath.length - a.scanPath.length);
+  const config = matching[0] ?? configs[0];
+  return config ? [{...config, scanPath: normalized}] : [];
+}
+
+(async () => {
+  if (args.flags.help || command === 'help') {
+    console.log(getHelpText({commands: COMMANDS, flags: FLAGS, schema: defaultConfig}));
+    return;
+  }
+
+  const unknownFlags = Object.keys(args.flags).filter(flag => !FLAGS[flag]);
+  if (!COMMANDS[command] || unknownFlags.length) {
+    logger.fail(!COMMANDS[command] ? `Unknown command "${command}".` : `Unknown option(s): ${unknownFlags.map(flag => `--${flag}`).join(', ')}.`);
+    console.log('Use --help to see the available commands and options.');
+    process.exitCode = 1;
+    return;
+  }
+
+  logger.setVerbose(args.flags.verbose);
+  const configPath = typeof args.flags.config === 'string' ? args.flags.config : DEFAULT_CONFIG_PATH;
+  try {
+    if (COMMANDS[command].ownConfig) {
+      await COMMANDS[command].handler(configPath, ...commandArgs);
+      return;
+    }
+
+    // Step 1: Load Configuration
+    logger.start('Loading configuration...');
+    const overrides = {};
+    if (args.flags.only !== undefined) {
+      // Checked here, so the error names the option rather than the configuration file
+      const actions = listFlag(args.flags.only);
+      const unknownActions = actions.filter(action => !ACTIONS.includes(action));
+      if (!actions.length || unknownActions.length) {
+        logger.fail(`${actions.length ? `Unknown action(s) in --only: ${unknownActions.join(', ')}.` : 'No actions given to --only.'} Valid actions are: ${ACTIONS.join(', ')}.`);
+        process.exit(1);
       }
-      doHeader(`Done handling ${config.scanPath}`);
+      overrides.actions = actions;
     }
+    let configs = await loadConfigs(configPath, overrides);
+    if (!configs || !Array.isArray(configs) || configs.some(config => !config)) {
+      // Never run with part of the configuration, or with settings the user did not choose
+      logger.fail('Configuration invalid, cannot continue.');
+      process.exit(1);
+    }
+    configs = configs.filter(config => config);
+    if (typeof args.flags.path === 'string') {
+      configs = selectConfigsForPath(configs, args.flags.path);
+    }
+    logger.succeed('Configuration loaded.');
+    logger.debug(configs);
+    const unknownOperations = [...policy.autoApprove, ...policy.autoDeny].filter(operation => !OPERATIONS.includes(operation));
+    if (unknownOperations.length) {
+      logger.fail(`Unknown operation(s) in --auto-approve/--auto-deny: ${unknownOperations.join(', ')}. Valid operations are: ${OPERATIONS.join(', ')}.`);
+      process.exit(1);
+    }
+    if (dryRun) {
+      logger.warn('Dry-run mode: operations are only listed, nothing on disk will be changed.');
+    } else if (['run', 'apply', 'bin', 'undo'].includes(command)) {
+      console.log(`Changes made during this run are recorded under run id ${runId}.`);
+    }
+
+    await COMMANDS[command].handler(configs, ...commandArgs);
     doHeader('Done! Bye.');
   } catch (error) {
     logger.fail(`An error occurred: ${error.message}`).stop();
+    process.exitCode = 1;
   }
 })();
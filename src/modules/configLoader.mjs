@@ -1,47 +1,134 @@
 import logger from '../utils/logger.mjs';
+import fs from 'fs/promises';
+import {existsSync} from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import YAML from 'yaml';
+import defaultConfig from '../../config/defaults.mjs';
 
-// Dynamically load the user and default configurations
+// Resolve paths relative to this module
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Paths to configuration files
-const userConfigPath = path.resolve(__dirname, '../../config/user-config.mjs');
-const defaultConfigPath = path.resolve(__dirname, '../../config/defaults.mjs');
-
-// Load user and default configs
-let userConfig = {};
-let defaultConfig = {};
-
-try {
-    userConfig = (await import(userConfigPath)).default;
-} catch (e) {
-    console.error("No user-config.mjs file found, or file invalid!");
-    process.exit(1);
-} finally {
-    // Ensure userConfig is an array
-    if (!Array.isArray(userConfig)) {
-        console.error("user-config.mjs must export an array of configuration objects!");
-        process.exit(1);
+// Supported configuration file formats
+export const CONFIG_EXTENSIONS = ['.mjs', '.js', '.json', '.yaml', '.yml'];
+
+// Path to the user configuration file (config/user-config.<ext>, in order of CONFIG_EXTENSIONS), unless another one is specified
+export const DEFAULT_CONFIG_PATH = CONFIG_EXTENSIONS
+  .map(extension => path.resolve(__dirname, `../../config/user-config${extension}`))
+  .find(configPath => existsSync(configPath)) ?? path.resolve(__dirname, '../../config/user-config.mjs');
+
+/**
+ * Returns the type of value as used in the configuration schema: like typeof, but "array" for arrays and "null" for null.
+ * @param {*} value - The value.
+ * @returns {string} - The type.
+ */
+const getType = (value) => Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+
+/**
+ * Checks the type of value against a schema setting, including the type of the elements of arrays. Settings that
+ * accept more than one type list them separated by "|", e.g. "string|array".
+ * @param {*} value - The value to check.
+ * @param {{type: string, items?: string}} setting - The schema setting.
+ * @returns {string[]} - A description of every type problem found (empty if the value is valid).
+ */
+const getTypeProblems = (value, {type, items}) => {
+    if (!type.split('|').includes(getType(value))) {
+        return [`"${getType(value)}" is an invalid type. Expected "${type}".`];
     }
-}
+    if (getType(value) === 'array' && items) {
+        return value
+          .map((element, index) => getType(element) !== items ? `Element ${index} ("${element}") is of type "${getType(element)}". Expected "${items}".` : null)
+          .filter(Boolean);
+    }
+    return [];
+};
 
+/**
+ * Finds the schema key that most likely was meant by an unknown key (e.g. "ignoreDirectories" for "ignoreDirectory").
+ * @param {string} key - The unknown key.
+ * @param {string[]} candidates - The known keys.
+ * @returns {string|undefined} - The closest known key, if any is close enough.
+ */
+const findClosestKey = (key, candidates) => {
+    const distance = (a, b) => {
+        let previous = Array.from({length: b.length + 1}, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    };
+    const [closest] = candidates
+      .map(candidate => ({candidate, distance: distance(key.toLowerCase(), candidate.toLowerCase())}))
+      .sort((a, b) => a.distance - b.distance);
+    return closest && closest.distance <= Math.max(2, Math.floor(key.length / 3)) ? closest.candidate : undefined;
+};
 
-try {
-    defaultConfig = (await import(defaultConfigPath)).default;
-} catch (e) {
-    console.error("Failed to load defaults.mjs. Ensure the default configuration exists.");
-    throw e;
-}
+/**
+ * Runs a schema setting's validator. Validators return whether the value is valid, and can throw an error to explain
+ * why it is not.
+ * @param {function(*): *} validate - The validator.
+ * @param {*} value - The value to validate.
+ * @returns {boolean} - True if the value is valid.
+ */
+const isValid = (validate, value) => {
+    try {
+        return !!validate(value);
+    } catch {
+        return false;
+    }
+};
 
-// Validate and merge user config into default config
+/**
+ * Returns the explanation a validator gives for an invalid value, if any.
+ * @param {function(*): *} validate - The validator.
+ * @param {*} value - The invalid value.
+ * @returns {string} - The explanation, preceded by a space, or an empty string.
+ */
+const getValidationError = (validate, value) => {
+    try {
+        validate(value);
+        return '';
+    } catch (error) {
+        return ` ${error.message}`;
+    }
+};
+
+/**
+ * Validates a user configuration entry and merges it into the defaults, collecting every problem instead of stopping
+ * at the first one. Invalid values never fall back to their default, as that would run with settings the user did not
+ * choose (e.g. all default actions for a misspelled one): they make the entry invalid (an error). Unknown settings
+ * are only warned about.
+ *
+ * @param {object} defaults - The configuration schema (see config/defaults.mjs).
+ * @param {object} user - The user configuration entry.
+ * @returns {{config: object|false, problems: {key: string, severity: 'error'|'warning', message: string}[]}} -
+ *          The merged configuration (false if there were errors), and the problems found.
+ */
 const validateAndMergeConfigs = (defaults, user) => {
-    logger.start('Validate configuration...');
     const merged = {};
+    const problems = [];
+    const error = (key, message) => problems.push({key, severity: 'error', message});
+    const warning = (key, message) => problems.push({key, severity: 'warning', message});
+
+    if (getType(user) !== 'object') {
+        error('', `Configuration entry must be an object, not "${getType(user)}".`);
+        return {config: false, problems};
+    }
+
+    for (const key in user) {
+        if (!(key in defaults)) {
+            const closestKey = findClosestKey(key, Object.keys(defaults));
+            warning(key, `Unknown setting, it is ignored.${closestKey ? ` Did you mean "${closestKey}"?` : ''}`);
+        }
+    }
 
     for (const key in defaults) {
-        const { default: defaultValue, type, validate } = defaults[key];
+        const { default: defaultValue, validate } = defaults[key];
         const userValue = user[key] !== undefined ? user[key] : defaultValue;
         let required = defaults[key].required;
         let forAction = '';
@@ -49,50 +136,122 @@ const validateAndMergeConfigs = (defaults, user) => {
         if (typeof required === 'string') {
             //if required is specified as dependent on an action, check if that action has been requested to eval required
             forAction = required;
-            required = user['actions'].includes(required);
+            required = Array.isArray(user['actions']) && user['actions'].includes(required);
         }
         const emptyButNotReq = (typeof userValue == "undefined") && !required;
 
-        // Type check
         if (user[key] === undefined && required) {
-            logger.fail(`Error validating config: '${key}' is a required setting${forAction ? ` for action '${forAction}'` : ''}!`);
-            return false;
+            error(key, `Required setting${forAction ? ` for action '${forAction}'` : ''} is missing.`);
+            continue;
+        }
+        if (emptyButNotReq) {
+            continue;
         }
 
-        if (typeof userValue !== type && !emptyButNotReq) {
-            const msg = `"${typeof userValue}" is an invalid type for "${key}". Expected "${type}".`;
-            if ((typeof defaultValue === type)) {
-                console.warn(`${msg} Falling back to default: `, defaultValue);
-                merged[key] = defaultValue;
-            } else {
-                logger.fail(`Error validating config: ${msg} Default value ("${defaultValue}") is also invalid, or missing!`);
-                return false;
-            }
-        } else if (validate && !validate(userValue) && !emptyButNotReq) {
-            const msg = `"${userValue}" for "${key}" failed validation.`;
-            // Validation check
-            if (validate(defaultValue)) {
-                logger.warn(`${msg} Falling back to default:`);
-                logger.warn(defaultValue);
-                merged[key] = defaultValue;
-            } else {
-                logger.fail(`Error validating config: ${msg} Default value (${defaultValue}) also invalid, or missing!`);
-                return false;
-            }
-        } else if (!emptyButNotReq) {
+        // Type check
+        const typeProblems = getTypeProblems(userValue, defaults[key]);
+        if (typeProblems.length) {
+            typeProblems.forEach(message => error(key, message));
+        } else if (validate && !isValid(validate, userValue)) {
+            // Validation check; validators can throw an error to explain what is wrong
+            error(key, `${JSON.stringify(userValue)} failed validation.${getValidationError(validate, userValue)}`);
+        } else {
             merged[key] = userValue;
         }
     }
 
-    return merged;
+    return {config: problems.some(problem => problem.severity === 'error') ? false : merged, problems};
 };
-// Iterate and validate each configuration entry
-let handledCount = 0;
-const mergedConfigs = userConfig.map(userConfigEntry => {
-    const validatedConfig = validateAndMergeConfigs(defaultConfig, userConfigEntry);
-    handledCount++;
-    logger.succeed(`Validated configuration (${handledCount}/${userConfig.length}).`);
-    return validatedConfig;
-});
-
-export default mergedConfigs;
+
+/**
+ * Reads the configuration entries from a file. ES modules (.mjs, .js) must export an array as default, JSON and YAML
+ * files must contain an array.
+ *
+ * @param {string} configPath - Path to the configuration file.
+ * @returns {Promise<Array>} - The configuration entries.
+ * @throws {Error} - If the file could not be read or parsed, or does not contain an array.
+ */
+async function readConfigFile(configPath) {
+    const extension = path.extname(configPath).toLowerCase();
+    if (!CONFIG_EXTENSIONS.includes(extension)) {
+        throw new Error(`Unsupported configuration file format "${extension}". Use one of: ${CONFIG_EXTENSIONS.join(', ')}.`);
+    }
+
+    let entries;
+    if (extension === '.mjs' || extension === '.js') {
+        entries = (await import(pathToFileURL(path.resolve(configPath)).href)).default;
+    } else {
+        const content = await fs.readFile(configPath, 'utf8');
+        entries = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+    }
+
+    if (!Array.isArray(entries)) {
+        throw new Error('The file must contain (or export) an array of configuration objects.');
+    }
+    return entries;
+}
+
+/**
+ * Loads a configuration file and validates every entry in it, merged with the defaults.
+ *
+ * @param {string} [configPath=DEFAULT_CONFIG_PATH] - Path to the configuration file.
+ * @param {object} [overrides={}] - Settings that override those in every configuration entry (e.g. from the command line).
+ * @returns {Promise<{configs: (object|false)[]|null, problems: {file: string, index: number|null, key: string, severity: 'error'|'warning', message: string}[]}>}
+ *          - The validated configurations (false for entries with errors, null if the file could not be loaded),
+ *          and every problem found.
+ */
+export async function checkConfigs(configPath = DEFAULT_CONFIG_PATH, overrides = {}) {
+    let userConfig;
+    try {
+        userConfig = await readConfigFile(configPath);
+    } catch (e) {
+        const message = e.code === 'ENOENT' || e.code === 'ERR_MODULE_NOT_FOUND' ? 'No configuration file found.' : e.message;
+        return {configs: null, problems: [{file: configPath, index: null, key: '', severity: 'error', message}]};
+    }
+
+    const problems = [];
+    const configs = userConfig.map((userConfigEntry, index) => {
+        const entry = getType(userConfigEntry) === 'object' ? {...userConfigEntry, ...overrides} : userConfigEntry;
+        const {config, problems: entryProblems} = validateAndMergeConfigs(defaultConfig, entry);
+        problems.push(...entryProblems.map(problem => ({file: configPath, index, ...problem})));
+        return config;
+    });
+    return {configs, problems};
+}
+
+/**
+ * Formats a configuration problem for display, as "<file> [<entry index>] <key>: <message>".
+ * @param {{file: string, index: number|null, key: string, message: string}} problem - The problem.
+ * @returns {string} - The formatted problem.
+ */
+export function formatConfigProblem({file, index, key, message}) {
+    return `${file}${index !== null ? ` [${index}]` : ''}${key ? ` ${key}` : ''}: ${message}`;
+}
+
+/**
+ * Loads the user configuration file, and validates each entry in it, merged with the defaults. Every problem found is
+ * logged.
+ *
+ * @param {string} [configPath=DEFAULT_CONFIG_PATH] - Path to the configuration file.
+ * @param {object} [overrides={}] - Settings that override those in every configuration entry (e.g. from the command line).
+ * @returns {Promise<(object|false)[]|null>} - The validated configurations (false for entries that failed validation),
+ *          or null if the file could not be loaded.
+ */
+async function loadConfigs(configPath = DEFAULT_CONFIG_PATH, overrides = {}) {
+    logger.start('Validate configuration...');
+    const {configs, problems} = await checkConfigs(configPath, overrides);
+    problems.forEach(problem => {
+        if (problem.severity === 'error') {
+            logger.fail(`Error validating config: ${formatConfigProblem(problem)}`);
+        } else {
+            logger.warn(formatConfigProblem(problem));
+        }
+    });
+    if (configs) {
+        const validCount = configs.filter(Boolean).length;
+        logger.succeed(`Validated configuration (${validCount}/${configs.length} entries valid).`);
+    }
+    return configs;
+}
+
+export default loadConfigs;
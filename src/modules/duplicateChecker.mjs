@@ -1,173 +1,235 @@
+import path from "path";
 import {
-  calculateDirectoryHash,
   getFilesetForFile,
-  hashFileChunk,
+  isInsidePath,
   rebasePath
 } from "../utils/helpers.mjs";
+import {buildDirectoryManifests, findNearIdenticalDirectories, getContentSignature} from "../utils/directoryManifest.mjs";
+import {getCachedFileHash} from "../utils/scanIndex.mjs";
+import {hashFileFull, hashFileHead, hashFileSample} from "../utils/fileHash.mjs";
+import {selectOriginal} from "../utils/originalRules.mjs";
 import logger from "../utils/logger.mjs";
 import crypto from "crypto";
 
 /**
- * Determines the "original" file from a list of duplicate files.
+ * Determines the "original" from a list of duplicate files (or directories), by applying the configured
+ * `originalPreference` rules in order (see selectOriginal).
  *
- * This function evaluates an array of file objects and identifies the original file
- * based on the following criteria:
+ * By default, the file with the earliest creation or change date is considered the original, and if two or more files
+ * have identical timestamps, the file with the shortest filename is chosen.
  *
- * 1. **Oldest Date**: The file with the earliest creation or modification date is considered the original.
- * 2. **Shortest Filename (Tie-breaker)**: If two or more files have identical timestamps, the file
- *    with the shortest filename is chosen as the original.
- *
- * How It Works:
- * - The function uses the `Array.prototype.reduce` method to iterate over the array of files.
- * - For each file, the earliest of its creation and modification dates is calculated.
- * - These timestamps are compared to determine the oldest file. If the timestamps are identical,
- *   the filename length is compared.
- *
- * @param {object[]} files - Array of file objects. Each file object should include:
- *   - {string} name - The file name.
- *   - {string} [createdTime] - The file's creation date (optional).
- *   - {string} [modifiedTime] - The file's last modification date (optional).
- * @returns {object} - The file object deemed as the "original" based on the described criteria.
+ * @param {object[]} files - Array of file objects, as found by the scanner.
+ * @param {string[]} [rules=['oldest', 'shortest-name']] - The rules to apply (see ORIGINAL_RULES).
+ * @param {object} [index] - The scan index, to cache EXIF data in.
+ * @returns {Promise<{original: object, reasons: Map<string, string>}>} - The file deemed as the "original", and for
+ *          each other file (by path) why the original was preferred over it.
  *
  * @example
- * const files = [
- *   { name: 'fileA.txt', createdTime: '2022-01-01T10:00:00Z', modifiedTime: '2022-01-02T10:00:00Z' },
- *   { name: 'fileB.txt', createdTime: '2022-01-01T08:00:00Z', modifiedTime: '2022-01-01T12:00:00Z' },
- *   { name: 'fileC.txt', createdTime: '2022-01-01T08:00:00Z', modifiedTime: '2022-01-01T12:00:00Z' },
- * ];
+ * const {original, reasons} = await determineOriginal(files, ['prefer-path:/volume1/photo/Albums/**', 'oldest']);
+ * console.log(reasons.get('/volume1/photo/Downloads/IMG_0001.jpg'));
+ * // Output: 'its path matches "/volume1/photo/Albums/**"'
+ */
+async function determineOriginal(files, rules = ['oldest', 'shortest-name'], index) {
+  return selectOriginal(files, rules, index);
+}
+
+/**
+ * Creates the verification stages files go through before they are considered duplicates: a hash of their first
+ * bytes, then a hash of samples from their start, middle and end, and (for 'full' verification) a hash of their
+ * complete contents. Each stage is more expensive, but is only needed for files that still match after the previous one.
+ * For files no larger than the chunk size, the first stage already covers their complete contents.
+ * Hashes are cached in the scan index (if any), and for the duration of the check.
  *
- * const originalFile = determineOriginal(files);
- * console.log(originalFile);
- * // Output: { name: 'fileB.txt', createdTime: '2022-01-01T08:00:00Z', modifiedTime: '2022-01-01T12:00:00Z' }
+ * @param {Object} [index] - The scan index, to reuse cached hashes from.
+ * @param {Object} [verification={}] - How to verify duplicates.
+ * @param {number} [verification.hashByteLimit=131072] - Number of bytes hashed per chunk.
+ * @param {string} [verification.duplicateVerification='full'] - The final stage: 'sample' or 'full'.
+ * @param {string} [verification.hashAlgorithm='sha256'] - The hash algorithm to use.
+ * @returns {function(Object): Promise<string>[]} - The stages, each returning the hash of a file. The last stage is the verified hash.
  */
-async function determineOriginal(files) {
-  return files.reduce((oldest, file) => {
-    const fileTimestamp = Math.min(
-      file.stats.ctimeMs,
-      file.stats.birthtimeMs
-    );
+function createVerificationStages(index, {hashByteLimit = 131072, duplicateVerification = 'full', hashAlgorithm = 'sha256'} = {}) {
+  const memo = new Map();
+  const cached = (key, computeHash) => (file) => {
+    const memoKey = `${key}|${file.path}`;
+    if (!memo.has(memoKey)) memo.set(memoKey, getCachedFileHash(index, file, key, () => computeHash(file)));
+    return memo.get(memoKey);
+  };
 
-    const oldestTimestamp = Math.min(
-      oldest.stats.ctimeMs,
-      oldest.stats.birthtimeMs
-    );
+  const head = cached(`${hashAlgorithm}:head:${hashByteLimit}`, file => hashFileHead(file.path, hashByteLimit, hashAlgorithm));
+  const sample = cached(`${hashAlgorithm}:sample:${hashByteLimit}`, file => hashFileSample(file.path, file.stats.size, hashByteLimit, hashAlgorithm));
+  const full = cached(`${hashAlgorithm}:full`, file => hashFileFull(file.path, hashAlgorithm));
+  const unlessSmall = (stage) => (file) => file.stats.size <= hashByteLimit ? head(file) : stage(file);
 
-    if (fileTimestamp < oldestTimestamp ||
-      (fileTimestamp === oldestTimestamp && file.name.length < oldest.name.length)) {
-      return file;
-    }
-    return oldest;
-  }, files[0]);
+  return duplicateVerification === 'full' ? [head, unlessSmall(sample), unlessSmall(full)] : [head, unlessSmall(sample)];
 }
 
 /**
- * Processes grouped items to identify duplicates by calculating hashes and filtering based on unique hashes.
+ * Narrows down a group of files of the same size to those that might be duplicates of each other, by running them
+ * through the verification stages and dropping files whose hash is unique after any stage.
  *
- * @template T
- * @param {Object<string, T[]>} groupedItems - An object where keys represent groups and values are arrays of items to process.
- * @param {function(T): Promise<string>} hashFunction - A function that calculates a hash for an item. Must return a promise resolving to the item's hash.
- * @param {function(T[]): Promise<T>} determineOriginal - A function that determines the original item from a group. Must return a promise resolving to the original item.
- * @param {function(T, number): Object} [processExtras] - Optional function to process additional properties for each duplicate.
- *        Receives the item and its index as arguments. Defaults to a no-op function.
- * @returns {Promise<Object<string, T[]>>} - A promise resolving to an object where keys are group keys and values are arrays of processed duplicate items.
+ * @param {Object[]} files - Files of the same size.
+ * @param {function(Object): Promise<string>[]} stages - The verification stages (see createVerificationStages).
+ * @returns {Promise<Object[]>} - The files that match at least one other file in every stage.
+ */
+async function narrowDownCandidates(files, stages) {
+  let candidates = files;
+  for (const stage of stages) {
+    if (candidates.length < 2) return [];
+    const hashes = await Promise.all(candidates.map(file => stage(file)));
+    candidates = candidates.filter((file, idx) => hashes.indexOf(hashes[idx]) !== hashes.lastIndexOf(hashes[idx]));
+  }
+  return candidates;
+}
+
+/**
+ * Finds duplicate directory trees: directories containing the same files (by relative path and contents) as another
+ * directory, and directories containing the same files as another directory that has one extra file.
+ * Candidates are checked outermost first, and only the outermost duplicate directory is reported, as everything inside
+ * it is handled with it. Directories that are inside, or contain, an already reported directory, and directories that
+ * are kept as the original of another directory, are not reported again. Directories containing ignored files or
+ * directories are skipped altogether, as recycling them would also recycle what was ignored; their files are still
+ * compared on their own.
  *
+ * @param {Object} items - Results from the scanner.
+ * @param {function(Object): Promise<string>} getVerifiedHash - Calculates the verified hash of a file.
+ * @param {function(Object[]): Promise<{original: Object, reasons: Map<string, string>}>} pickOriginal - Determines the original of a group of directories.
+ * @returns {Promise<{directories: Object[], nearDirectories: Object[], isInsideDuplicate: function(string): boolean}>} -
+ *          The duplicate directories, the nearly identical directories, and a function that checks whether a path is
+ *          (inside) a duplicate directory. Nearly identical directories are only reported, so their files are still
+ *          compared on their own.
  */
-async function processGroupedItems(groupedItems, hashFunction, determineOriginal, processExtras = () => ({})) {
-  const duplicates = {};
-  const groups = Object.entries(groupedItems);
+async function findDuplicateDirectories(items, getVerifiedHash, pickOriginal) {
+  const manifests = new Map([...buildDirectoryManifests(items)].filter(([, manifest]) => !manifest.unlisted));
+  const reported = new Set();
+  const duplicatePaths = new Set();
+  const kept = new Set();
+  const isInside = (paths, itemPath) => {
+    for (let ancestor = itemPath; ancestor !== path.dirname(ancestor); ancestor = path.dirname(ancestor)) {
+      if (paths.has(ancestor)) return true;
+    }
+    return false;
+  };
+  const isAvailable = (manifest) => !isInside(reported, manifest.dir.path)
+    && ![...reported].some(reportedPath => isInsidePath(reportedPath, manifest.dir.path));
+
+  // Group directories by the relative paths and sizes of their files
+  const groups = new Map();
+  manifests.forEach(manifest => {
+    if (!manifest.entries.size || !manifest.size) return;
+    if (!groups.has(manifest.signature)) groups.set(manifest.signature, []);
+    groups.get(manifest.signature).push(manifest);
+  });
+
+  // Check all candidates outermost first, and exact duplicates before nearly identical directories at the same depth
+  const candidates = [
+    ...[...groups.values()].filter(group => group.length > 1)
+      .map(group => ({group, depth: Math.min(...group.map(manifest => manifest.dir.depth))})),
+    ...findNearIdenticalDirectories(manifests).filter(pair => pair.subset.entries.size > 1)
+      .map(pair => ({pair, depth: pair.subset.dir.depth})),
+  ].sort((a, b) => a.depth - b.depth);
+
+  const directories = [];
+  const nearDirectories = [];
   let progress = 0;
+  for (const {group, pair} of candidates) {
+    logger.text(`Verifying potential directory duplicates ${progress++}/${candidates.length}...`);
+
+    if (group) {
+      const remaining = group.filter(isAvailable);
+      if (remaining.length < 2) continue;
+
+      // Only directories whose files have the same contents are duplicates
+      const byContents = new Map();
+      for (const manifest of remaining) {
+        const contentSignature = await getContentSignature(manifest, getVerifiedHash);
+        if (!byContents.has(contentSignature)) byContents.set(contentSignature, []);
+        byContents.get(contentSignature).push(manifest);
+      }
 
-  for (const [key, items] of groups) {
-    logger.text(`Verifying potential directory duplicates ${progress}/${groups.length}...`);
-    if (items.length > 1) {
-      const originalItem = await determineOriginal(items);
-
-      // Hash each item and log the operation
-      const hashes = await Promise.all(
-        items.map(async item => {
-          return await hashFunction(item);
-        })
-      );
-
-      // Identify duplicate hashes
-      const uniqueHashes = new Set(
-        hashes.filter((hash, idx, arr) => arr.indexOf(hash) !== idx && arr.lastIndexOf(hash) === idx)
-      );
-
-      // Filter and map duplicates
-      duplicates[key] = items
-      .filter((item, idx) => uniqueHashes.has(hashes[idx]) && item !== originalItem)
-      .map((item, idx) => ({
-        ...item,
-        hash:         hashes[idx],
-        duplicate_of: originalItem.path,
-        ...processExtras(item, idx) // Add extra properties if needed
-      }));
-
-      progress += 1; // Increment progress after processing
+      for (const duplicateSet of byContents.values()) {
+        if (duplicateSet.length < 2) continue;
+        const {original, reasons} = await pickOriginal(duplicateSet.map(manifest => manifest.dir));
+        kept.add(original.path);
+        duplicateSet.filter(manifest => manifest.dir !== original).forEach(manifest => {
+          reported.add(manifest.dir.path);
+          duplicatePaths.add(manifest.dir.path);
+          directories.push({
+            ...manifest.dir,
+            size:            manifest.size,
+            fileCount:       manifest.entries.size,
+            duplicate_of:    original.path,
+            original_reason: reasons.get(manifest.dir.path),
+          });
+        });
+      }
+    } else {
+      const {subset, superset, extraFile} = pair;
+      if (kept.has(subset.dir.path) || !isAvailable(subset) || !isAvailable(superset)) continue;
+
+      let identical = true;
+      for (const [relativePath, file] of subset.entries) {
+        if (await getVerifiedHash(file) !== await getVerifiedHash(superset.entries.get(relativePath))) {
+          identical = false;
+          break;
+        }
+      }
+      if (!identical) continue;
+
+      kept.add(superset.dir.path);
+      reported.add(subset.dir.path);
+      nearDirectories.push({
+        ...subset.dir,
+        size:         subset.size,
+        fileCount:    subset.entries.size,
+        duplicate_of: superset.dir.path,
+        extra_file:   path.join(superset.dir.path, extraFile),
+      });
     }
   }
 
-  return duplicates;
+  return {directories, nearDirectories, isInsideDuplicate: (itemPath) => isInside(duplicatePaths, itemPath)};
 }
 
 /**
  * Groups items into directories, files, and dirFiles, and identifies duplicates.
  *
- * This function processes an array of items, grouping them by properties that are likely to indicate duplicates.
- * It then verifies if the suspected duplicate directories and files are indeed duplicates by calculating hashes
- * and filtering based on unique hashes.
+ * This function first finds duplicate directory trees (see findDuplicateDirectories). It then groups the files
+ * outside of those by properties that are likely to indicate duplicates, and verifies if the suspected duplicate files
+ * are indeed duplicates by calculating hashes and filtering based on unique hashes.
  *
  * @param {Object} items - The items to be grouped and checked for duplicates.
  * @param {Object[]} items.directories - Array of directory objects.
  * @param {Object[]} items.files - Array of file objects.
+ * @param {Object} [items.index] - The scan index, to reuse cached hashes from.
+ * @param {Object} [verification] - How to verify file duplicates (see createVerificationStages).
+ * @param {string[]} [rules] - The rules to determine which duplicate is the original (see determineOriginal).
  * @returns {Promise<Object>} - A promise that resolves to an object containing grouped and filtered duplicate items.
  */
-async function groupItems(items) {
+async function groupItems(items, verification, rules) {
+  // Files in reference paths are always preferred as the original
+  const pickOriginal = async (group) => {
+    const references = group.filter(item => item.reference);
+    if (!references.length || references.length === group.length) {
+      return determineOriginal(group, rules, items.index);
+    }
+    const {original, reasons} = await determineOriginal(references, rules, items.index);
+    group.filter(item => !item.reference).forEach(item => reasons.set(item.path, 'it is in a reference path'));
+    return {original, reasons};
+  };
   const groupedItems = {
-    directories: {},
     files:       {},
     dirFiles:    {}
   };
   const fileDupeSets = new Set();
+  const stages = createVerificationStages(items.index, verification);
+  const getVerifiedHash = stages[stages.length - 1];
 
-  /**
-   * Helper that filters out groups that contain only a single item (i.e. non-duplicate groups).
-   *
-   * @param {Object} groupedItems - The grouped items to be filtered.
-   * @returns {Object} - The filtered grouped items containing only groups with more than one item.
-   */
-  function filterOutSingleGroups(groupedItems) {
-    return Object.keys(groupedItems).reduce((filtered, key) => {
-      if (groupedItems[key].length > 1) {
-        filtered[key] = groupedItems[key];
-      }
-      return filtered;
-    }, {});
-  }
-
-  //First, group directories by properties that are likely to indicate duplicates
-  items.directories.forEach((dir) => {
-    const key = [dir.intrinsicSize, dir.totalSize, dir.fileCount, dir.stats.nlink, dir.stats.size].join('_');
-    if (!groupedItems.directories[key]) groupedItems.directories[key] = [];
-    if (dir.size > 0) groupedItems.directories[key].push(dir);
-  });
-
-  //Then, verify if the suspected duplicate directories are indeed duplicates
-  const duplicateDirs = await processGroupedItems(
-    filterOutSingleGroups(groupedItems.directories),
-    dir => calculateDirectoryHash(dir, items),
-    determineOriginal,
-  );
-
-  //create a set of any duplicate directory paths found, to cross-reference with files
-  const duplicateDirPaths = new Set(
-    Object.values(duplicateDirs).flat().map(dir => dir.path)
-  );
+  //First, find duplicate directory trees, as files inside them are handled with them
+  const duplicateDirs = await findDuplicateDirectories(items, getVerifiedHash, pickOriginal);
 
   //Group files by properties that are likely to indicate duplicates, rejecting empty files, and files in duplicate directories
   items.files.forEach((file) => {
-    if (duplicateDirPaths.has(file.dir) || file.stats.size === 0) {
+    if (duplicateDirs.isInsideDuplicate(file.dir) || file.stats.size === 0) {
       return;
     }
     const key = `${file.stats.size}`;
@@ -199,20 +261,27 @@ async function groupItems(items) {
   //   - Sets are treated as higher-priority duplicates (representing logically related groups).
   //   - Single files are compared at an individual hash level for duplicates.
   //   - Only valid duplicates are included, maintaining the reference entry's integrity.
-  for (const [setId, dupeSet] of filteredGroupedFiles) {
+  for (const [setId, sizeGroup] of filteredGroupedFiles) {
     logger.text(`Verifying potential file duplicates ${progress}/${filteredGroupedFiles.length}...`);
+    //only files whose contents match another file in every verification stage can be duplicates
+    const dupeSet = await narrowDownCandidates(sizeGroup, stages);
+    if (!dupeSet.length) {
+      progress += 1;
+      continue;
+    }
+
     //determine what should be considered the original in the set of duplicates
     const processedDupeSet = [];
-    const setOriginal = await determineOriginal(dupeSet);
+    const {original: setOriginal, reasons} = await pickOriginal(dupeSet);
 
     for (const dupe of dupeSet) {
       if (dupe.hasOwnProperty('path')) {
-        const hashSet = {set: false, hash: null, original: false, items: []};
+        const hashSet = {path: dupe.path, set: false, hash: null, original: false, items: []};
         const fileSet = getFilesetForFile(dupe.path, groupedItems.dirFiles[dupe.dir]);
         hashSet.set = (fileSet.length > 1);
         hashSet.original = (dupe.path === setOriginal.path);
         hashSet.items = await Promise.all((hashSet.set ? fileSet : [dupe]).map(async file => {
-          const hash = await hashFileChunk(file.path);
+          const hash = await getVerifiedHash(file);
           return {...file, hash};
         }));
         hashSet.hash = hashSet.set ?
@@ -239,6 +308,9 @@ async function groupItems(items) {
       }
     }
 
+    // Why the reference entry was preferred over the others
+    const getOriginalReason = (entry) => referenceEntry.original ? reasons.get(entry.path) : 'it is part of a complete file set';
+
     // Map reference items for quick lookup
     const referenceItemsMap = new Map(
       referenceEntry.items.map(item => [item.hash, item.path])
@@ -272,6 +344,7 @@ async function groupItems(items) {
           item.duplicate_of = duplicatePath;
         }
         item.part_of_set = entry.set;
+        item.original_reason = getOriginalReason(entry);
       });
     });
 
@@ -283,7 +356,8 @@ async function groupItems(items) {
   }
 
   return {
-    directories: filterOutSingleGroups(groupedItems.directories),
+    directories:     duplicateDirs.directories,
+    nearDirectories: duplicateDirs.nearDirectories,
     files:       Object.fromEntries(
       [...fileDupeSets].flatMap(entry => entry.items.map(item => [item.path, item]))
     )
@@ -291,27 +365,62 @@ async function groupItems(items) {
 }
 
 
-async function getDuplicateItems(items, binPath) {
+/**
+ * Finds duplicate files and directories. Duplicate files are either moved to the recycle bin, or replaced by a link
+ * to their original (keeping their path, but reclaiming their space). Duplicate directories are always recycled as a
+ * whole. Directories whose files all exist in another directory that has only one more file are only reported.
+ *
+ * @param {Object} items - Results from the scanner. Files marked as `reference` are only compared against.
+ * @param {string} binPath - The recycle bin path.
+ * @param {Object} [verification] - How to verify file duplicates: hashByteLimit, duplicateVerification and hashAlgorithm (see config/defaults.mjs).
+ * @param {string} [duplicateAction='recycle'] - 'recycle', or the type of link to replace duplicate files with (see LINK_TYPES).
+ * @param {string[]} [originalPreference] - The rules to determine which duplicate is the original (see ORIGINAL_RULES).
+ * @returns {Promise<Object>} - The duplicate directories and files, and their total size, and the nearly identical
+ *          directories (to report), and their total size.
+ */
+async function getDuplicateItems(items, binPath, verification, duplicateAction = 'recycle', originalPreference) {
 
-  const duplicates = await groupItems(items);
+  const duplicates = await groupItems(items, verification, originalPreference);
+  const describe = (item) => `duplicate of "${item.duplicate_of}"${item.original_reason ? `, kept as original because ${item.original_reason}` : ''}`;
 
-  const returnFiles = Object.values(duplicates.files).map(file => ({
+  // Files in reference paths are only compared against, and never touched; so they cannot get hard links either, as
+  // changing a duplicate's permissions, ownership or timestamps would then change the reference file as well
+  const duplicateFiles = Object.values(duplicates.files).filter(file => {
+    if (file.reference) return false;
+    if (duplicateAction === 'hardlink' && items.files.get(file.duplicate_of)?.reference) {
+      logger.warn(`Not replacing "${file.path}" with a hard link: its original "${file.duplicate_of}" is in a read-only reference path, which only allows a reflink or symbolic link`);
+      return false;
+    }
+    return true;
+  });
+  const returnFiles = duplicateFiles.map(file => ({
     ...file,
-    move_to: rebasePath(binPath, file.path)
+    ...(duplicateAction === 'recycle'
+      ? {move_to: rebasePath(binPath, file.path)}
+      : {link_to: file.duplicate_of, link_type: duplicateAction}),
+    reason:  describe(file)
+  }));
+
+  const returnDirs = duplicates.directories.map(dir => ({
+    ...dir,
+    move_to: rebasePath(binPath, dir.path),
+    reason:  `duplicate of "${dir.duplicate_of}" (${dir.fileCount} file${dir.fileCount === 1 ? '' : 's'})${dir.original_reason ? `, kept as original because ${dir.original_reason}` : ''}`
   }));
 
-  const returnDirs = Object.values(duplicates.directories).map(dir => ({
+  const returnNearDirs = duplicates.nearDirectories.map(dir => ({
     ...dir,
-    move_to: rebasePath(binPath, dir.path)
+    reason: `all ${dir.fileCount} files are also in "${dir.duplicate_of}", which only has one more file ("${dir.extra_file}")`
   }));
 
-  // Calculate the total size of duplicate files
-  const totalSize = returnFiles.reduce((sum, file) => sum + file.stats.size, 0);
+  // Calculate the total size of duplicate files and directories
+  const totalSize = [...returnFiles.map(file => file.stats.size), ...returnDirs.map(dir => dir.size)].reduce((sum, size) => sum + size, 0);
 
   return ({
-    directories: returnDirs,
-    files:       returnFiles,
-    size:        totalSize // Include total size of duplicate files
+    directories:     returnDirs,
+    nearDirectories: returnNearDirs,
+    files:           returnFiles,
+    size:            totalSize, // Include total size of duplicate files and directories
+    nearSize:        returnNearDirs.reduce((sum, dir) => sum + dir.size, 0),
   });
 }
 
@@ -1,46 +1,233 @@
-import path from 'path';
-import {rebasePath} from "../utils/helpers.mjs";
+import fs from 'fs/promises';
+import {minimatch} from 'minimatch';
+import {findSidecars, getFilesetForFile, isInsidePath, rebasePath, SIDECAR_EXTENSIONS} from "../utils/helpers.mjs";
+import {matchesFile, validateFileMatch} from "../utils/template.mjs";
+import logger from "../utils/logger.mjs";
 
-import pLimit from "p-limit";
+const DAY = 24 * 60 * 60 * 1000;
+const GLOB_OPTIONS = {dot: true, nocase: true, matchBase: true};
 
-const FILE_LIMIT = pLimit(10); // Limit concurrency
+// Conditions orphan rules can match files and directories by (see parseOrphanRules)
+const FILE_CONDITIONS = ['type', 'glob', 'extensions', 'mediaType', 'olderThan', 'minSize', 'maxSize', 'withSibling', 'withoutSibling'];
+const DIRECTORY_CONDITIONS = ['type', 'glob', 'olderThan', 'minSize', 'maxSize', 'onlyContains'];
+const SIBLING_CONDITIONS = ['glob', 'extensions', 'mediaType', 'sameName'];
 
-async function getOrphanItems(items, scanDir, binPath, emptyThreshold  = 0) {
-  // Initialize a set to keep track of parent paths
-  const totalSize = 0;
-  const removalPaths = new Set();
-  let progress = 0;
+/**
+ * Checks whether two files in a directory share their name, as a file and its sidecar do: one's name starts with the
+ * other's (e.g. "IMG_1234.HEIC" and "IMG_1234.HEIC.xmp"), or they are part of the same file set (e.g. "movie.mkv" and
+ * "movie.en.srt", see getFilesetForFile).
+ * @param {Object} file - The file.
+ * @param {Object} sibling - The other file.
+ * @returns {boolean} - True if the files share their name.
+ */
+function isSameName(file, sibling) {
+  const [fileName, siblingName] = [file.name.toLowerCase(), sibling.name.toLowerCase()];
+  return fileName.startsWith(`${siblingName}.`) || siblingName.startsWith(`${fileName}.`)
+    || getFilesetForFile(file.path, [file, sibling]).length > 0;
+}
 
-  const processItems = async (input) => {
-    const tasks = Array.from(input, ([value, item]) => {
-      return FILE_LIMIT(async () => {
+/**
+ * Checks a single orphan rule (see parseOrphanRules).
+ * @param {Object} rule - The rule.
+ * @returns {Object} - The rule, with its `type` and `onlyContains` normalized.
+ * @throws {Error} - If the rule is invalid.
+ */
+function parseOrphanRule(rule) {
+  const {match, reason, ...unknownKeys} = rule;
+  if (Object.keys(unknownKeys).length) {
+    throw new Error(`unknown key(s) ${Object.keys(unknownKeys).join(', ')}; use "match" and "reason".`);
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw new Error(`"reason" must be a text describing why matching items are orphans.`);
+  }
+  const type = match?.type ?? 'file';
+  if (!['file', 'directory'].includes(type)) {
+    throw new Error(`"type" must be "file" or "directory".`);
+  }
+  validateFileMatch(match, type === 'file' ? FILE_CONDITIONS : DIRECTORY_CONDITIONS);
+  if (!Object.keys(match).some(condition => condition !== 'type')) {
+    throw new Error(`"match" needs at least one condition besides "type", as it would match every ${type} otherwise.`);
+  }
+  ['olderThan', 'minSize', 'maxSize'].forEach(condition => {
+    if (match[condition] !== undefined && !(typeof match[condition] === 'number' && match[condition] >= 0)) {
+      throw new Error(`"${condition}" must be a number of ${condition === 'olderThan' ? 'days' : 'bytes'}.`);
+    }
+  });
+  ['withSibling', 'withoutSibling'].filter(condition => match[condition] !== undefined).forEach(condition => {
+    try {
+      validateFileMatch(match[condition], SIBLING_CONDITIONS);
+      if (match[condition].sameName !== undefined && typeof match[condition].sameName !== 'boolean') {
+        throw new Error(`"sameName" must be true or false.`);
+      }
+    } catch (error) {
+      throw new Error(`"${condition}": ${error.message}`);
+    }
+  });
+  const onlyContains = match.onlyContains === undefined ? undefined : [match.onlyContains].flat();
+  if (onlyContains && (!onlyContains.length || !onlyContains.every(glob => typeof glob === 'string'))) {
+    throw new Error(`"onlyContains" must be a glob, or a list of globs.`);
+  }
+  return {match: {...match, type, onlyContains}, reason};
+}
 
+/**
+ * Parses the `orphanRules` setting: rules describing orphaned files or directories, each with a `reason` (shown when
+ * asking to handle the item) and the conditions an item must all match:
+ *
+ * - `type`: "file" (default) or "directory".
+ * - `glob`, `extensions` and `mediaType`: as for template rules (see parseTemplateRules); directories only by `glob`.
+ * - `olderThan`: the minimum age of the item's modification time, in days.
+ * - `minSize` and `maxSize`: the size of the item (of a directory: of all files inside it), in bytes.
+ * - `withSibling` and `withoutSibling` (files only): another file in the same directory that must, or must not, exist,
+ *   matched by `glob`, `extensions` and `mediaType`, and `sameName` (if true, the other file must share the file's
+ *   name, as a sidecar does, see isSameName).
+ * - `onlyContains` (directories only): a glob or list of globs that every entry in the directory (including ignored
+ *   files and directories) must match, e.g. `["@eaDir", ".DS_Store"]`.
+ *
+ * @param {Object[]} rules - The rules.
+ * @returns {Object[]} - The parsed rules.
+ * @throws {Error} - If a rule is invalid.
+ */
+export function parseOrphanRules(rules) {
+  return rules.map((rule, idx) => {
+    try {
+      return parseOrphanRule(rule);
+    } catch (error) {
+      throw new Error(`Rule ${idx}: ${error.message}`);
+    }
+  });
+}
 
-        if (items.directories.get(item.dir)?.fileCount === 1) {
-          // Add the current item's path to the removal set
-          removalPaths.add(item.path);
-          return {
-            ...item,
-            move_to: rebasePath(binPath, item.path)
-          };
-        }
+/**
+ * Checks whether a file or directory matches the conditions of an orphan rule (see parseOrphanRules).
+ * @param {Object} match - The conditions.
+ * @param {Object} item - The file or directory item from the scanner.
+ * @param {Object[]} siblings - The other files in the item's directory.
+ * @returns {Promise<boolean>} - True if the item matches all conditions.
+ */
+async function matchesRule(match, item, siblings) {
+  const size = item.isDirectory ? item.totalSize : item.stats.size;
+  if ((match.type === 'directory') !== !!item.isDirectory
+    || (match.olderThan !== undefined && Date.now() - item.stats.mtimeMs < match.olderThan * DAY)
+    || (match.minSize !== undefined && size < match.minSize)
+    || (match.maxSize !== undefined && size > match.maxSize)) {
+    return false;
+  }
 
-        return null; // Skip
+  if (item.isDirectory) {
+    if (match.glob !== undefined && !minimatch(item.path, match.glob, GLOB_OPTIONS)) return false;
+    if (match.onlyContains) {
+      const entries = await fs.readdir(item.path).catch(() => []);
+      return entries.length > 0 && entries.every(name => match.onlyContains.some(glob => minimatch(name, glob, GLOB_OPTIONS)));
+    }
+    return true;
+  }
 
-      });
-    })
+  const hasSibling = (conditions) => siblings.some(sibling =>
+    matchesFile(conditions, sibling) && (!conditions.sameName || isSameName(item, sibling)));
+  return matchesFile(match, item)
+    && (match.withSibling === undefined || hasSibling(match.withSibling))
+    && (match.withoutSibling === undefined || !hasSibling(match.withoutSibling));
+}
 
-    // Wait for all tasks to complete
-    return await Promise.all(tasks);
-  }
+// The built-in checks (see ORPHAN_CHECKS), tested after the configured rules
+const CHECKS = {
+  // Sidecar files (by extension) without the photo or video they belong to, matched as file sets (see findSidecars)
+  'sidecars': {
+    test:   (file, {extensions, getSidecarsWithPrimary}) =>
+      extensions.includes(file.extension?.toLowerCase()) && !getSidecarsWithPrimary().has(file.path),
+    reason: (file) => `is a .${file.extension} sidecar file without the file it belongs to`,
+  },
+  // Files that are the only file in their directory
+  'lonely-files': {
+    test:   (file, {directory}) => directory?.fileCount === 1,
+    reason: () => 'is the only file in its directory',
+  },
+};
 
-  const returnFiles = (await processItems(items.files)).filter(item => item !== null);
+/**
+ * Finds orphaned files and directories, using the configured rules (see parseOrphanRules), followed by the built-in
+ * checks:
+ * - `sidecars`: sidecar files (by extension, e.g. .aae, .xmp or .srt) without the photo or video they belong to;
+ * - `lonely-files`: files that are the only file in their directory.
+ * Every item gets the reason of the first rule or check it matches. Ignored files are never orphans, but are still
+ * considered as siblings (e.g. as the primary file of a sidecar), and items inside an orphaned directory are left out.
+ *
+ * @param {Object} items - Results from the scanner.
+ * @param {string} binPath - The recycle bin path.
+ * @param {Object} [options]
+ * @param {string[]} [options.checks=['sidecars']] - The built-in checks to run (see ORPHAN_CHECKS).
+ * @param {string[]} [options.extensions=SIDECAR_EXTENSIONS] - The extensions of sidecar files, which are orphans
+ *        without their primary file.
+ * @param {Object[]} [options.rules=[]] - The configured rules.
+ * @returns {Promise<Object>} - The orphaned directories and files, and the total size of the files.
+ */
+async function getOrphanItems(items, binPath, {checks = ['sidecars'], extensions = SIDECAR_EXTENSIONS, rules = []} = {}) {
+  const parsedRules = parseOrphanRules(rules);
+  const sidecarExtensions = extensions.map(extension => extension.toLowerCase().replace(/^\./, ''));
+  const toOrphan = (item, reason) => ({...item, move_to: rebasePath(binPath, item.path), reason});
 
-  //Directories should be processed first to correctly establish cascading emptiness
-  return ({
-    files:       returnFiles,
-    size:        totalSize // Include total size of duplicate files
+  // Group the files per directory
+  const dirFiles = new Map();
+  items.files.forEach(file => {
+    if (!dirFiles.has(file.dir)) dirFiles.set(file.dir, []);
+    dirFiles.get(file.dir).push(file);
   });
+
+  // Directories first, outermost first, so the items inside orphaned directories can be left out
+  const directoryRules = parsedRules.filter(rule => rule.match.type === 'directory');
+  const directories = [];
+  if (directoryRules.length) {
+    const sortedDirectories = [...items.directories.values()].sort((a, b) => a.path.localeCompare(b.path));
+    for (const [progress, directory] of sortedDirectories.entries()) {
+      logger.text(`Checking for orphan directories... ${progress + 1}/${sortedDirectories.length}`);
+      if (directories.some(orphan => isInsidePath(directory.path, orphan.path))) continue;
+      for (const rule of directoryRules) {
+        if (await matchesRule(rule.match, directory, [])) {
+          directories.push(toOrphan(directory, rule.reason));
+          break;
+        }
+      }
+    }
+  }
+
+  const fileRules = [
+    ...parsedRules.filter(rule => rule.match.type === 'file').map(rule => ({
+      test:   (file, {siblings}) => matchesRule(rule.match, file, siblings),
+      reason: () => rule.reason,
+    })),
+    ...checks.map(check => CHECKS[check]),
+  ];
+  const files = [];
+  let progress = 0;
+  for (const [dir, filesInDir] of dirFiles) {
+    logger.text(`Checking for orphan files... ${++progress}/${dirFiles.size}`);
+    if (directories.some(orphan => dir === orphan.path || isInsidePath(dir, orphan.path))) continue;
+
+    let sidecarsWithPrimary;
+    const context = {
+      files:      filesInDir,
+      directory:  items.directories.get(dir),
+      extensions: sidecarExtensions,
+      getSidecarsWithPrimary: () => sidecarsWithPrimary
+        ??= new Set([...findSidecars(filesInDir, sidecarExtensions).values()].flat().map(file => file.path)),
+    };
+    for (const file of filesInDir.filter(file => !file.ignored)) {
+      const siblings = filesInDir.filter(sibling => sibling !== file);
+      for (const rule of fileRules) {
+        if (await rule.test(file, {...context, siblings})) {
+          files.push(toOrphan(file, rule.reason(file)));
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    directories,
+    files,
+    size: files.reduce((sum, file) => sum + (file.stats?.size ?? 0), 0),
+  };
 }
 
 export default getOrphanItems;
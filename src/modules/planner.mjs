@@ -0,0 +1,394 @@
+import logger from '../utils/logger.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import getDuplicateItems from './duplicateChecker.mjs';
+import getOrphanItems from './orphanDetector.mjs';
+import getSimilarImageItems from './similarImages.mjs';
+import getPermissionFiles from './permissionChecker.mjs';
+import getReorganizeItems from "./reorganizer.mjs";
+import getCleanUpItems from "./getCleanUpItems.mjs";
+import getOwnershipFiles from "./ownershipChecker.mjs";
+import getTimestampItems from "./timestampFixer.mjs";
+import scanDirectory from './scanner.mjs';
+import {doHeader, formatBytes, isInsidePath} from "../utils/helpers.mjs";
+import {saveScanIndex} from "../utils/scanIndex.mjs";
+
+/**
+ * Creates an empty operations object, with its keys in order of execution.
+ * @returns {object} - Object containing an empty array per operation.
+ */
+export function createOperations() {
+  return {
+    preCleanup:    [],
+    duplicate:     [],
+    similar:       [],
+    orphan:        [],
+    permissions:   [],
+    ownership:     [],
+    timestamps:    [],
+    reorganize:    [],
+    postCleanup:   []
+  };
+}
+
+/**
+ * Scans the configured `referencePaths`, and adds the files found to (a copy of) the scan results, marked as
+ * `reference`. Reference files are only compared against: they are always preferred as the original, and never
+ * returned as duplicates themselves. Files in the scan that are inside a reference path are treated as reference files.
+ *
+ * @param {object} scan - Results from the scanner.
+ * @param {object} config - The configuration.
+ * @param {object} [options={}] - Scan options (see scanDirectory).
+ * @returns {Promise<object>} - The scan results, including the reference files.
+ */
+async function addReferenceFiles(scan, config, options = {}) {
+  const files = new Map(scan.files);
+  for (const referencePath of config.referencePaths) {
+    doHeader(`Scanning reference path: ${referencePath}`);
+    const referenceScan = await scanDirectory(referencePath, {...config, scanPath: referencePath}, options);
+    if (!referenceScan) {
+      logger.warn(`Not comparing against reference path "${referencePath}", as it could not be scanned.`);
+      continue;
+    }
+    referenceScan.files.forEach((file, filePath) => {
+      if (!file.ignored) files.set(filePath, {...file, reference: true});
+    });
+  }
+  return {...scan, files};
+}
+
+/**
+ * Checks the scan results for everything the configured `actions` would do, and collects the resulting operations.
+ * Post-cleanup is not included, as it depends on the state after executing these operations (see getPostCleanupItems).
+ *
+ * @param {object} scan - Results from the scanner.
+ * @param {object} config - The configuration.
+ * @param {object} [options={}] - Options.
+ * @param {boolean} [options.dryRun=false] - Only plan: do not write the scan index (of reference paths either).
+ * @returns {Promise<object>} - Object containing arrays of operations, keyed by operation name, in order of execution.
+ */
+export async function getOperations(scan, config, {dryRun = false} = {}) {
+  const operations = createOperations();
+  const destructivePaths = new Set(); // Tracks paths marked for destructive actions
+  // Directories are recycled as a whole, so everything inside them is marked as well
+  const addDestructiveDirectory = (dirPath) => {
+    destructivePaths.add(dirPath);
+    [...scan.directories.keys(), ...scan.files.keys()].forEach(itemPath => {
+      if (isInsidePath(itemPath, dirPath)) destructivePaths.add(itemPath);
+    });
+  };
+  // Originals that duplicates are replaced with links to must stay where they are (or the links would break), so later
+  // moves skip them, and the directories containing them
+  const linkTargets = new Set();
+  const isLinkTarget = (itemPath) => linkTargets.has(itemPath) || [...linkTargets].some(target => isInsidePath(target, itemPath));
+
+  //Destructive operations (items can either be in of these actions or in non-destructive operations, but not both)
+  //Todo: change the logic. If an item is not processed (e.g. it is considered for pre-cleanup, but pre-cleanup is not run by the user, it is still in destructivePaths, so not processed by other operations. This doesn't make sense.
+
+  if (config.actions.includes('pre-cleanup')) {
+    logger.start('Checking for items to pre-clean...');
+    const preCleanTheseItems = await getCleanUpItems(scan, config.scanPath, config.recycleBinPath, config.emptyThreshold);
+    logger.succeed(`Found ${preCleanTheseItems.directories.length} directories and ${preCleanTheseItems.files.length} files that should be cleaned up first, totaling ${formatBytes(preCleanTheseItems.size)}.`);
+
+    [
+      ...Object.values(preCleanTheseItems.files),
+      ...Object.values(preCleanTheseItems.directories)
+    ].forEach(item => {
+      destructivePaths.add(item.path); // Add to destructive paths
+      operations.preCleanup.push({
+        ...item,
+        move_to: item.move_to,
+        reason:  item.reason
+      });
+    });
+  }
+
+  if (config.actions.includes('duplicates')) {
+    const duplicateScan = config.referencePaths.length ? await addReferenceFiles(scan, config, {dryRun}) : scan;
+    logger.start('Checking for duplicate files...');
+    const duplicates = await getDuplicateItems(duplicateScan, config.recycleBinPath, {
+      hashByteLimit:         config.hashByteLimit,
+      duplicateVerification: config.duplicateVerification,
+      hashAlgorithm:         config.hashAlgorithm,
+    }, config.duplicateAction, config.originalPreference);
+    logger.succeed(`Found ${duplicates.directories.length} directory duplicates and ${duplicates.files.length} file duplicates by hash, totaling ${formatBytes(duplicates.size)}, and ${duplicates.nearDirectories.length} nearly identical directories, totaling ${formatBytes(duplicates.nearSize)}.`);
+
+    duplicates.directories.forEach(dir => {
+      addDestructiveDirectory(dir.path);
+      operations.duplicate.push(dir);
+    });
+    duplicates.files.forEach(dupe => {
+      if (dupe.path && (dupe.move_to || dupe.link_to)) {
+        destructivePaths.add(dupe.path); // Add the file to destructive paths
+        if (dupe.link_to) linkTargets.add(dupe.link_to);
+        operations.duplicate.push(dupe);
+      }
+    });
+    // Only report nearly identical directories, as the extra file may mean one is not simply a copy of the other
+    duplicates.nearDirectories.forEach(dir => logger.debug(`  "${dir.path}" is nearly identical: ${dir.reason}`));
+  }
+
+  if (config.actions.includes('similar-images')) {
+    logger.start('Checking for similar images...');
+    // Leave out files already marked for destructive actions, e.g. exact duplicates
+    const similarScan = {...scan, files: new Map([...scan.files].filter(([filePath]) => !destructivePaths.has(filePath)))};
+    const similarImages = await getSimilarImageItems(similarScan, config.recycleBinPath, config.similarityThreshold, config.originalPreference, config.similarAction);
+    logger.succeed(`Found ${similarImages.files.length} images similar to another image, totaling ${formatBytes(similarImages.size)}.`);
+
+    if (config.similarAction === 'recycle') {
+      similarImages.files.filter(item => !isLinkTarget(item.path)).forEach(item => {
+        destructivePaths.add(item.path); // Add to destructive paths
+        operations.similar.push(item);
+      });
+    } else {
+      // Only report them, as images that merely look alike are not necessarily copies
+      similarImages.files.forEach(item => logger.debug(`  "${item.path}" is ${item.reason}`));
+    }
+  }
+
+  if (config.actions.includes('orphans')) {
+    logger.start('Checking for orphan files...');
+    const orphans = await getOrphanItems(scan, config.recycleBinPath, {
+      checks:     config.orphanChecks,
+      extensions: config.orphanFileExtensions,
+      rules:      config.orphanRules,
+    });
+    logger.succeed(`Found ${orphans.directories.length} orphaned directories and ${orphans.files.length} orphaned files.`);
+
+    orphans.directories.filter(dir => !destructivePaths.has(dir.path) && !isLinkTarget(dir.path)).forEach(dir => {
+      addDestructiveDirectory(dir.path);
+      operations.orphan.push({
+        ...dir,
+        move_to: dir.move_to
+      });
+    });
+    orphans.files.filter(item => !destructivePaths.has(item.path) && !isLinkTarget(item.path)).forEach(item => {
+      destructivePaths.add(item.path); // Add to destructive paths
+      operations.orphan.push({
+        ...item,
+        move_to: item.move_to
+      });
+    });
+  }
+
+  //Non-Destructive operations (items can be in multiple of these actions)
+
+  if (config.actions.includes('reorganize')) {
+    logger.start('Checking if reorganizing is possible...');
+    // Leave out files marked for destructive actions up front, so they don't claim targets when checking for collisions
+    const reorganizeScan = {...scan, files: new Map([...scan.files].filter(([filePath]) => !destructivePaths.has(filePath)))};
+    const reorganizeTheseFiles = await getReorganizeItems(reorganizeScan, config.reorganizeTemplate, config.dateThreshold, (config.relativePath || config.scanPath), config.onConflict, config.handleSidecarFiles, config.timezone || undefined, {
+      sources:           config.dateSources,
+      stopAtFirstSource: config.stopAtFirstDateSource,
+      filenamePatterns:  config.filenameDatePatterns,
+    }, config.orphanFileExtensions);
+    logger.succeed(`Found ${reorganizeTheseFiles.files.length} items that can be reorganized.`);
+    reorganizeTheseFiles.files.forEach(item => {
+      // Skip if path is in destructivePaths, or if the item (or the file it is a sidecar of) is a link target
+      if (!destructivePaths.has(item.path) && !isLinkTarget(item.path) && !(item.sidecar_of && isLinkTarget(item.sidecar_of))) {
+        operations.reorganize.push({
+          ...item,
+          move_to:    item.move_to,
+          date_found: item.date,
+        });
+      }
+    });
+  }
+
+  if (config.actions.includes('permissions')) {
+    if (config.filePerm && config.dirPerm) {
+      logger.start('Checking permissions...');
+      const wrongPermissions = await getPermissionFiles(scan, config.filePerm, config.dirPerm);
+      logger.succeed(`Found ${wrongPermissions.length} items with wrong permissions.`);
+      wrongPermissions.forEach(item => {
+        if (!destructivePaths.has(item.path)) { // Skip if path is in destructivePaths
+          operations.permissions.push({
+            ...item,
+            mode:         item.currentMode,
+            change_mode:  item.desiredMode,
+            fsChmodValue: item.fsChmodValue
+          });
+        }
+      });
+    } else {
+      logger.warn('Skipping permission checks due to missing config values (filePerm & dirPerm).')
+    }
+  }
+
+  if (config.actions.includes('ownership')) {
+    if (config.owner_user && config.owner_group) {
+      logger.start('Checking ownership...');
+      const wrongOwnership = await getOwnershipFiles(scan, config.owner_user, config.owner_group);
+      logger.succeed(`Found ${wrongOwnership.length} items with wrong ownership.`);
+      wrongOwnership.forEach(item => {
+        if (!destructivePaths.has(item.path)) { // Skip if path is in destructivePaths
+          operations.ownership.push({
+            ...item,
+            owner:        item.currentUser,
+            group:        item.currentGroup,
+            new_owner:    item.expectedUser,
+            new_group:    item.expectedGroup,
+            new_owner_id: item.expectedUid,
+            new_group_id: item.expectedGid,
+          });
+        }
+      });
+    } else {
+      logger.warn('Skipping ownership checks due to missing config values (owner_user & owner_group).')
+    }
+  }
+
+  if (config.actions.includes('fix-timestamps')) {
+    logger.start('Checking file timestamps...');
+    const wrongTimestamps = await getTimestampItems(scan, {
+      sources:          config.timestampDateSources,
+      tolerance:        config.timestampTolerance,
+      dateThreshold:    config.dateThreshold,
+      timezone:         config.timezone || undefined,
+      filenamePatterns: config.filenameDatePatterns,
+    });
+    logger.succeed(`Found ${wrongTimestamps.files.length} files whose modification time differs from their date.`);
+    wrongTimestamps.files.forEach(item => {
+      if (!destructivePaths.has(item.path)) { // Skip if path is in destructivePaths
+        operations.timestamps.push(item);
+      }
+    });
+  }
+
+  // Store the hashes and dates found while checking, for the next scan
+  if (scan.index && !dryRun) await saveScanIndex(scan.index);
+
+  return operations;
+}
+
+/**
+ * Checks the scan results for items that should be cleaned up after all other operations have been executed.
+ *
+ * @param {object} scan - Results from the scanner, reflecting the state after executing all other operations.
+ * @param {object} config - The configuration.
+ * @returns {Promise<object[]>} - The post-cleanup operations.
+ */
+export async function getPostCleanupItems(scan, config) {
+  logger.start('Checking for items to post-clean...');
+  const postCleanTheseItems = await getCleanUpItems(scan, config.scanPath, config.recycleBinPath, config.emptyThreshold);
+  logger.succeed(`Found ${postCleanTheseItems.directories.length} directories and ${postCleanTheseItems.files.length} files requiring cleaning up after running all actions, totaling ${formatBytes(postCleanTheseItems.size)}.`);
+
+  return [
+    ...Object.values(postCleanTheseItems.files),
+    ...Object.values(postCleanTheseItems.directories)
+  ].map(item => ({
+    ...item,
+    depth:   item.depth,
+    dir:     item.dir,
+    path:    item.path,
+    size:    item.stats.size,
+    move_to: item.move_to,
+    reason:  item.reason
+  }));
+}
+
+/**
+ * Converts planned operations into flat rows, e.g. to write them to a plan file for review.
+ * The size and modification time of every item are included, so changes made after planning can be detected.
+ *
+ * @param {object} config - The configuration the operations were planned for.
+ * @param {object} operations - Object containing arrays of operations, keyed by operation name.
+ * @returns {object[]} - One row per item.
+ */
+export function toPlanRows(config, operations) {
+  return Object.entries(operations).flatMap(([operation, items]) => items.map(item => ({
+    scanPath:     config.scanPath,
+    operation,
+    path:         item.path,
+    isDirectory:  !!item.isDirectory,
+    size:         item.stats?.size,
+    mtimeMs:      item.stats?.mtimeMs,
+    move_to:      item.move_to,
+    link_to:      item.link_to,
+    link_type:    item.link_type,
+    mode:         item.change_mode !== undefined ? item.mode : undefined,
+    change_mode:  item.change_mode,
+    owner:        item.owner,
+    group:        item.group,
+    new_owner:    item.new_owner,
+    new_group:    item.new_group,
+    new_owner_id: item.new_owner_id,
+    new_group_id: item.new_group_id,
+    change_mtime: item.change_mtime,
+    change_atime: item.change_atime,
+    reason:       item.reason,
+    duplicate_of: item.duplicate_of,
+  })));
+}
+
+/**
+ * Converts plan rows back into operations that can be executed. Every item is checked against the filesystem first:
+ * items that no longer exist, or whose size or modification time changed since planning, are skipped.
+ *
+ * @param {object[]} rows - The plan rows (see toPlanRows).
+ * @returns {Promise<{operations: object, skipped: {row: object, reason: string}[]}>} - The operations, and the rows that were skipped.
+ */
+export async function getPlannedOperations(rows) {
+  const operations = createOperations();
+  const skipped = [];
+  let progress = 0;
+
+  for (const row of rows) {
+    progress += 1;
+    logger.text(`Checking planned items... ${progress}/${rows.length}`);
+
+    if (!row.operation || !row.path) {
+      skipped.push({row, reason: 'missing operation or path'});
+      continue;
+    }
+
+    let stats;
+    try {
+      stats = await fs.lstat(row.path);
+    } catch {
+      skipped.push({row, reason: 'no longer exists'});
+      continue;
+    }
+    if ((row.size !== undefined && stats.size !== row.size) || (row.mtimeMs !== undefined && Math.abs(stats.mtimeMs - row.mtimeMs) >= 1)) {
+      skipped.push({row, reason: 'changed since planning'});
+      continue;
+    }
+
+    const item = {
+      path:         row.path,
+      dir:          path.dirname(row.path),
+      name:         path.basename(row.path),
+      isFile:       !stats.isDirectory(),
+      isDirectory:  stats.isDirectory(),
+      stats,
+      reason:       row.reason,
+      duplicate_of: row.duplicate_of,
+    };
+    if (row.move_to) {
+      item.move_to = row.move_to;
+    } else if (row.link_to) {
+      Object.assign(item, {link_to: row.link_to, link_type: row.link_type});
+    } else if (row.change_mode) {
+      Object.assign(item, {mode: row.mode, change_mode: row.change_mode, fsChmodValue: parseInt(row.change_mode, 8)});
+    } else if (row.new_owner_id !== undefined && row.new_group_id !== undefined) {
+      Object.assign(item, {
+        owner:        row.owner,
+        group:        row.group,
+        new_owner:    row.new_owner,
+        new_group:    row.new_group,
+        new_owner_id: row.new_owner_id,
+        new_group_id: row.new_group_id,
+      });
+    } else if (row.change_mtime !== undefined) {
+      Object.assign(item, {mtime: stats.mtimeMs, change_mtime: row.change_mtime, change_atime: row.change_atime});
+    } else {
+      skipped.push({row, reason: 'nothing to do'});
+      continue;
+    }
+
+    if (!operations[row.operation]) operations[row.operation] = [];
+    operations[row.operation].push(item);
+  }
+
+  return {operations, skipped};
+}
@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../utils/logger.mjs';
+import {isInsidePath} from "../utils/helpers.mjs";
+import {readTrashInfo, removeTrashInfo, TRASHINFO_EXTENSION} from "../utils/trashInfo.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculates the total size of a file, or of all files inside a directory.
+ * @param {string} itemPath - Path to the file or directory.
+ * @returns {Promise<number>} - The size in bytes.
+ */
+async function getPathSize(itemPath) {
+  const stats = await fs.lstat(itemPath);
+  if (!stats.isDirectory()) return stats.size;
+
+  let size = 0;
+  for (const entry of await fs.readdir(itemPath)) {
+    size += await getPathSize(path.join(itemPath, entry));
+  }
+  return size;
+}
+
+/**
+ * Lists the items in the recycle bin that have metadata (i.e. a .trashinfo file) describing where they came from.
+ * The bin's own administration (journal etc.) is skipped.
+ *
+ * @param {string} binPath - The recycle bin path.
+ * @returns {Promise<object[]>} - The bin entries, each with the item's path in the bin, its metadata (see readTrashInfo),
+ *                                size and type.
+ */
+export async function getBinEntries(binPath) {
+  const entries = [];
+  const queue = [binPath];
+
+  while (queue.length > 0) {
+    const currentDir = queue.shift();
+    let dirItems;
+    try {
+      dirItems = await fs.readdir(currentDir, {withFileTypes: true});
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    for (const dirItem of dirItems) {
+      const fullPath = path.join(currentDir, dirItem.name);
+      if (dirItem.isDirectory()) {
+        if (currentDir !== binPath || dirItem.name !== '.easy-file-maintenance') queue.push(fullPath);
+        continue;
+      }
+      if (!dirItem.name.endsWith(TRASHINFO_EXTENSION)) continue;
+
+      const itemPath = fullPath.slice(0, -TRASHINFO_EXTENSION.length);
+      let stats;
+      try {
+        stats = await fs.lstat(itemPath);
+      } catch {
+        continue; // Stale metadata, the item itself is gone
+      }
+
+      entries.push({
+        ...await readTrashInfo(itemPath),
+        path:        itemPath,
+        name:        path.basename(itemPath),
+        dir:         path.dirname(itemPath),
+        isDirectory: stats.isDirectory(),
+        isFile:      !stats.isDirectory(),
+        size:        await getPathSize(itemPath),
+      });
+      logger.text(`Reading recycle bin... ${entries.length} items found`);
+    }
+  }
+
+  return entries.sort((a, b) => (a.deletionDate ?? 0) - (b.deletionDate ?? 0));
+}
+
+/**
+ * Creates the operations that move bin entries back to their original location.
+ *
+ * @param {object[]} entries - Bin entries (see getBinEntries).
+ * @param {string} selector - Either a run id (restores everything recycled during that run), or a path (restores every
+ *                            entry that was originally at, or inside, that path, or is located at or inside it in the bin).
+ * @returns {Promise<object[]>} - Items that can be handed to executeOperations. Entries whose original location is
+ *                                 occupied again are left out, so nothing gets overwritten.
+ */
+export async function getRestoreItems(entries, selector) {
+  const matchesPath = (entryPath) => path.resolve(entryPath) === path.resolve(selector) || isInsidePath(entryPath, selector);
+  const items = [];
+
+  for (const entry of entries) {
+    if (!entry.originalPath || !(entry.runId === selector || matchesPath(entry.originalPath) || matchesPath(entry.path))) continue;
+
+    try {
+      await fs.lstat(entry.originalPath);
+      logger.warn(`Not restoring "${entry.path}": "${entry.originalPath}" already exists.`);
+      continue;
+    } catch {
+      // Original location is free
+    }
+
+    items.push({
+      ...entry,
+      move_to: entry.originalPath,
+      reason:  `restore from recycle bin (${entry.operation ?? 'unknown operation'}: ${entry.reason ?? 'no reason recorded'})`,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Creates the operations that permanently delete bin entries that have been in the recycle bin longer than the retention period.
+ *
+ * @param {object[]} entries - Bin entries (see getBinEntries).
+ * @param {number} retentionDays - Number of days entries are kept.
+ * @param {Date} [now=new Date()] - The reference date.
+ * @returns {object[]} - Items that can be handed to executeOperations.
+ */
+export function getPurgeItems(entries, retentionDays, now = new Date()) {
+  return entries
+  .filter(entry => entry.deletionDate && (now - entry.deletionDate) > retentionDays * DAY_MS)
+  .map(entry => ({
+    ...entry,
+    reason:      `recycled ${Math.floor((now - entry.deletionDate) / DAY_MS)} days ago, retention is ${retentionDays} days`,
+    description: `permanently delete "${entry.path}"`,
+    action:      async (item) => {
+      await fs.rm(item.path, {recursive: true, force: true});
+      await removeTrashInfo(item.path);
+      return {success: true, sizeAffected: item.size};
+    },
+  }));
+}
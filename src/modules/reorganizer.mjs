@@ -1,47 +1,15 @@
 import logger from '../utils/logger.mjs';
-import fs from 'fs/promises';
 import path from 'path';
-import exifParser from 'exif-parser';
 import pLimit from "p-limit";
-import {normalizeExtension, normalizePath} from "../utils/helpers.mjs";
+import {findSidecars, normalizeExtension, normalizePath, SIDECAR_EXTENSIONS} from "../utils/helpers.mjs";
+import {getOccupantOnDisk, resolveConflict} from "../utils/conflicts.mjs";
+import {readExifData, readExifDates} from "../utils/exif.mjs";
+import {readMediaDates} from "../utils/mediaMetadata.mjs";
+import {parseTemplateRules, renderTemplate, selectTemplate} from "../utils/template.mjs";
+import {clockToMoment, formatMoment, getSystemTimezone, momentToClock} from "../utils/timezone.mjs";
+import {compileDatePattern, DATE_SOURCES, DEFAULT_DATE_PATTERNS, findDates} from "../utils/datePatterns.mjs";
 
 const FILE_LIMIT = pLimit(10); // Limit concurrency
-const SUPPORTED_EXIF_EXTENSIONS = new Set([
-  "jpg",    // JPEG image
-  "jpeg",   // Alternate extension for JPEG
-  "tif",    // TIFF image
-  "tiff",   // Alternate extension for TIFF
-  "png",    // PNG image (limited EXIF support)
-  "webp",   // WEBP image (limited EXIF support)
-  "heif",   // High Efficiency Image Format
-  "heic",   // High Efficiency Image Coding
-  "dng",    // Digital Negative (RAW)
-  "arw",    // Sony Alpha RAW
-  "cr2",    // Canon RAW 2
-  "cr3",    // Canon RAW 3
-  "nef",    // Nikon RAW
-  "nrw",    // Nikon RAW (Coolpix)
-  "orf",    // Olympus RAW
-  "raf",    // Fujifilm RAW
-  "rw2",    // Panasonic RAW
-  "raw",    // Generic RAW
-  "rwl",    // Leica RAW
-  "sr2",    // Sony RAW 2
-  "srw",    // Samsung RAW
-  "3fr",    // Hasselblad RAW
-  "ari",    // ARRI RAW
-  "bay",    // Casio RAW
-  "cap",    // Phase One RAW
-  "iiq",    // Phase One RAW
-  "eip",    // Phase One Enhanced Image Package
-  "erf",    // Epson RAW
-  "fff",    // Imacon/Hasselblad RAW
-  "mef",    // Mamiya RAW
-  "mos",    // Leaf RAW
-  "mrw",    // Minolta RAW
-  "pef",    // Pentax RAW
-  "x3f"     // Sigma RAW (Foveon)
-]);
 
 /**
  * Append a string to the filename while preserving its extension.
@@ -56,124 +24,147 @@ export function appendToFilename(fileName, appendString) {
 }
 
 /**
- * Extracts potential dates from a file's metadata and name.
- * @param {Object} file - The file object with metadata.
- * @param {Date} dateThreshold - The date threshold for sanity checking.
- * @param {boolean} evalFullPath - Whether to process filenames only, or the full path
- * @returns {Object} - The oldest valid date or null if none are valid, and the source of the date
+ * Determines where a sidecar file should be moved, along with its primary file: next to the primary's target, with
+ * the same base name (e.g. "IMG_1234.AAE" and "IMG_1234.HEIC.xmp" follow "IMG_1234.HEIC" to "2023/05/photo_001.AAE"
+ * and "2023/05/photo_001.HEIC.xmp").
+ * @param {Object} sidecar - The sidecar file.
+ * @param {Object} primary - The primary file.
+ * @param {string} primaryTarget - Where the primary file is moved.
+ * @returns {string} - The target path of the sidecar.
  */
-export async function extractOldestDate(file, dateThreshold, evalFullPath = true) {
-  const dates = [];
-  let fh;
-
-  // Step 1: Check for EXIF data
-  if (SUPPORTED_EXIF_EXTENSIONS.has(file.extension.toLowerCase())) {
-    try {
-      fh = await fs.open(file.path, 'r');
-      const buffer = Buffer.alloc(64 * 1024); // 64KB buffer
-      await fh.read(buffer, 0, buffer.length, 0);
-      const parser = exifParser.create(buffer);
-      const exifData = parser.parse();
-      if (exifData && exifData.tags.DateTimeOriginal) {
-        dates.push({
-          date: new Date(exifData.tags.DateTimeOriginal * 1000), // Convert to milliseconds
-          source: 'exif'
-        });
-      }
-    } catch {
-      // Ignore errors (e.g., non-image files or missing EXIF data)
-    } finally {
-      if (fh) {
-        await fh.close();
-      }
-    }
+function getSidecarTarget(sidecar, primary, primaryTarget) {
+  const primaryExtension = `.${primary.extension}`.toLowerCase();
+  let suffix = sidecar.name.toLowerCase().startsWith(primary.baseName.toLowerCase()) ? sidecar.name.slice(primary.baseName.length) : `.${sidecar.extension}`;
+  if (suffix.toLowerCase().startsWith(`${primaryExtension}.`)) {
+    // Follow the primary's extension as it is in its target (e.g. lowercased)
+    suffix = path.extname(primaryTarget) + suffix.slice(primaryExtension.length);
   }
+  return path.join(path.dirname(primaryTarget), `${path.basename(primaryTarget, path.extname(primaryTarget))}${suffix}`);
+}
 
-  // Step 2: Check the filename and path for dates
-  const datePatterns = [
-    /(\d{4})([-\s]?)(\d{2})([-\s]?)(\d{2})/g,    // YYYYMMDD or YYYY-MM-DD
-    /(\d{2})([-\s]?)(\d{2})([-\s]?)(\d{4})/g,    // DDMMYYYY or DD-MM-YYYY
-    /(\d{10})/g                                  // Epoch timestamp
-  ];
-
-  const targetString = evalFullPath ? file.path : file.name;
-
-  for (const pattern of datePatterns) {
-    const matches = targetString.matchAll(pattern); // Match against the full path or filename
-    for (const match of matches) {
-      const [fullMatch, part1, , part2, , part3] = match; // Ignore separators
-      let date;
-
-      // Handle epoch timestamps
-      if (pattern === /\b(\d{10})\b/g) {
-        const epoch = Number(fullMatch);
-        if (epoch >= 0) { // Basic sanity check for epoch
-          date = new Date(epoch * 1000);
-          if (!isNaN(date)) {
-            dates.push({ date, source: evalFullPath ? 'path (epoch)' : 'filename (epoch)' });
-          }
-        }
-        continue;
-      }
-
-      // Parse year, month, day based on position
-      const year = part1.length === 4 ? part1 : part3; // Look for 4-digit year
-      const isStartYear = part1.length === 4;
-      const month = isStartYear ? part2 : part2; // `part2` is always month candidate
-      const day = isStartYear ? part3 : part1;   // Determine day based on year position
-
-      // Validate ranges
-      if (
-        year >= 1900 && year <= 2099 && // Valid year range
-        month >= 1 && month <= 12 &&    // Valid month range
-        day >= 1 && day <= 31           // Valid day range
-      ) {
-        // Construct date
-        date = new Date(`${year}-${month}-${day}`);
-        if (!isNaN(date)) { // Ensure the date is valid
-          dates.push({ date, source: evalFullPath ? 'path' : 'filename' });
-        }
-      }
+/**
+ * Reads the dates of a file from one source (see DATE_SOURCES).
+ * @param {Object} file - The file object with metadata.
+ * @param {string} source - The source: 'exif', 'media', 'filename', 'path' or 'mtime'.
+ * @param {RegExp[]} patterns - The patterns for dates in file and directory names (see findDates).
+ * @param {Object} [index] - The scan index, to cache EXIF and media dates in
+ * @returns {Promise<Object[]>} - The dates, with their source and (if known) their offset from UTC.
+ */
+async function readSourceDates(file, source, patterns, index) {
+  switch (source) {
+    case 'exif': {
+      // Only the most reliable date is used (e.g. DateTimeOriginal, rather than CreateDate or the GPS timestamp)
+      const [exifDate] = await readExifDates(file, index);
+      return exifDate ? [exifDate] : [];
     }
+    case 'media': {
+      // The metadata of audio and video files (e.g. the creation date of MP4 and MOV files); like for EXIF data, only
+      // the most reliable date is used (e.g. the local creation date of an iPhone video, rather than its UTC time)
+      const [mediaDate] = await readMediaDates(file, index);
+      return mediaDate ? [mediaDate] : [];
+    }
+    case 'filename':
+    case 'path':
+      return findDates(source === 'filename' ? file.name : file.dir, patterns).map(({date, isEpoch}) => isEpoch
+        ? {date, source: `${source} (epoch)`, offset: 0, offsetSource: `${source} (epoch)`}
+        : {date, source});
+    case 'mtime': {
+      const mtime = file.stats?.mtime || file.mtime;
+      return mtime ? [{date: new Date(mtime), source: 'timestamps (mtime)', offset: 0, offsetSource: 'timestamps (mtime)'}] : [];
+    }
+    default:
+      return [];
   }
+}
 
-  if (!dates.length) {
-    // Step 3: Check file creation or birth timestamps as a last resort
-    const timestampSources = [
-      //{ key: 'birthtime', source: 'timestamps (birthtime)' },
-      //{ key: 'ctime', source: 'timestamps (ctime)' },
-      { key: 'mtime', source: 'timestamps (mtime)' }
-    ];
-
-    timestampSources.forEach(({ key, source }) => {
-      if (file.stats?.[key] || file[key]) {
-        dates.push({
-          date: new Date(file.stats?.[key] || file[key]),
-          source
-        });
+/**
+ * Extracts potential dates from a file's metadata, name and path, and timestamps.
+ * Dates found as clock times (e.g. EXIF dates, which hold the time on the camera's clock) are converted to the moment
+ * they describe using their offset from UTC if it is known (e.g. from OffsetTimeOriginal, or derived from the GPS
+ * timestamp), or using the timezone otherwise.
+ *
+ * @param {Object} file - The file object with metadata.
+ * @param {Date} dateThreshold - The date threshold for sanity checking.
+ * @param {Object} [index] - The scan index, to cache EXIF and media dates in
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - The timezone of clock times without an offset (defaults to the system's timezone)
+ * @param {string[]} [options.sources] - The sources to read dates from, in order of priority (see DATE_SOURCES).
+ * @param {boolean} [options.stopAtFirstSource=true] - Whether to only use the first source with a valid date, or the
+ *        oldest date of all sources.
+ * @param {RegExp[]} [options.patterns] - The patterns for dates in file and directory names (see findDates).
+ * @returns {Object} - The oldest valid date (of the first source with one) or null if none are valid, the source of the
+ *          date, and the offset from UTC it was found with (in minutes) and where that offset was found
+ */
+export async function extractOldestDate(file, dateThreshold, index, {
+  timezone = getSystemTimezone(),
+  sources = DATE_SOURCES,
+  stopAtFirstSource = true,
+  patterns = DEFAULT_DATE_PATTERNS.map(compileDatePattern),
+} = {}) {
+  const moments = [];
+  const validDates = [];
+
+  for (const source of sources) {
+    // Convert clock times to moments, using their own offset from UTC if known, and the timezone otherwise
+    const sourceMoments = (await readSourceDates(file, source, patterns, index)).map(entry => {
+      if (entry.offset !== undefined) {
+        return {...entry, date: new Date(entry.date.getTime() - entry.offset * 60000)};
       }
+      const {date, offset} = clockToMoment(entry.date, timezone);
+      return {...entry, date, offset, offsetSource: `timezone (${timezone})`};
     });
-
+    moments.push(...sourceMoments);
+    validDates.push(...sourceMoments.filter(entry => entry.date > dateThreshold));
+    if (stopAtFirstSource && validDates.length > 0) {
+      break; // Sources further down the list are less trusted
+    }
   }
 
-  // Step 4: Determine the oldest date
-  const validDates = dates.filter(entry => entry.date > dateThreshold);
+  // Determine the oldest date
   if (validDates.length > 0) {
     return validDates.reduce((a, b) => (a.date < b.date ? a : b));
   }
 
-  return { date: null, source: null, dates }; // No valid dates found
+  return { date: null, source: null, dates: moments }; // No valid dates found
 }
 
-
 /**
  * Reorganizes files into a structured directory hierarchy based on extracted dates.
  * @param {object} items - Object containing file details from the scanner.
- * @param {string} targetStructure - The target directory structure (e.g., "/year/month/").
+ * @param {string|Object[]} targetStructure - The template for the target paths (e.g., "/{year}/{month}/"), or rules
+ *        selecting a template per file (see parseTemplateRules).
  * @param {Date} dateThreshold - The date threshold for sanity checking.
  * @param relPath
+ * @param {string} [onConflict='rename'] - What to do when targets collide (see resolveConflict).
+ * @param {boolean} [handleSidecars=true] - Whether sidecar files (see findSidecars) are moved along with their primary
+ *        file (taking its date and target base name), instead of on their own.
+ * @param {string} [timezone] - The timezone files are sorted into years, months, days etc. in, which is also used for
+ *        clock times without an offset from UTC (defaults to the system's timezone).
+ * @param {Object} [dateOptions] - Where dates are read from (see extractOldestDate).
+ * @param {string[]} [dateOptions.sources] - The sources of dates, in order of priority (see DATE_SOURCES).
+ * @param {boolean} [dateOptions.stopAtFirstSource=true] - Whether to only use the first source with a valid date.
+ * @param {string[]} [dateOptions.filenamePatterns=[]] - Patterns for dates in file and directory names, tried before
+ *        the default patterns (see compileDatePattern).
+ * @param {string[]} [sidecarExtensions=SIDECAR_EXTENSIONS] - The extensions of sidecar files (the same list the orphans
+ *        action uses, so sidecars that are moved along are not left behind as orphans).
  */
-async function getReorganizeItems(items, targetStructure = '/{year}/{month}/', dateThreshold = new Date('1995-01-01'), relPath) {
+async function getReorganizeItems(items, targetStructure = '/{year}/{month}/', dateThreshold = new Date('1995-01-01'), relPath, onConflict = 'rename', handleSidecars = true, timezone = getSystemTimezone(), dateOptions = {}, sidecarExtensions = SIDECAR_EXTENSIONS) {
+  const rules = parseTemplateRules(targetStructure);
+  const {sources = DATE_SOURCES, stopAtFirstSource = true, filenamePatterns = []} = dateOptions;
+  const patterns = [...filenamePatterns, ...DEFAULT_DATE_PATTERNS].map(compileDatePattern);
+  const extensions = sidecarExtensions.map(extension => extension.toLowerCase().replace(/^\./, ''));
+
+  // Find the sidecar files of every file, per directory
+  const sidecars = new Map();
+  if (handleSidecars) {
+    const dirFiles = new Map();
+    items.files.forEach(file => {
+      if (!dirFiles.has(file.dir)) dirFiles.set(file.dir, []);
+      dirFiles.get(file.dir).push(file);
+    });
+    dirFiles.forEach(files => findSidecars(files, extensions).forEach((found, primaryPath) => sidecars.set(primaryPath, found)));
+  }
+  const sidecarPaths = new Set([...sidecars.values()].flat().map(file => file.path));
   let progress = 0;
   const processFiles = async (files) => {
     const tasks = Array.from(files, ([value, file]) => {
@@ -182,46 +173,48 @@ async function getReorganizeItems(items, targetStructure = '/{year}/{month}/', d
         progress += 1; // Increment progress after processing
         logger.text(`Scanning for dates in files... ${progress}/${files.size}`);
 
+        if (sidecarPaths.has(file.path)) {
+          return null; // Sidecar files are moved along with their primary file
+        }
+
+        const template = selectTemplate(rules, file);
+        if (!template) {
+          return null; // Skip files that match no template rule, or a rule that leaves them where they are
+        }
+
         // Simulate async operation, e.g., reading file contents
-        const oldestDate = await extractOldestDate(file, dateThreshold);
+        const oldestDate = await extractOldestDate(file, dateThreshold, items.index, {timezone, sources, stopAtFirstSource, patterns});
 
         if (!oldestDate.date || file.isDirectory || file.delete) {
           return null; // Skip files without a valid date, directories, files to be deleted, or ignored files
         }
+        const needsCamera = template.tokens.has('cameraMake') || template.tokens.has('cameraModel');
 
-        const year = oldestDate.date.getUTCFullYear();
-        const month = String(oldestDate.date.getUTCMonth() + 1).padStart(2, '0'); // Months are zero-indexed
-        const day = String(oldestDate.date.getUTCDate()).padStart(2, '0');
+        const context = {
+          file,
+          date:       momentToClock(oldestDate.date, timezone),
+          dateSource: oldestDate.source,
+          camera:     needsCamera ? await readExifData(file, items.index) : undefined,
+          root:       relPath,
+        };
 
         //pathRef is used to preserve any references present in the original directory
         //(e.g. /path/My Wedding Photos/ -> "path_My_Wedding_Photos_" is added to the filename)
         const pathRef = normalizePath(file.dir).replace(relPath, '').replace(/[\\/]/g, '_');
 
-        let targetPath = path.join(relPath, targetStructure
-        .replace('{year}', year)
-        .replace('{month}', month)
-        .replace('{day}', day)
-        .replace('{filename}', file.baseName)
-        .replace('{extension}', file.extension));
-
-        //Only add path reference if we are actually moving the file to a different directory
-        if (path.dirname(targetPath) !== path.dirname(file.path) && !file.name.includes(pathRef)) {
-          targetPath.replace(file.baseName, appendToFilename(file.baseName, `_${pathRef}`));
-        }
-
-        //Clean up the path (double extensions, etc.)
-        targetPath = normalizeExtension(normalizePath(targetPath), file.extension);
+        const getTargetPath = (counter) => {
+          let targetPath = path.join(relPath, renderTemplate(template, {...context, counter}));
 
-        if (targetPath.toLowerCase() !== normalizePath(file.path).toLowerCase()) {
-          return {
-            ...file,
-            move_to: targetPath,
-            date: oldestDate
-          };
-        }
+          //Only add path reference if we are actually moving the file to a different directory
+          if (path.dirname(targetPath) !== path.dirname(file.path) && !file.name.includes(pathRef)) {
+            targetPath.replace(file.baseName, appendToFilename(file.baseName, `_${pathRef}`));
+          }
 
-        return null; // Skip if already in the correct directory
+          //Clean up the path (double extensions, etc.)
+          return normalizeExtension(normalizePath(targetPath), file.extension);
+        };
 
+        return {...file, move_to: getTargetPath(), date: oldestDate, getTargetPath};
       });
     });
 
@@ -229,9 +222,69 @@ async function getReorganizeItems(items, targetStructure = '/{year}/{month}/', d
     return await Promise.all(tasks);
   };
 
-  const processedFiles = await processFiles(items.files);
+  const datedFiles = (await processFiles(items.files)).filter(item => item !== null);
+
+  // Number the files that would get the same target path, in order of their date
+  if (rules.some(rule => rule.template?.tokens.has('counter'))) {
+    const groups = new Map();
+    datedFiles.forEach(file => {
+      const key = file.move_to.toLowerCase();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(file);
+    });
+    groups.forEach(group => group
+      .sort((a, b) => a.date.date - b.date.date || a.path.localeCompare(b.path))
+      .forEach((file, idx) => file.move_to = file.getTargetPath(idx + 1)));
+  }
+
+  // Skip files that are already in the correct place
+  const processedFiles = datedFiles
+    .filter(file => file.move_to.toLowerCase() !== normalizePath(file.path).toLowerCase())
+    .map(({getTargetPath, ...file}) => file);
+
+  // Detect collisions while planning: targets that already exist, or that more than one file is headed for.
+  // Files that are moved away are still considered occupants of their path, as they might not be moved after all.
+  const plannedTargets = new Map();
+  const getOccupant = async (targetPath) => plannedTargets.get(targetPath.toLowerCase()) ?? await getOccupantOnDisk(targetPath);
+  const files = [];
+  progress = 0;
+  for (const file of processedFiles) {
+    progress += 1;
+    logger.text(`Checking for target collisions... ${progress}/${processedFiles.length}`);
+
+    const {target, reason} = await resolveConflict(file.path, file.move_to, onConflict, getOccupant);
+    if (!target) {
+      logger.warn(`Not reorganizing "${file.path}": ${reason}`);
+      continue;
+    }
+
+    // Sidecars follow their primary file; if any of their targets is taken, the whole set stays where it is
+    const fileSidecars = (sidecars.get(file.path) ?? []).map(sidecar => ({
+      ...sidecar,
+      move_to:    getSidecarTarget(sidecar, file, target),
+      date:       file.date,
+      sidecar_of: file.path,
+      reason:     `sidecar of "${file.path}"`,
+    }));
+    const sidecarOccupants = await Promise.all(fileSidecars.map(sidecar => getOccupant(sidecar.move_to)));
+    const takenIdx = sidecarOccupants.findIndex((occupant, idx) => occupant && occupant !== fileSidecars[idx].path);
+    if (takenIdx !== -1) {
+      logger.warn(`Not reorganizing "${file.path}": the target of its sidecar "${fileSidecars[takenIdx].path}" is already taken`);
+      continue;
+    }
+
+    // Report the date used, with the offset from UTC it was found with
+    const {date, offset, source, offsetSource} = file.date;
+    const dateReason = `dated ${formatMoment(date, offset)} from ${source}${offsetSource !== source ? `, offset from ${offsetSource}` : ''}`;
+    plannedTargets.set(target.toLowerCase(), file.path);
+    files.push({...file, move_to: target, reason: reason ? `${dateReason}; ${reason}` : dateReason});
+    fileSidecars.forEach(sidecar => {
+      plannedTargets.set(sidecar.move_to.toLowerCase(), sidecar.path);
+      files.push(sidecar);
+    });
+  }
 
-  return ({ ...items, files: processedFiles.filter(item => item !== null) })
+  return ({ ...items, files })
 }
 
 export default getReorganizeItems;
\ No newline at end of file
@@ -1,7 +1,8 @@
 import logger from '../utils/logger.mjs';
 import fs from 'fs/promises';
 import path from 'path';
-import {formatBytes, matchPattern, updateDirectoryStats} from "../utils/helpers.mjs";
+import {formatBytes, isInsidePath, matchPattern, updateDirectoryStats} from "../utils/helpers.mjs";
+import {createIndexedStats, getIndexedChildren, indexItem, loadScanIndex, saveScanIndex} from "../utils/scanIndex.mjs";
 
 function createItem(name, stats, fullPath, depth) {
   return {
@@ -16,26 +17,56 @@ function createItem(name, stats, fullPath, depth) {
   }
 }
 
-async function getFiles(dir, config) {
+/**
+ * Lists the items in a directory. If the directory is unchanged since it was indexed, its children are taken from the
+ * index (including the stats of files) instead of reading the directory. Subdirectories always need to be checked
+ * again, as changes inside them do not change the modification time of their parent.
+ *
+ * @param {string} dir - Path of the directory.
+ * @param {object} dirStats - fs.Stats of the directory.
+ * @param {object} [index] - The scan index (see loadScanIndex), if any.
+ * @returns {Promise<{name: string, isDirectory: function(): boolean, stats?: object}[]>} - The items in the directory.
+ */
+async function readDirectory(dir, dirStats, index) {
+  const indexedChildren = index ? getIndexedChildren(index, path.resolve(dir), dirStats) : null;
+  if (!indexedChildren) {
+    return fs.readdir(dir, {withFileTypes: true});
+  }
+  return indexedChildren.map(entry => ({
+    name:        path.basename(entry.path),
+    isDirectory: () => entry.isDirectory,
+    stats:       entry.isDirectory ? undefined : createIndexedStats(entry),
+  }));
+}
+
+async function getFiles(dir, config, index) {
   const results = {directories: new Map(), files: new Map(), counters: {dir: 0, file: 0, size: 0, filesignored: 0, dirsignored: 0}};
-  const queue = [{dir, depth: 0}];
+  const rootStats = await fs.stat(dir);
+  const queue = [{dir, depth: 0, stats: rootStats}];
+  if (index) indexItem(index, path.resolve(dir), rootStats, true);
+
+  // The recycle bin is never scanned, wherever it is inside the scanned path
+  const recycleBinPath = path.resolve(config.recycleBinPath);
+  const isRecycleBin = (itemPath) => itemPath === recycleBinPath || isInsidePath(itemPath, recycleBinPath);
 
   while (queue.length > 0) {
     // Get next directory to process from queue
-    const {dir: currentDir, depth} = queue.shift();
+    const {dir: currentDir, depth, stats: dirStats} = queue.shift();
 
     // Start scanning directory
-    const dirItems = await fs.readdir(currentDir, {withFileTypes: true});
+    const dirItems = await readDirectory(currentDir, dirStats, index);
 
     // Process each item found in directory
     for (const dirItem of dirItems) {
       const fullPath = path.resolve(currentDir, dirItem.name);
-      let stats;
-      try {
-        stats = await fs.stat(fullPath);
-      } catch (error) {
-        logger.fail(`Error accessing ${fullPath}: ${error.message}`);
-        continue;
+      let stats = dirItem.stats;
+      if (!stats) {
+        try {
+          stats = await fs.stat(fullPath);
+        } catch (error) {
+          logger.fail(`Error accessing ${fullPath}: ${error.message}`);
+          continue;
+        }
       }
 
       // Nothing is ignored by default
@@ -46,13 +77,19 @@ async function getFiles(dir, config) {
         results.counters.dir++;
 
         // Check if dir should be ignored
-        ignored = config.ignoreDirectories.some(pattern => matchPattern(dirItem.name, pattern)) || fullPath.includes(config.recycleBinPath);
+        ignored = config.ignoreDirectories.some(pattern => matchPattern(dirItem.name, pattern)) || isRecycleBin(fullPath);
 
         // Update ignored counter
         results.counters.dirsignored += ignored ? 1 : 0;
 
-        // Don't traverse directory further if it is ignored
-        if (ignored) continue;
+        // Don't traverse directory further if it is ignored, but remember that its parent contains it (also in the
+        // index, so later scans using the index know about it too)
+        if (ignored) {
+          if (index) indexItem(index, fullPath, stats, true, true);
+          const parent = results.directories.get(currentDir);
+          if (parent) parent.ignoredDirCount = (parent.ignoredDirCount ?? 0) + 1;
+          continue;
+        }
 
         // Add directory to results, if not ignored
         results.directories.set(fullPath, {
@@ -64,7 +101,7 @@ async function getFiles(dir, config) {
           totalSize: results.directories.get(fullPath)?.totalSize ?? 0,
         });
 
-        queue.push({dir: fullPath, depth: depth + 1});
+        queue.push({dir: fullPath, depth: depth + 1, stats});
       } else {
         // Update file and size counters
         results.counters.file++;
@@ -86,6 +123,8 @@ async function getFiles(dir, config) {
         });
       }
 
+      if (index) indexItem(index, fullPath, stats, dirItem.isDirectory());
+
       // Update directory stats (file count, intrinsic size, total size)
       updateDirectoryStats(results, dir, fullPath, stats, ignored);
 
@@ -98,10 +137,108 @@ async function getFiles(dir, config) {
   return results;
 }
 
-async function scanDirectory(dirPath, config) {
+/**
+ * Creates a minimal stand-in for fs.Stats, for items that only exist in a simulated scan.
+ * @param {boolean} isDirectory - Whether the stats describe a directory.
+ * @param {number} size - The size in bytes.
+ * @returns {object} - Object exposing the fs.Stats properties and methods used throughout the app.
+ */
+function createSimulatedStats(isDirectory, size = 0) {
+  return {
+    size,
+    isFile:      () => !isDirectory,
+    isDirectory: () => isDirectory,
+  };
+}
+
+/**
+ * Returns the scan results as they would look after executing the given operations, without touching the filesystem.
+ * Items that are moved are removed from their original location, and (if their target is still inside the scanned
+ * path) re-added at their target location. Directory statistics are then recalculated from the remaining items.
+ *
+ * @param {object} scan - Results from a previous scan (see getFiles).
+ * @param {object} operations - Object containing arrays of planned operations, keyed by operation name.
+ * @param {object} config - The configuration used for the scan.
+ * @returns {object} - The simulated scan results.
+ */
+export function simulateOperations(scan, operations, config) {
+  const scanPath = path.resolve(config.scanPath);
+  const recycleBinPath = path.resolve(config.recycleBinPath);
+  const files = new Map(scan.files);
+  const directories = new Map(scan.directories);
+
+  for (const item of Object.values(operations).flat()) {
+    if (item.move_to === undefined) continue;
+    const source = path.resolve(item.path);
+    const target = path.resolve(item.move_to);
+
+    // Remove the item, and anything nested inside it
+    files.delete(source);
+    if (item.isDirectory) {
+      [files, directories].forEach(map => {
+        for (const key of map.keys()) {
+          if (key === source || isInsidePath(key, source)) map.delete(key);
+        }
+      });
+    }
+
+    // Re-add moved files at their target location, if that is still part of the scan
+    if (!item.isFile || !isInsidePath(target, scanPath) || isInsidePath(target, recycleBinPath)) continue;
+    const {move_to, reason, ...file} = item;
+    const depth = path.relative(scanPath, target).split(path.sep).length - 1;
+    const name = path.basename(target);
+    files.set(target, {
+      ...file,
+      ...createItem(name, item.stats, target, depth),
+      isFile:    true,
+      extension: name.split('.').pop(),
+    });
+
+    // Create any directories the move would create
+    let dir = path.dirname(target);
+    while (dir !== scanPath && !directories.has(dir)) {
+      directories.set(dir, {
+        // 4096 bytes is the size of a typical directory entry; a size of 0 would mark it for cleanup
+        ...createItem(path.basename(dir), createSimulatedStats(true, 4096), dir, path.relative(scanPath, dir).split(path.sep).length - 1),
+        isDirectory: true,
+      });
+      dir = path.dirname(dir);
+    }
+  }
+
+  // Recalculate directory statistics
+  const results = {
+    directories: new Map(Array.from(directories, ([dirPath, dir]) => [dirPath, {...dir, fileCount: 0, dirCount: 0, intrinsicSize: 0, totalSize: 0}])),
+    files,
+    counters: {...scan.counters},
+  };
+  directories.forEach((dir, dirPath) => updateDirectoryStats(results, scanPath, dirPath, dir.stats, false));
+  files.forEach((file, filePath) => updateDirectoryStats(results, scanPath, filePath, file.stats, file.ignored));
+
+  return results;
+}
+
+/**
+ * Scans a directory. Unless disabled using `scanIndex`, the results are stored in an index on disk, so later scans
+ * only need to read directories that changed. The index is added to the results, to cache values (e.g. hashes) in.
+ *
+ * @param {string} dirPath - The path to scan.
+ * @param {object} config - The configuration.
+ * @param {object} [options={}] - Scan options.
+ * @param {boolean} [options.rescan=false] - Ignore the index and read every directory, rebuilding the index.
+ * @param {boolean} [options.dryRun=false] - Use the index, but do not write it, so nothing on disk is changed.
+ * @returns {Promise<object|null>} - The scan results (see getFiles), or null if the scan failed.
+ */
+async function scanDirectory(dirPath, config, {rescan = false, dryRun = false} = {}) {
   logger.start(`Scanning directory ${dirPath}...`);
   try {
-    return await getFiles(dirPath, config);
+    const index = config.scanIndex ? await loadScanIndex(config, rescan) : undefined;
+    const results = await getFiles(dirPath, config, index);
+    if (index) {
+      if (!dryRun) await saveScanIndex(index);
+      results.index = index;
+    }
+    return results;
   } catch (error) {
     logger.fail(`Error during scan: ${error.message}`);
     return null;
@@ -0,0 +1,111 @@
+import {rebasePath} from "../utils/helpers.mjs";
+import {SUPPORTED_EXIF_EXTENSIONS} from "../utils/exif.mjs";
+import {getDifferenceHash, HashTree} from "../utils/perceptualHash.mjs";
+import {selectOriginal} from "../utils/originalRules.mjs";
+import logger from "../utils/logger.mjs";
+import pLimit from "p-limit";
+
+const FILE_LIMIT = pLimit(4); // Limit concurrency, as decoding images is CPU and memory intensive
+
+/**
+ * Calculates the perceptual hash of every image in the scan results.
+ * @param {Object} items - Results from the scanner.
+ * @returns {Promise<{file: Object, hash: string}[]>} - The images that could be decoded, and their hashes.
+ */
+async function hashImages(items) {
+  const images = [...items.files.values()].filter(file =>
+    !file.ignored && file.stats.size > 0 && SUPPORTED_EXIF_EXTENSIONS.has(file.extension.toLowerCase())
+  );
+  let progress = 0;
+
+  const hashes = await Promise.all(images.map(file => FILE_LIMIT(async () => {
+    const result = await getDifferenceHash(file, items.index);
+    logger.text(`Calculating perceptual hashes ${++progress}/${images.length}...`);
+    return result ? {file, hash: result.hash} : null;
+  })));
+
+  // Report the images that could not be decoded (e.g. corrupt files, or RAW files without a JPEG preview)
+  images.forEach((file, idx) => {
+    if (!hashes[idx]) logger.warn(`Not comparing "${file.path}" to similar images: it could not be decoded`);
+  });
+  return hashes.filter(Boolean);
+}
+
+/**
+ * Groups images whose hashes are within the threshold of each other, directly or through other images in the group.
+ * @param {{file: Object, hash: string}[]} images - The hashed images.
+ * @param {number} threshold - The maximum Hamming distance between two similar images.
+ * @returns {{file: Object, hash: string}[][]} - The groups of two or more images.
+ */
+function groupSimilarImages(images, threshold) {
+  const tree = new HashTree();
+  images.forEach((image, idx) => tree.add(image.hash, idx));
+
+  // Union-find, merging every image with the images near it
+  const parents = images.map((image, idx) => idx);
+  const find = (idx) => parents[idx] === idx ? idx : (parents[idx] = find(parents[idx]));
+  images.forEach((image, idx) => {
+    tree.search(image.hash, threshold).forEach(({value}) => {
+      parents[find(value)] = find(idx);
+    });
+  });
+
+  const groups = new Map();
+  images.forEach((image, idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(image);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Finds images that look the same (e.g. resized, re-compressed or slightly edited copies of a photo), by comparing their
+ * perceptual hashes. Of every group of similar images, the one with the highest resolution is kept (followed by the
+ * `originalPreference` rules), and the others are only reported, or moved to the recycle bin if `action` is "recycle"
+ * (as perceptual hashes can match different photos, e.g. shots taken in a burst). Only images within the threshold of
+ * the kept image are reported; the rest of a group is checked again on its own.
+ *
+ * @param {Object} items - Results from the scanner.
+ * @param {string} binPath - The recycle bin path.
+ * @param {number} [threshold=10] - The maximum number of bits (out of 64) in which the hashes of similar images differ.
+ * @param {string[]} [originalPreference] - The rules to determine which image is kept, after resolution (see ORIGINAL_RULES).
+ * @param {string} [action='report'] - "report" to only report the similar images, or "recycle" to recycle them.
+ * @returns {Promise<Object>} - The similar images, and their total size.
+ */
+async function getSimilarImageItems(items, binPath, threshold = 10, originalPreference = ['oldest', 'shortest-name'], action = 'report') {
+  const rules = ['highest-resolution', ...originalPreference.filter(rule => rule !== 'highest-resolution')];
+  const groups = groupSimilarImages(await hashImages(items), threshold);
+  const returnFiles = [];
+
+  for (const [progress, group] of groups.entries()) {
+    logger.text(`Comparing similar images ${progress}/${groups.length}...`);
+    let remaining = group;
+    while (remaining.length > 1) {
+      const {original, reasons} = await selectOriginal(remaining.map(image => image.file), rules, items.index);
+      const originalHash = remaining.find(image => image.file === original).hash;
+      const similar = new HashTree();
+      remaining.forEach(image => similar.add(image.hash, image));
+      const matches = similar.search(originalHash, threshold).filter(({value}) => value.file !== original);
+
+      matches.forEach(({value: {file}, distance}) => returnFiles.push({
+        ...file,
+        duplicate_of:    original.path,
+        original_reason: reasons.get(file.path),
+        distance,
+        ...(action === 'recycle' ? {move_to: rebasePath(binPath, file.path)} : {}),
+        reason:          `similar to "${original.path}" (${distance} of 64 bits differ), kept as original because ${reasons.get(file.path)}`,
+      }));
+
+      const handled = new Set([original, ...matches.map(({value}) => value.file)]);
+      remaining = remaining.filter(image => !handled.has(image.file));
+    }
+  }
+
+  return {
+    files: returnFiles,
+    size:  returnFiles.reduce((sum, file) => sum + file.stats.size, 0),
+  };
+}
+
+export default getSimilarImageItems;
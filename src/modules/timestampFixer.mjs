@@ -0,0 +1,64 @@
+import logger from '../utils/logger.mjs';
+import pLimit from "p-limit";
+import {extractOldestDate} from "./reorganizer.mjs";
+import {compileDatePattern, DEFAULT_DATE_PATTERNS} from "../utils/datePatterns.mjs";
+import {formatMoment} from "../utils/timezone.mjs";
+
+const FILE_LIMIT = pLimit(10); // Limit concurrency
+
+/**
+ * Formats a time difference in the largest fitting unit, e.g. "3 days" or "45 seconds".
+ * @param {number} ms - The difference, in milliseconds.
+ * @returns {string} - The formatted difference.
+ */
+function formatDifference(ms) {
+  const units = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+  const seconds = Math.round(Math.abs(ms) / 1000);
+  const [unit, size] = units.find(([, size]) => seconds >= size) ?? units[units.length - 1];
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Finds files whose modification time differs from their trusted date (e.g. the EXIF date a photo was taken, or the
+ * creation time in a video's metadata) by more than the tolerance, as often happens when files are copied. Their access
+ * and modification times are to be set to that date, so they sort correctly in e.g. Synology Photos or Explorer.
+ *
+ * @param {Object} items - Results from the scanner.
+ * @param {Object} [options]
+ * @param {string[]} [options.sources=['exif', 'media']] - The sources of trusted dates, in order of priority (see
+ *        DATE_SOURCES).
+ * @param {number} [options.tolerance=60] - The number of seconds the modification time may differ from the date.
+ * @param {Date} [options.dateThreshold] - Dates before this date are considered invalid.
+ * @param {string} [options.timezone] - The timezone of clock times without an offset (defaults to the system's timezone).
+ * @param {string[]} [options.filenamePatterns=[]] - Patterns for dates in file and directory names, tried before the
+ *        default patterns (see compileDatePattern).
+ * @returns {Promise<Object>} - The files whose timestamps should change.
+ */
+async function getTimestampItems(items, {sources = ['exif', 'media'], tolerance = 60, dateThreshold = new Date('1995-01-01'), timezone, filenamePatterns = []} = {}) {
+  const patterns = [...filenamePatterns, ...DEFAULT_DATE_PATTERNS].map(compileDatePattern);
+  const files = [...items.files.values()].filter(file => !file.ignored && !file.isDirectory && file.stats);
+  let progress = 0;
+
+  const found = await Promise.all(files.map(file => FILE_LIMIT(async () => {
+    logger.text(`Checking file timestamps... ${++progress}/${files.length}`);
+    const trusted = await extractOldestDate(file, dateThreshold, items.index, {timezone, sources, patterns});
+    if (!trusted.date || Math.abs(file.stats.mtimeMs - trusted.date.getTime()) <= tolerance * 1000) {
+      return null; // Skip files without a trusted date, or whose modification time is close enough
+    }
+
+    const {date, offset, source} = trusted;
+    return {
+      ...file,
+      mtime:        file.stats.mtimeMs,
+      change_mtime: date.getTime(),
+      change_atime: date.getTime(),
+      date_found:   trusted,
+      reason:       `modification time is ${formatDifference(file.stats.mtimeMs - date.getTime())} off the date ${formatMoment(date, offset)} from ${source}`,
+    };
+  })));
+
+  return {files: found.filter(item => item !== null)};
+}
+
+export default getTimestampItems;
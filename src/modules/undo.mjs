@@ -0,0 +1,77 @@
+import path from 'path';
+import {describeLinkType, replaceLinkWithCopy} from "../utils/links.mjs";
+
+/**
+ * Creates the operations that revert the changes recorded in the journal for a given run.
+ * Entries are reverted in reverse order, so e.g. a file that was chmod-ed and then moved is first moved back,
+ * and then gets its previous mode restored.
+ *
+ * @param {object[]} entries - Journal entries (see readJournal).
+ * @param {string} runId - The id of the run to revert.
+ * @returns {object[]} - Items that can be handed to executeOperations.
+ */
+function getUndoItems(entries, runId) {
+  return entries
+  .filter(entry => entry.runId === runId)
+  .reverse()
+  .map(entry => {
+    const itemPath = entry.type === 'move' ? entry.target : entry.path;
+    const item = {
+      path:        itemPath,
+      dir:         path.dirname(itemPath),
+      name:        path.basename(itemPath),
+      isFile:      !entry.isDirectory,
+      isDirectory: !!entry.isDirectory,
+      reason:      `undo ${entry.operation} (${entry.type}) from run ${runId}`,
+    };
+
+    switch (entry.type) {
+      case 'move':
+        return {...item, move_to: entry.path};
+      case 'chmod':
+        return {
+          ...item,
+          mode:         '0' + entry.mode.toString(8),
+          change_mode:  '0' + entry.previousMode.toString(8),
+          fsChmodValue: entry.previousMode,
+        };
+      case 'chown':
+        return {
+          ...item,
+          owner:        entry.uid,
+          group:        entry.gid,
+          new_owner:    entry.previousUid,
+          new_group:    entry.previousGid,
+          new_owner_id: entry.previousUid,
+          new_group_id: entry.previousGid,
+        };
+      case 'utimes':
+        return {
+          ...item,
+          mtime:        entry.mtimeMs,
+          change_mtime: entry.previousMtimeMs,
+          change_atime: entry.previousAtimeMs,
+        };
+      case 'link':
+        return {
+          ...item,
+          description: `replace the ${describeLinkType(entry.linkType)} "${entry.path}" with a copy of "${entry.target}" again`,
+          action:      async () => {
+            await replaceLinkWithCopy(entry.path, entry.target, {
+              mode:    entry.previousMode,
+              uid:     entry.previousUid,
+              gid:     entry.previousGid,
+              atimeMs: entry.previousAtimeMs,
+              mtimeMs: entry.previousMtimeMs,
+            });
+            return {success: true, sizeAffected: 0};
+          },
+        };
+      default:
+        return null;
+    }
+  })
+  .filter(item => item !== null);
+}
+
+export default getUndoItems;
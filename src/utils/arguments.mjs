@@ -0,0 +1,58 @@
+/**
+ * Parses command-line arguments into positional arguments and flags.
+ *
+ * Supported notations:
+ * - `--flag` sets the flag to `true`.
+ * - `--flag=value` sets the flag to `value`.
+ * - `--flag value` sets the flag to `value`, but only for flags listed in `valueFlags`.
+ * - `-f` is short for the flag that `aliases` maps `f` to (e.g. `-h` for `--help`), and takes a value in the same way.
+ *
+ * Anything not starting with a dash is considered a positional argument.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)] - The arguments to parse.
+ * @param {string[]} [valueFlags=[]] - Names of flags (without dashes) that take a value.
+ * @param {Object<string, string>} [aliases={}] - Single-letter aliases, mapped to the flag names they stand for.
+ * @returns {{positionals: string[], flags: Object<string, string|boolean>}} - The parsed arguments.
+ *
+ * @example
+ * parseArguments(['plan', '--dry-run', '--auto-approve', 'permissions'], ['auto-approve']);
+ * // Output: { positionals: ['plan'], flags: { 'dry-run': true, 'auto-approve': 'permissions' } }
+ */
+export function parseArguments(argv = process.argv.slice(2), valueFlags = [], aliases = {}) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [flag, ...value] = arg.replace(/^--?/, '').split('=');
+    const name = arg.startsWith('--') ? flag : (aliases[flag] ?? flag);
+    if (value.length) {
+      flags[name] = value.join('=');
+    } else if (valueFlags.includes(name) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return {positionals, flags};
+}
+
+/**
+ * Splits a comma-separated flag value into a list of trimmed, non-empty values.
+ *
+ * @param {string|boolean|undefined} value - The flag value.
+ * @returns {string[]} - The listed values, or an empty array if the flag had no value.
+ *
+ * @example
+ * listFlag('permissions, ownership'); // ['permissions', 'ownership']
+ */
+export function listFlag(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import {filesAreIdentical, hashFileChunk} from "./helpers.mjs";
+
+export const CONFLICT_STRATEGIES = ['skip', 'rename', 'keep-both-hash', 'overwrite-if-identical'];
+
+/**
+ * Default way of determining what occupies a target path: whatever exists there on disk.
+ * @param {string} targetPath - The path to check.
+ * @returns {Promise<string|null>} - The path itself if something exists there, otherwise null.
+ */
+export async function getOccupantOnDisk(targetPath) {
+  try {
+    await fs.lstat(targetPath);
+    return targetPath;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Appends a suffix to a path's filename, preserving its extension.
+ * @param {string} filePath - The path.
+ * @param {string} suffix - The suffix to append (e.g. '_1').
+ * @returns {string} - The modified path.
+ */
+function appendToPath(filePath, suffix) {
+  const ext = path.extname(filePath);
+  return path.join(path.dirname(filePath), `${path.basename(filePath, ext)}${suffix}${ext}`);
+}
+
+/**
+ * Determines where an item should be moved when its target path might already be taken, so nothing is ever silently
+ * overwritten. Supported strategies:
+ *
+ * - `skip`: don't move the item.
+ * - `rename`: append a counter to the filename (e.g. 'photo_1.jpg').
+ * - `keep-both-hash`: append a short hash of the item's contents to the filename (e.g. 'photo_1a2b3c4d.jpg').
+ * - `overwrite-if-identical`: overwrite the occupant only if its contents are identical to the item's, skip otherwise.
+ *
+ * @param {string} sourcePath - Path of the item being moved.
+ * @param {string} targetPath - Where the item should be moved to.
+ * @param {string} [strategy='rename'] - One of CONFLICT_STRATEGIES.
+ * @param {function(string): Promise<string|null>} [getOccupant] - Returns the path of the file that is (or will be) at
+ *        a given target path, or null if it is free. Defaults to checking the filesystem.
+ * @returns {Promise<{target: string|null, overwrite: boolean, reason: string|null}>} - The target to use (null to skip
+ *          the item), whether it may be overwritten, and a description of the conflict, if there was one.
+ */
+export async function resolveConflict(sourcePath, targetPath, strategy = 'rename', getOccupant = getOccupantOnDisk) {
+  const occupant = await getOccupant(targetPath);
+  if (!occupant || path.resolve(occupant) === path.resolve(sourcePath)) {
+    return {target: targetPath, overwrite: false, reason: null};
+  }
+
+  const findFreePath = async (basePath) => {
+    let candidate = basePath;
+    for (let counter = 1; await getOccupant(candidate); counter++) {
+      candidate = appendToPath(basePath, `_${counter}`);
+    }
+    return candidate;
+  };
+
+  switch (strategy) {
+    case 'skip':
+      return {target: null, overwrite: false, reason: `"${targetPath}" is already taken`};
+    case 'keep-both-hash': {
+      const isDirectory = (await fs.lstat(sourcePath)).isDirectory();
+      const hashed = isDirectory ? targetPath : appendToPath(targetPath, `_${(await hashFileChunk(sourcePath)).slice(0, 8)}`);
+      const target = await findFreePath(hashed);
+      return {target, overwrite: false, reason: `"${targetPath}" is already taken, renamed to "${path.basename(target)}"`};
+    }
+    case 'overwrite-if-identical':
+      if (await filesAreIdentical(sourcePath, occupant)) {
+        return {target: targetPath, overwrite: true, reason: `"${targetPath}" is already taken by a file with identical contents, overwriting`};
+      }
+      return {target: null, overwrite: false, reason: `"${targetPath}" is already taken by a file with different contents`};
+    case 'rename':
+    default: {
+      const target = await findFreePath(targetPath);
+      return {target, overwrite: false, reason: `"${targetPath}" is already taken, renamed to "${path.basename(target)}"`};
+    }
+  }
+}
@@ -0,0 +1,68 @@
+// Sources of the date of a file, as can be listed (in order of priority) in the dateSources setting
+export const DATE_SOURCES = ['exif', 'media', 'filename', 'path', 'mtime'];
+
+// Patterns for dates in file and directory names, tried after any configured patterns. Digits directly before or after
+// a date are not allowed, so serial numbers are not mistaken for dates.
+export const DEFAULT_DATE_PATTERNS = [
+  // YYYYMMDD or YYYY-MM-DD, optionally followed by a time (and milliseconds), e.g. "PXL_20230101_120000123" or "2023-01-01 12.00.00"
+  '(?<!\\d)(?<year>\\d{4})([-_ ]?)(?<month>\\d{2})\\2(?<day>\\d{2})(?:[-_ T](?<hour>\\d{2})([-_.:]?)(?<minute>\\d{2})\\6(?<second>\\d{2})(?:\\.?\\d{3})?)?(?!\\d)',
+  // DDMMYYYY or DD-MM-YYYY
+  '(?<!\\d)(?<day>\\d{2})([-_ ]?)(?<month>\\d{2})\\2(?<year>\\d{4})(?!\\d)',
+  // Epoch timestamp (in seconds)
+  '(?<!\\d)(?<epoch>\\d{10})(?!\\d)',
+];
+
+/**
+ * Compiles a date pattern: a regular expression with named groups for the `year`, `month` and `day` (and optionally
+ * the `hour`, `minute` and `second`), or for an `epoch` timestamp in seconds, e.g.
+ * `IMG-(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})-WA\d+` for WhatsApp images.
+ *
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp} - The compiled pattern.
+ * @throws {Error} - If the pattern is not a valid regular expression, or lacks the required named groups.
+ */
+export function compileDatePattern(pattern) {
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'gi');
+  } catch (error) {
+    throw new Error(`Invalid date pattern "${pattern}": ${error.message}`);
+  }
+  const groups = new Set([...pattern.matchAll(/\(\?<([a-zA-Z]+)>/g)].map(([, name]) => name));
+  if (!groups.has('epoch') && !['year', 'month', 'day'].every(name => groups.has(name))) {
+    throw new Error(`Date pattern "${pattern}" needs named groups for the year, month and day (e.g. "(?<year>\\d{4})"), or for an epoch timestamp ("(?<epoch>\\d{10})").`);
+  }
+  return regex;
+}
+
+/**
+ * Finds the dates in a text (e.g. a file name) matching the first of the patterns that matches, so a more specific
+ * pattern (e.g. one including the time) is not overruled by a more general one. Dates outside 1900-2099, and dates or
+ * times that do not exist (e.g. February 30th), are left out.
+ *
+ * @param {string} text - The text.
+ * @param {RegExp[]} patterns - The compiled patterns (see compileDatePattern).
+ * @returns {{date: Date, isEpoch: boolean}[]} - The dates found: epoch timestamps as moments, other dates as clock
+ *          times (Dates whose UTC fields hold the date and time found).
+ */
+export function findDates(text, patterns) {
+  const dates = [];
+  for (const pattern of patterns) {
+    for (const {groups = {}} of text.matchAll(pattern)) {
+      if (groups.epoch !== undefined) {
+        dates.push({date: new Date(Number(groups.epoch) * 1000), isEpoch: true});
+        continue;
+      }
+      const [year, month, day, hour = 0, minute = 0, second = 0] =
+        [groups.year, groups.month, groups.day, groups.hour, groups.minute, groups.second].map(part => part === undefined ? part : Number(part));
+      const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+      const exists = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        && date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+      if (exists && year >= 1900 && year <= 2099) {
+        dates.push({date, isEpoch: false});
+      }
+    }
+    if (dates.length) break;
+  }
+  return dates;
+}
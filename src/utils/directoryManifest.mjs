@@ -0,0 +1,108 @@
+import path from 'path';
+import crypto from 'crypto';
+import {isInsidePath} from "./helpers.mjs";
+
+/**
+ * Hashes a single entry of a directory manifest (a file's path relative to the directory, and its size) to a 64-bit
+ * number. The signature of a directory is the sum of the hashes of its entries, so the signature of the same
+ * directory without one of its files can be calculated by subtracting that file's hash.
+ *
+ * @param {string} relativePath - Path of the file, relative to the directory.
+ * @param {number} size - Size of the file, in bytes.
+ * @returns {bigint} - The hash.
+ */
+function hashEntry(relativePath, size) {
+  return BigInt(`0x${crypto.createHash('md5').update(`${relativePath}\0${size}`).digest('hex').slice(0, 16)}`);
+}
+
+/**
+ * Builds a manifest of every scanned directory: all files inside it (at any depth), by their path relative to the
+ * directory, and a signature of their relative paths and sizes. Directories with the same signature very likely
+ * contain the same files; their contents still need to be compared (see getContentSignature).
+ * Ignored files and directories, and files in reference paths, are left out, but counted as `unlisted`: such a
+ * directory is not fully described by its manifest, so it must not be handled as a whole (e.g. recycled).
+ *
+ * @param {Object} items - Results from the scanner.
+ * @returns {Map<string, {dir: Object, entries: Map<string, Object>, signature: bigint, size: number, unlisted: number}>}
+ *          - The manifests, keyed by directory path.
+ */
+export function buildDirectoryManifests(items) {
+  const manifests = new Map();
+  items.directories.forEach((dir, dirPath) => manifests.set(dirPath, {dir, entries: new Map(), signature: 0n, size: 0, unlisted: 0}));
+  const countUnlisted = (dirPath, count) => {
+    for (let ancestor = dirPath; manifests.has(ancestor); ancestor = path.dirname(ancestor)) {
+      manifests.get(ancestor).unlisted += count;
+    }
+  };
+
+  items.directories.forEach((dir, dirPath) => {
+    if (dir.ignoredDirCount) countUnlisted(dirPath, dir.ignoredDirCount);
+  });
+  items.files.forEach(file => {
+    if (file.ignored || file.reference) {
+      countUnlisted(file.dir, 1);
+      return;
+    }
+    for (let ancestor = file.dir; manifests.has(ancestor); ancestor = path.dirname(ancestor)) {
+      const manifest = manifests.get(ancestor);
+      const relativePath = path.relative(ancestor, file.path);
+      manifest.entries.set(relativePath, file);
+      manifest.signature = BigInt.asUintN(64, manifest.signature + hashEntry(relativePath, file.stats.size));
+      manifest.size += file.stats.size;
+    }
+  });
+
+  return manifests;
+}
+
+/**
+ * Finds pairs of directories where one contains exactly the same files (by relative path and size) as the other,
+ * except for one extra file in the other.
+ *
+ * @param {Map<string, Object>} manifests - The directory manifests (see buildDirectoryManifests).
+ * @returns {{subset: Object, superset: Object, extraFile: string}[]} - The pairs of manifests, and the relative path
+ *          of the file only the superset contains.
+ */
+export function findNearIdenticalDirectories(manifests) {
+  const bySignature = new Map();
+  manifests.forEach(manifest => {
+    if (!manifest.entries.size || !manifest.size) return;
+    if (!bySignature.has(manifest.signature)) bySignature.set(manifest.signature, []);
+    bySignature.get(manifest.signature).push(manifest);
+  });
+
+  const pairs = [];
+  manifests.forEach(superset => {
+    if (superset.entries.size < 2) return;
+    superset.entries.forEach((file, extraFile) => {
+      const signature = BigInt.asUintN(64, superset.signature - hashEntry(extraFile, file.stats.size));
+      (bySignature.get(signature) ?? []).forEach(subset => {
+        if (subset.entries.size !== superset.entries.size - 1
+          || isInsidePath(subset.dir.path, superset.dir.path) || isInsidePath(superset.dir.path, subset.dir.path)) return;
+        // Rule out signature collisions
+        const matches = [...subset.entries].every(([relativePath, subsetFile]) =>
+          superset.entries.get(relativePath)?.stats.size === subsetFile.stats.size
+        );
+        if (matches) pairs.push({subset, superset, extraFile});
+      });
+    });
+  });
+  return pairs;
+}
+
+/**
+ * Calculates a signature of the contents of a directory: the relative paths of all files in its manifest, and the
+ * (verified) hashes of their contents.
+ *
+ * @param {Object} manifest - The directory manifest (see buildDirectoryManifests).
+ * @param {function(Object): Promise<string>} getHash - Calculates the hash of a file.
+ * @returns {Promise<string>} - The signature.
+ */
+export async function getContentSignature(manifest, getHash) {
+  const hash = crypto.createHash('md5');
+  // One file at a time, as directories can contain more files than can be open at once
+  for (const relativePath of [...manifest.entries.keys()].sort()) {
+    hash.update(`${relativePath}\0${await getHash(manifest.entries.get(relativePath))}\n`);
+  }
+  return hash.digest('hex');
+}
@@ -1,40 +1,143 @@
 import logger from '../utils/logger.mjs';
-import {answerLoop, canChangeOwnership, doHeader, userConfirm} from "./helpers.mjs";
+import {answerLoop, canChangeOwnership, doHeader, isInsidePath, isInteractive, userConfirm} from "./helpers.mjs";
 import fs from 'fs/promises';
 import fsExtra from 'fs-extra';
 import path from 'path';
-import configLoader from "../modules/configLoader.mjs";
 import chalk from 'chalk';
+import {appendJournalEntry} from "./journal.mjs";
+import {removeTrashInfo, writeTrashInfo} from "./trashInfo.mjs";
+import {resolveConflict} from "./conflicts.mjs";
+import {checkLinkSafety, describeLinkType, replaceWithLink} from "./links.mjs";
 
-const config = configLoader;
+/**
+ * Describes, in plain words, what doOperation would do for the given item.
+ * @param {object} item - The item to describe
+ * @returns {string} - The description.
+ */
+function describeOperation(item) {
+    if (item.hasOwnProperty('move_to') && item.move_to !== undefined) {
+        return `move "${item.path}" to "${item.move_to}"`;
+    } else if (item.hasOwnProperty('change_mode') && item.change_mode !== undefined) {
+        return `change mode of "${item.path}" from ${item.mode} to ${item.change_mode}`;
+    } else if (item.hasOwnProperty('new_owner_id') && item.hasOwnProperty('new_group_id') && item.new_group_id !== undefined && item.new_owner_id !== undefined) {
+        return `change ownership of "${item.path}" from ${item.owner}:${item.group} to ${item.new_owner}:${item.new_group}`;
+    } else if (item.hasOwnProperty('change_mtime') && item.change_mtime !== undefined) {
+        return `change the modification time of "${item.path}" from ${new Date(item.mtime).toISOString()} to ${new Date(item.change_mtime).toISOString()}`;
+    } else if (item.hasOwnProperty('link_to') && item.link_to !== undefined) {
+        return `replace "${item.path}" with a ${describeLinkType(item.link_type)} to "${item.link_to}"`;
+    } else if (item.hasOwnProperty('action') && item.action !== undefined) {
+        return item.description ?? `run a custom action on "${item.path}"`;
+    }
+    return `do nothing with "${item.path}"`;
+}
+
+/**
+ * Keeps the recycle bin metadata in sync after an item was moved: a .trashinfo file is written for items moved into the
+ * recycle bin, and removed for items moved out of it (e.g. when restoring or undoing).
+ * @param {object} item - The item that was moved.
+ * @param {object} options - The operation, run id and recycle bin path.
+ * @returns {Promise<void>}
+ */
+async function updateTrashInfo(item, {operation, runId, recycleBinPath}) {
+    try {
+        if (isInsidePath(item.path, recycleBinPath)) {
+            await removeTrashInfo(item.path);
+        }
+        if (isInsidePath(item.move_to, recycleBinPath)) {
+            await writeTrashInfo(item.move_to, {originalPath: item.path, reason: item.reason, operation, runId});
+        }
+    } catch (error) {
+        logger.warn(`Failed to update recycle bin metadata for "${item.move_to}": ${error.message}`);
+    }
+}
 
 /**
  * Performs the specified file operation.
  * @param {object} item - The item to work on
+ * @param {object} [options] - Operation options.
+ * @param {boolean} [options.dryRun=false] - Only log what would be done, without touching the filesystem.
+ * @param {string} [options.operation] - Name of the operation the item belongs to, recorded in the journal.
+ * @param {string} [options.journalPath] - Path to the journal to record the change in (nothing is recorded if omitted).
+ * @param {string} [options.runId] - Identifier of the current run, recorded in the journal.
+ * @param {string} [options.recycleBinPath] - The recycle bin; items moved into it get a .trashinfo file describing their origin.
+ * @param {string} [options.onConflict='rename'] - What to do when a move's target already exists (see resolveConflict).
+ * @param {string[]} [options.referencePaths=[]] - Read-only reference paths, whose files never get hard links.
  * @returns {Promise<{}>} - Resolves to true if the operation was successful, otherwise false.
  */
-async function doOperation(item) {
+async function doOperation(item, {dryRun = false, operation, journalPath, runId, recycleBinPath, onConflict = 'rename', referencePaths = []} = {}) {
     let success = false;
     let size = 0;
+    let journalEntry = null;
+
+    if (dryRun) {
+        console.log(`${chalk.cyan('[dry-run]')} Would ${describeOperation(item)}${item.reason ? ` (${item.reason})` : ''}`);
+        return {success: true, size: item.size ?? 0};
+    }
 
     try {
         if (item.hasOwnProperty('move_to') && item.move_to !== undefined) {
+            // Make sure nothing gets overwritten, as the target might have been taken since planning
+            const {target, overwrite, reason} = await resolveConflict(item.path, item.move_to, onConflict);
+            if (!target) {
+                logger.warn(`Not moving "${item.path}": ${reason}`);
+                return {success, size};
+            } else if (reason) {
+                logger.warn(reason);
+            }
+
             // Create target directory if it does not exist
-            await fs.mkdir(path.dirname(item.move_to), { recursive: true });
+            await fs.mkdir(path.dirname(target), { recursive: true });
 
             // Move the file
-            fsExtra.moveSync(item.path, item.move_to, { overwrite: true });
+            fsExtra.moveSync(item.path, target, { overwrite });
             size = item.size ?? 0;
             success = true;
+            journalEntry = {type: 'move', path: item.path, target, isDirectory: !!item.isDirectory};
+            if (recycleBinPath) {
+                await updateTrashInfo({...item, move_to: target}, {operation, runId, recycleBinPath});
+            }
         } else if (item.hasOwnProperty('change_mode') && item.change_mode !== undefined) {
-            // Change file permissions
+            // Change file permissions, remembering the current ones (with any setuid, setgid and sticky bits) to restore them
+            const {mode} = await fs.stat(item.path);
             await fs.chmod(item.path, item.fsChmodValue);
             success = true;
             size = item.size ?? 0;
+            journalEntry = {type: 'chmod', path: item.path, previousMode: mode & 0o7777, mode: item.fsChmodValue, isDirectory: !!item.isDirectory};
         } else if (item.hasOwnProperty('new_owner_id') && item.hasOwnProperty('new_group_id') && item.new_group_id !== undefined && item.new_owner_id !== undefined) {
-            // Change ownership
+            // Change ownership, remembering the current owner so it can be restored
+            const {uid, gid} = await fs.stat(item.path);
             await fs.chown(item.path, item.new_owner_id, item.new_group_id);
             success = true;
+            journalEntry = {type: 'chown', path: item.path, previousUid: uid, previousGid: gid, uid: item.new_owner_id, gid: item.new_group_id, isDirectory: !!item.isDirectory};
+        } else if (item.hasOwnProperty('change_mtime') && item.change_mtime !== undefined) {
+            // Change the access and modification times, remembering the current ones so they can be restored
+            const {atimeMs, mtimeMs} = await fs.stat(item.path);
+            const changeAtime = item.change_atime ?? item.change_mtime;
+            await fs.utimes(item.path, changeAtime / 1000, item.change_mtime / 1000);
+            success = true;
+            journalEntry = {type: 'utimes', path: item.path, previousAtimeMs: atimeMs, previousMtimeMs: mtimeMs, atimeMs: changeAtime, mtimeMs: item.change_mtime, isDirectory: !!item.isDirectory};
+        } else if (item.hasOwnProperty('link_to') && item.link_to !== undefined) {
+            // Replace a duplicate with a link to its original, but only if that changes nothing but the used space
+            const unsafeReason = await checkLinkSafety(item.path, item.link_to, item.link_type, referencePaths);
+            if (unsafeReason) {
+                logger.warn(`Not replacing "${item.path}" with a ${describeLinkType(item.link_type)}: ${unsafeReason}`);
+                return {success, size};
+            }
+            const previous = await replaceWithLink(item.path, item.link_to, item.link_type);
+            success = true;
+            size = item.size ?? 0;
+            journalEntry = {
+                type:            'link',
+                linkType:        item.link_type,
+                path:            item.path,
+                target:          item.link_to,
+                previousMode:    previous.mode & 0o7777,
+                previousUid:     previous.uid,
+                previousGid:     previous.gid,
+                previousAtimeMs: previous.atimeMs,
+                previousMtimeMs: previous.mtimeMs,
+                isDirectory:     false,
+            };
         } else if (item.hasOwnProperty('action') && item.action !== undefined) {
             // Change file permissions
             const result = await item.action(item);
@@ -46,6 +149,14 @@ async function doOperation(item) {
         console.error(error);
     }
 
+    if (journalEntry && journalPath) {
+        try {
+            await appendJournalEntry(journalPath, {runId, operation, ...journalEntry});
+        } catch (error) {
+            logger.warn(`Failed to record operation on "${item.path}" in journal "${journalPath}": ${error.message}`);
+        }
+    }
+
     return {success, size};
 }
 
@@ -130,17 +241,52 @@ async function executeOperationsOLD(operations) {
 }
 
 
-async function executeOperations(operations) {
+/**
+ * Executes pending file operations based on user confirmation.
+ * @param {object} operations - Object containing arrays of operations to perform, keyed by operation name.
+ * @param {object} [options] - Execution options.
+ * @param {boolean} [options.dryRun=false] - Only log what each operation would do, without asking or touching the filesystem.
+ * @param {boolean} [options.yes=false] - Execute all operations without asking (except those in autoDeny).
+ * @param {string[]} [options.autoApprove=[]] - Operations to execute without asking for confirmation.
+ * @param {string[]} [options.autoDeny=[]] - Operations to skip without asking. Takes precedence over autoApprove.
+ * @param {string} [options.journalPath] - Path to the journal in which every executed change is recorded.
+ * @param {string} [options.runId] - Identifier of the current run, recorded in the journal.
+ * @param {string} [options.recycleBinPath] - The recycle bin, to keep its metadata up to date.
+ * @param {string} [options.onConflict='rename'] - What to do when a move's target already exists (see resolveConflict).
+ * @param {string[]} [options.referencePaths] - Read-only reference paths, whose files never get hard links.
+ * @returns {Promise<void>}
+ */
+async function executeOperations(operations, {dryRun = false, yes = false, autoApprove = [], autoDeny = [], journalPath, runId, recycleBinPath, onConflict, referencePaths} = {}) {
+    if (dryRun) {
+        return dryRunOperations(operations);
+    }
+
     logger.succeed('Executing pending operations...');
     const answers = {};
-    let yesAllActions = false;
+    const interactive = isInteractive();
+    let yesAllActions = yes;
     let sizeAffected = 0;
 
     for (const operation in operations) {
         if (!operations.hasOwnProperty(operation) || !operations[operation].length) continue;
 
         doHeader(`${chalk.blue('Operation:')} ${operation}`);
-        let proceed = yesAllActions || await getProceedAnswer(operation, operations, answers);
+        let proceed;
+        if (autoDeny.includes(operation)) {
+            logger.warn(`Skipping ${operation} actions (auto-deny policy)`);
+            proceed = false;
+        } else if (autoApprove.includes(operation)) {
+            logger.succeed(`Handling ${operations[operation].length} ${operation} items without asking (auto-approve policy)`);
+            answers[operation] = 'a';
+            proceed = true;
+        } else if (!interactive && !yesAllActions) {
+            // Never wait for input that cannot come; skip, and make the run exit with a failure code
+            logger.fail(`Skipping ${operation} actions: no interactive terminal to confirm them, and no auto-approve or auto-deny policy for this operation`);
+            process.exitCode = 1;
+            proceed = false;
+        } else {
+            proceed = yesAllActions || await getProceedAnswer(operation, operations, answers);
+        }
         if (!proceed) continue;
 
         for (const item of operations[operation]) {
@@ -152,18 +298,19 @@ async function executeOperations(operations) {
 
             let yesAllItems = answers[operation] === 'a' || yesAllActions;
             if (!yesAllItems) {
-                console.log(`${chalk.green(item.stats.isFile() ? 'File:' : 'Directory:')} "${item.path}"`);
+                console.log(`${chalk.green(item.isDirectory ? 'Directory:' : 'File:')} "${item.path}"`);
                 if (!permissions) {
                     logger.warn(`Warning: current user has insufficient rights to modify this file, operation might fail!`);
                 }
                 answers[operation] = await userConfirm(
-                  `Handle this ${item.stats.isFile() ? 'file' : 'directory'}?`,
+                  `Handle this ${item.isDirectory ? 'directory' : 'file'}?`,
                   ['y', 'a', 'n', 'c']
                 );
             }
 
             if (['y', 'a'].includes(answers[operation]) || yesAllItems) {
-                const result = await doOperation(item);
+                if (yesAllItems) logger.debug(`Handling ${operation}: ${describeOperation(item)}`);
+                const result = await doOperation(item, {operation, journalPath, runId, recycleBinPath, onConflict, referencePaths});
                 if (result.success) sizeAffected += result.size ?? 0;
             } else if (['n', 'c'].includes(answers[operation])) {
                 logger.warn(`Not handling "${item.path}" (${answers[operation]})`);
@@ -176,6 +323,32 @@ async function executeOperations(operations) {
     logger.succeed(`All actions done. ${sizeAffected} bytes saved.`);
 }
 
+/**
+ * Logs what executeOperations would do for every item, without asking for confirmation or touching the filesystem.
+ * @param {object} operations - Object containing arrays of operations, keyed by operation name.
+ * @returns {Promise<void>}
+ */
+async function dryRunOperations(operations) {
+    logger.succeed('Dry-run: listing pending operations, nothing will be changed...');
+    let itemCount = 0;
+    let sizeAffected = 0;
+
+    for (const operation in operations) {
+        if (!operations.hasOwnProperty(operation) || !operations[operation].length) continue;
+
+        doHeader(`${chalk.blue('Operation:')} ${operation}`);
+        for (const item of operations[operation]) {
+            const result = await doOperation(item, {dryRun: true});
+            sizeAffected += result.size ?? 0;
+            itemCount++;
+        }
+        logger.succeed(`${operations[operation].length} ${operation} actions planned`);
+    }
+
+    doHeader();
+    logger.succeed(`Dry-run done. ${itemCount} items would be handled, ${sizeAffected} bytes would be saved.`);
+}
+
 async function getProceedAnswer(operation, operations, answers) {
     if (answers[operation] === 'c') {
         logger.fail(`Stop ${operation} actions`);
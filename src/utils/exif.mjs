@@ -0,0 +1,439 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import {getCachedValue, setCachedValue} from "./scanIndex.mjs";
+import {parseDateString} from "./helpers.mjs";
+import {parseOffset} from "./timezone.mjs";
+import {findBox, readBoxData, readBoxes, readMetadataItems} from "./isobmff.mjs";
+import logger from "./logger.mjs";
+
+// Extensions of files that may contain EXIF data
+export const SUPPORTED_EXIF_EXTENSIONS = new Set([
+  "jpg",    // JPEG image
+  "jpeg",   // Alternate extension for JPEG
+  "tif",    // TIFF image
+  "tiff",   // Alternate extension for TIFF
+  "png",    // PNG image (limited EXIF support)
+  "webp",   // WEBP image (limited EXIF support)
+  "heif",   // High Efficiency Image Format
+  "heic",   // High Efficiency Image Coding
+  "dng",    // Digital Negative (RAW)
+  "arw",    // Sony Alpha RAW
+  "cr2",    // Canon RAW 2
+  "cr3",    // Canon RAW 3
+  "nef",    // Nikon RAW
+  "nrw",    // Nikon RAW (Coolpix)
+  "orf",    // Olympus RAW
+  "raf",    // Fujifilm RAW
+  "rw2",    // Panasonic RAW
+  "raw",    // Generic RAW
+  "rwl",    // Leica RAW
+  "sr2",    // Sony RAW 2
+  "srw",    // Samsung RAW
+  "3fr",    // Hasselblad RAW
+  "ari",    // ARRI RAW
+  "bay",    // Casio RAW
+  "cap",    // Phase One RAW
+  "iiq",    // Phase One RAW
+  "eip",    // Phase One Enhanced Image Package
+  "erf",    // Epson RAW
+  "fff",    // Imacon/Hasselblad RAW
+  "mef",    // Mamiya RAW
+  "mos",    // Leaf RAW
+  "mrw",    // Minolta RAW
+  "pef",    // Pentax RAW
+  "x3f"     // Sigma RAW (Foveon)
+]);
+
+
+// Extensions of files per container format; other files are expected to be TIFF based (e.g. most RAW formats)
+const JPEG_EXTENSIONS = new Set(['jpg', 'jpeg']);
+const HEIF_EXTENSIONS = new Set(['heif', 'heic']);
+
+// Canon CR3 files store their EXIF data in a box with this UUID, inside the moov box
+export const CANON_UUID = '85c0b687820f11e08111f4ce462b6a48';
+
+// The number of bytes read from the start of JPEG and TIFF based files, which covers the EXIF data of nearly all files
+const HEADER_SIZE = 256 * 1024;
+
+// XMP properties holding the date a photo was taken, in order of preference
+const XMP_DATE_PROPERTIES = ['exif:DateTimeOriginal', 'xmp:CreateDate', 'photoshop:DateCreated'];
+
+/**
+ * Finds the start of the TIFF structure holding EXIF data: at the offset itself, or following an "Exif\0\0" header.
+ * @param {Buffer} buffer - The buffer.
+ * @param {number} [offset=0] - Where to start looking.
+ * @returns {number} - Where the TIFF structure starts, or -1 if there is none.
+ */
+function findTiffStart(buffer, offset = 0) {
+  const byteOrder = buffer.toString('latin1', offset, offset + 2);
+  if (byteOrder === 'II' || byteOrder === 'MM') return offset;
+  const header = buffer.indexOf('Exif\0\0', offset, 'latin1');
+  return header === -1 ? -1 : header + 6;
+}
+
+/**
+ * Reads the tags of interest from a TIFF structure, as used for EXIF data: Make and Model from IFD0, DateTimeOriginal
+ * and CreateDate (and their offsets from UTC) from the EXIF IFD, and GPSDateStamp and GPSTimeStamp from the GPS IFD.
+ * Offsets outside the buffer are ignored.
+ *
+ * @param {Buffer} buffer - Buffer containing the TIFF structure.
+ * @param {number} start - Where the TIFF structure starts (at its byte order mark).
+ * @param {string} [rootIfd='ifd0'] - What the first IFD is: 'ifd0' (pointing to the EXIF and GPS IFDs), or, for
+ *        formats that store them separately (e.g. Canon CR3), the 'exif' or 'gps' IFD itself.
+ * @returns {Object} - The tags found, by name.
+ */
+function readTiffTags(buffer, start, rootIfd = 'ifd0') {
+  if (start < 0 || start + 8 > buffer.length) return {};
+  const byteOrder = buffer.toString('latin1', start, start + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+  const littleEndian = byteOrder === 'II';
+  const inBounds = (offset, length) => offset >= 0 && start + offset + length <= buffer.length;
+  const read16 = (offset) => littleEndian ? buffer.readUInt16LE(start + offset) : buffer.readUInt16BE(start + offset);
+  const read32 = (offset) => littleEndian ? buffer.readUInt32LE(start + offset) : buffer.readUInt32BE(start + offset);
+
+  // Each IFD entry is 12 bytes: tag, type, count, and the value itself (if it fits in 4 bytes) or its offset
+  const readIfd = (offset) => {
+    const entries = new Map();
+    if (!inBounds(offset, 2)) return entries;
+    const count = read16(offset);
+    for (let idx = 0; idx < count && inBounds(offset + 2 + idx * 12, 12); idx++) {
+      const entry = offset + 2 + idx * 12;
+      entries.set(read16(entry), {type: read16(entry + 2), count: read32(entry + 4), entry});
+    }
+    return entries;
+  };
+  const readAscii = (field) => {
+    if (field?.type !== 2) return undefined;
+    const valueOffset = field.count <= 4 ? field.entry + 8 : read32(field.entry + 8);
+    if (!inBounds(valueOffset, field.count)) return undefined;
+    return buffer.toString('latin1', start + valueOffset, start + valueOffset + field.count).replace(/\0[\s\S]*$/, '');
+  };
+  const readRationals = (field) => {
+    if (field?.type !== 5) return undefined;
+    const valueOffset = read32(field.entry + 8);
+    if (!inBounds(valueOffset, field.count * 8)) return undefined;
+    return Array.from({length: field.count}, (_, idx) => read32(valueOffset + idx * 8) / (read32(valueOffset + idx * 8 + 4) || 1));
+  };
+  const readSubIfd = (ifd, tag) => ifd.has(tag) ? readIfd(read32(ifd.get(tag).entry + 8)) : new Map();
+
+  const firstIfd = readIfd(read32(4));
+  const exifIfd = rootIfd === 'exif' ? firstIfd : rootIfd === 'ifd0' ? readSubIfd(firstIfd, 0x8769) : new Map();
+  const gpsIfd = rootIfd === 'gps' ? firstIfd : rootIfd === 'ifd0' ? readSubIfd(firstIfd, 0x8825) : new Map();
+  const ifd0 = rootIfd === 'ifd0' ? firstIfd : new Map();
+  return {
+    Make:             readAscii(ifd0.get(0x010F))?.trim(),
+    Model:            readAscii(ifd0.get(0x0110))?.trim(),
+    DateTimeOriginal: readAscii(exifIfd.get(0x9003)),
+    CreateDate:       readAscii(exifIfd.get(0x9004)),
+    OffsetTime:          readAscii(exifIfd.get(0x9010)),
+    OffsetTimeOriginal:  readAscii(exifIfd.get(0x9011)),
+    OffsetTimeDigitized: readAscii(exifIfd.get(0x9012)),
+    GPSDateStamp:     readAscii(gpsIfd.get(0x001D)),
+    GPSTimeStamp:     readRationals(gpsIfd.get(0x0007)),
+  };
+}
+
+/**
+ * Reads the dates from an XMP packet.
+ * @param {string} xmp - The XMP packet.
+ * @returns {Object[]} - The dates found, and the property each was found in (see getTagDates).
+ */
+function readXmpDates(xmp) {
+  return XMP_DATE_PROPERTIES.flatMap(property => {
+    // Properties are written either as attributes, or as elements
+    const match = new RegExp(`${property}\\s*=\\s*["']([^"']+)["']|<${property}>([^<]+)</${property}>`).exec(xmp);
+    const value = match?.[1] ?? match?.[2];
+    const date = parseDateString(value);
+    if (!date) return [];
+    // XMP dates can include their offset from UTC
+    const source = `xmp (${property.split(':')[1]})`;
+    const offset = parseOffset(value);
+    return [offset === undefined ? {date, source} : {date, source, offset, offsetSource: source}];
+  });
+}
+
+/**
+ * Finds an XMP packet in a buffer.
+ * @param {Buffer} buffer - The buffer.
+ * @returns {string|null} - The XMP packet, or null if there is none.
+ */
+function findXmp(buffer) {
+  const start = buffer.indexOf('<x:xmpmeta', 0, 'latin1');
+  const end = start === -1 ? -1 : buffer.indexOf('</x:xmpmeta>', start, 'latin1');
+  return end === -1 ? null : buffer.toString('utf8', start, end + 12);
+}
+
+/**
+ * Reads the EXIF and XMP data of a JPEG file, from its APP1 segments.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @returns {Promise<{tiffs: Object[], xmp: string[]}>} - The TIFF structures and XMP packets found.
+ */
+async function readJpegMetadata(fileHandle) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  const {bytesRead} = await fileHandle.read(buffer, 0, buffer.length, 0);
+  const metadata = {tiffs: [], xmp: []};
+  if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) return metadata;
+
+  // Segments start with a marker (0xFF and a type) and their length, until the image data starts (SOS)
+  for (let offset = 2; offset + 4 <= bytesRead && buffer[offset] === 0xFF && buffer[offset + 1] !== 0xDA; ) {
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset + 4, Math.min(offset + 2 + length, bytesRead));
+    if (buffer[offset + 1] === 0xE1) {
+      if (segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+        metadata.tiffs.push({buffer: segment, start: 6});
+      } else if (segment.toString('latin1', 0, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+        metadata.xmp.push(segment.toString('utf8', 29));
+      }
+    }
+    offset += 2 + length;
+  }
+  return metadata;
+}
+
+/**
+ * Reads the EXIF and XMP data of a PNG file, from its `eXIf`, `iTXt` and `tEXt` chunks.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{tiffs: Object[], xmp: string[], dates: Object[]}>} - The TIFF structures, XMP packets and
+ *          textual creation times found.
+ */
+async function readPngMetadata(fileHandle, size) {
+  const metadata = {tiffs: [], xmp: [], dates: []};
+  const header = Buffer.alloc(8);
+  await fileHandle.read(header, 0, 8, 0);
+  if (header.toString('latin1', 1, 4) !== 'PNG') return metadata;
+
+  // Chunks consist of their length, type, data and a checksum
+  for (let position = 8; position + 12 <= size; ) {
+    await fileHandle.read(header, 0, 8, position);
+    const length = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    if (type === 'IEND') break;
+    if (['eXIf', 'iTXt', 'tEXt'].includes(type) && length <= HEADER_SIZE * 4) {
+      const data = Buffer.alloc(length);
+      await fileHandle.read(data, 0, length, position + 8);
+      const keywordEnd = data.indexOf(0);
+      const keyword = data.toString('latin1', 0, keywordEnd);
+
+      if (type === 'eXIf') {
+        metadata.tiffs.push({buffer: data, start: findTiffStart(data)});
+      } else if (type === 'iTXt' && keyword === 'XML:com.adobe.xmp') {
+        // Keyword, compression flag and method, language tag and translated keyword precede the text
+        const languageEnd = data.indexOf(0, keywordEnd + 3);
+        const text = data.subarray(data.indexOf(0, languageEnd + 1) + 1);
+        metadata.xmp.push((data[keywordEnd + 1] ? zlib.inflateSync(text) : text).toString('utf8'));
+      } else if (type === 'tEXt' && keyword === 'Creation Time') {
+        const value = data.toString('latin1', keywordEnd + 1);
+        const date = parseDateString(value);
+        const offset = parseOffset(value);
+        if (date) {
+          metadata.dates.push(offset === undefined ? {date, source: 'png (Creation Time)'} : {date, source: 'png (Creation Time)', offset, offsetSource: 'png (Creation Time)'});
+        } else if (!isNaN(new Date(value))) {
+          // Other formats (e.g. "Sat, 01 Jan 2000 12:00:00 GMT") are only used if they include their timezone
+          metadata.dates.push({date: new Date(value), source: 'png (Creation Time)', offset: 0, offsetSource: 'png (Creation Time)'});
+        }
+      }
+    }
+    position += 12 + length;
+  }
+  return metadata;
+}
+
+/**
+ * Reads the EXIF and XMP data of a WebP file, from its `EXIF` and `XMP ` chunks.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{tiffs: Object[], xmp: string[]}>} - The TIFF structures and XMP packets found.
+ */
+async function readWebpMetadata(fileHandle, size) {
+  const metadata = {tiffs: [], xmp: []};
+  const header = Buffer.alloc(12);
+  await fileHandle.read(header, 0, 12, 0);
+  if (header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WEBP') return metadata;
+
+  // RIFF chunks consist of their type and length, and their data, padded to an even length
+  for (let position = 12; position + 8 <= size; ) {
+    await fileHandle.read(header, 0, 8, position);
+    const type = header.toString('latin1', 0, 4);
+    const length = header.readUInt32LE(4);
+    if ((type === 'EXIF' || type === 'XMP ') && length <= HEADER_SIZE * 4) {
+      const data = Buffer.alloc(length);
+      await fileHandle.read(data, 0, length, position + 8);
+      if (type === 'EXIF') metadata.tiffs.push({buffer: data, start: findTiffStart(data)});
+      else metadata.xmp.push(data.toString('utf8'));
+    }
+    position += 8 + length + (length % 2);
+  }
+  return metadata;
+}
+
+/**
+ * Reads the EXIF and XMP data of a HEIF file (e.g. HEIC), from its `Exif` and XMP items.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{tiffs: Object[], xmp: string[]}>} - The TIFF structures and XMP packets found.
+ */
+async function readHeifMetadata(fileHandle, size) {
+  const metadata = {tiffs: [], xmp: []};
+  for (const item of await readMetadataItems(fileHandle, size)) {
+    if (item.type === 'Exif' && item.data.length >= 4) {
+      // The data starts with the offset of the TIFF structure, relative to the end of that offset
+      metadata.tiffs.push({buffer: item.data, start: findTiffStart(item.data, 4 + item.data.readUInt32BE(0))});
+    } else if (item.contentType === 'application/rdf+xml') {
+      metadata.xmp.push(item.data.toString('utf8'));
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Reads the EXIF data of a Canon CR3 file, from the CMT boxes in Canon's box inside the moov box. Each CMT box is a
+ * TIFF structure of its own: CMT1 holds IFD0, CMT2 the EXIF IFD, and CMT4 the GPS IFD.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{tiffs: Object[], xmp: string[]}>} - The TIFF structures found.
+ */
+async function readCr3Metadata(fileHandle, size) {
+  const metadata = {tiffs: [], xmp: []};
+  const moov = await findBox(fileHandle, ['moov'], 0, size);
+  if (!moov) return metadata;
+
+  for (const box of await readBoxes(fileHandle, moov.dataStart, moov.end)) {
+    if (box.type !== 'uuid' || (await readBoxData(fileHandle, box, 16)).toString('hex') !== CANON_UUID) continue;
+    for (const child of await readBoxes(fileHandle, box.dataStart + 16, box.end)) {
+      const rootIfd = {CMT1: 'ifd0', CMT2: 'exif', CMT4: 'gps'}[child.type];
+      if (rootIfd) metadata.tiffs.push({buffer: await readBoxData(fileHandle, child, HEADER_SIZE), start: 0, rootIfd});
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Reads the EXIF and XMP data of a TIFF based file (e.g. TIFF, DNG, and most RAW formats), or of any other file that
+ * embeds EXIF data near its start (e.g. a JPEG preview).
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @returns {Promise<{tiffs: Object[], xmp: string[]}>} - The TIFF structures and XMP packets found.
+ */
+async function readTiffMetadata(fileHandle) {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  const {bytesRead} = await fileHandle.read(buffer, 0, buffer.length, 0);
+  const data = buffer.subarray(0, bytesRead);
+  const xmp = findXmp(data);
+  return {tiffs: [{buffer: data, start: findTiffStart(data)}], xmp: xmp ? [xmp] : []};
+}
+
+/**
+ * Converts the date tags found in EXIF data to dates. The dates are clock times: the UTC fields of each Date hold the
+ * time as shown on the camera's clock. If it is known, the offset of that clock from UTC is included: from the
+ * matching OffsetTime tag, or otherwise derived from the GPS timestamp (which is in UTC), rounded to 15 minutes.
+ *
+ * @param {Object} tags - The tags (see readTiffTags).
+ * @returns {{date: Date, source: string, offset?: number, offsetSource?: string}[]} - The dates, the tag each was
+ *          found in, and the offset from UTC (in minutes) and where it was found, if known.
+ */
+function getTagDates(tags) {
+  const dates = [];
+  let gpsDate = null;
+  if (tags.GPSDateStamp) {
+    // GPS timestamps are in UTC, with the time stored as hours, minutes and seconds
+    const [hours, minutes, seconds] = (tags.GPSTimeStamp ?? []).map(value => String(Math.floor(value)).padStart(2, '0'));
+    gpsDate = parseDateString(hours && minutes && seconds ? `${tags.GPSDateStamp} ${hours}:${minutes}:${seconds}` : tags.GPSDateStamp);
+    gpsDate = gpsDate && {date: gpsDate, source: 'exif (GPS timestamp)', offset: 0, offsetSource: 'exif (GPS timestamp)', hasTime: !!hours};
+  }
+
+  [['DateTimeOriginal', 'OffsetTimeOriginal'], ['CreateDate', 'OffsetTimeDigitized']].forEach(([tag, offsetTag]) => {
+    const date = parseDateString(tags[tag]);
+    if (!date) return;
+    const source = `exif (${tag})`;
+    const offsetTags = [offsetTag, 'OffsetTime'].filter(candidate => parseOffset(tags[candidate]) !== undefined);
+    const gpsOffset = gpsDate?.hasTime ? Math.round((date - gpsDate.date) / 900000) * 15 : NaN;
+    if (offsetTags.length) {
+      dates.push({date, source, offset: parseOffset(tags[offsetTags[0]]), offsetSource: `exif (${offsetTags[0]})`});
+    } else if (Math.abs(gpsOffset) <= 14 * 60) {
+      dates.push({date, source, offset: gpsOffset, offsetSource: 'exif (GPS timestamp)'});
+    } else {
+      dates.push({date, source});
+    }
+  });
+  if (gpsDate) {
+    const {hasTime, ...entry} = gpsDate;
+    dates.push(entry);
+  }
+  return dates;
+}
+
+/**
+ * Reads a file's EXIF and XMP data, understanding its container format: JPEG, PNG, WebP, HEIF (e.g. HEIC), Canon CR3,
+ * and TIFF based formats (e.g. TIFF, DNG and most other RAW formats). The result is cached in the scan index, if any,
+ * unless the file could not be read.
+ *
+ * @param {Object} file - The file item from the scanner.
+ * @param {Object} [index] - The scan index, to cache the data in.
+ * @returns {Promise<{dates: Object[], make: string|undefined, model: string|undefined}>} - The dates the photo was
+ *          taken, most reliable first, with the tag each was found in (e.g. 'exif (DateTimeOriginal)') and their
+ *          offset from UTC if known (see getTagDates), and the make and model of the camera.
+ */
+export async function readExifData(file, index) {
+  const cachedExifData = await getCachedValue(index, file, 'exif');
+  if (cachedExifData !== undefined) {
+    return {...cachedExifData, dates: cachedExifData.dates.map(({date, ...entry}) => ({...entry, date: new Date(date)}))};
+  }
+  const extension = file.extension.toLowerCase();
+  if (!SUPPORTED_EXIF_EXTENSIONS.has(extension)) {
+    return {dates: []};
+  }
+
+  let fh;
+  let exifData = {dates: []};
+  try {
+    fh = await fs.open(file.path, 'r');
+    const {size} = await fh.stat();
+    const {tiffs, xmp, dates: textDates = []} =
+      JPEG_EXTENSIONS.has(extension) ? await readJpegMetadata(fh)
+        : extension === 'png' ? await readPngMetadata(fh, size)
+        : extension === 'webp' ? await readWebpMetadata(fh, size)
+        : HEIF_EXTENSIONS.has(extension) ? await readHeifMetadata(fh, size)
+        : extension === 'cr3' ? await readCr3Metadata(fh, size)
+        : await readTiffMetadata(fh);
+
+    // Combine the tags of all TIFF structures, as some formats spread them over several
+    const tags = {};
+    tiffs.forEach(({buffer, start, rootIfd}) => Object.entries(readTiffTags(buffer, start, rootIfd)).forEach(([tag, value]) => {
+      if (value) tags[tag] ??= value;
+    }));
+    const tagDates = getTagDates(tags);
+    const isGpsDate = entry => entry.source === 'exif (GPS timestamp)';
+
+    // Keep the first date per source; the GPS timestamp comes last, as it is in UTC rather than the camera's local time
+    const found = [...tagDates.filter(entry => !isGpsDate(entry)), ...xmp.flatMap(readXmpDates), ...textDates, ...tagDates.filter(isGpsDate)];
+    exifData = {
+      dates: found.filter((entry, idx) => found.findIndex(other => other.source === entry.source) === idx),
+      make:  tags.Make,
+      model: tags.Model,
+    };
+  } catch (error) {
+    // Files that cannot be read (e.g. corrupt metadata) have no dates, but are not cached, so they are read again later
+    logger.debug(`Could not read the EXIF data of "${file.path}": ${error.message}`);
+    return exifData;
+  } finally {
+    if (fh) {
+      await fh.close();
+    }
+  }
+
+  setCachedValue(index, file, 'exif', {...exifData, dates: exifData.dates.map(({date, ...entry}) => ({...entry, date: date.getTime()}))});
+  return exifData;
+}
+
+/**
+ * Reads the dates a photo was taken from a file's EXIF data (DateTimeOriginal, CreateDate, and the GPS timestamp) and
+ * XMP data (see readExifData).
+ *
+ * @param {Object} file - The file item from the scanner.
+ * @param {Object} [index] - The scan index, to cache the dates in.
+ * @returns {Promise<Object[]>} - The dates found, most reliable first, the tag each was found in (e.g.
+ *          'exif (DateTimeOriginal)'), and their offset from UTC if known (see getTagDates).
+ */
+export async function readExifDates(file, index) {
+  return (await readExifData(file, index)).dates;
+}
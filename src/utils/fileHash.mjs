@@ -0,0 +1,108 @@
+import fs from 'fs/promises';
+import {createReadStream} from 'fs';
+import crypto from 'crypto';
+import xxhash from 'xxhash-wasm';
+
+// Hash algorithms that are not provided by the crypto module
+const XXHASH_ALGORITHMS = ['xxhash64', 'xxhash32'];
+
+// How thoroughly files are compared before they are considered duplicates (see config/defaults.mjs)
+export const DUPLICATE_VERIFICATIONS = ['sample', 'full'];
+
+// The xxhash WebAssembly module, instantiated on first use
+let xxhashApi;
+
+/**
+ * Checks whether a hash algorithm can be used: xxhash64, xxhash32, or any algorithm supported by the crypto module
+ * (e.g. sha256, sha1, md5).
+ * @param {string} algorithm - Name of the algorithm.
+ * @returns {boolean} - True if the algorithm is supported.
+ */
+export function isSupportedHashAlgorithm(algorithm) {
+  return XXHASH_ALGORITHMS.includes(algorithm) || crypto.getHashes().includes(algorithm);
+}
+
+/**
+ * Creates an incremental hasher.
+ * @param {string} algorithm - Name of the algorithm (see isSupportedHashAlgorithm).
+ * @returns {Promise<{update: function(Buffer): void, digest: function(): string}>} - The hasher; digest returns a hex string.
+ */
+export async function createHasher(algorithm) {
+  if (!XXHASH_ALGORITHMS.includes(algorithm)) {
+    const hash = crypto.createHash(algorithm);
+    return {
+      update: (data) => hash.update(data),
+      digest: () => hash.digest('hex'),
+    };
+  }
+
+  xxhashApi ??= await xxhash();
+  const hash = algorithm === 'xxhash32' ? xxhashApi.create32() : xxhashApi.create64();
+  return {
+    update: (data) => hash.update(data),
+    digest: () => hash.digest().toString(16).padStart(algorithm === 'xxhash32' ? 8 : 16, '0'),
+  };
+}
+
+/**
+ * Hashes the given byte ranges of a file, in order. Only the bytes that exist are hashed (no padding).
+ * @param {string} filePath - Path to the file.
+ * @param {{position: number, length: number}[]} ranges - The byte ranges to hash.
+ * @param {string} algorithm - Name of the algorithm.
+ * @returns {Promise<string>} - The hash.
+ */
+async function hashFileRanges(filePath, ranges, algorithm) {
+  const hasher = await createHasher(algorithm);
+  const fileHandle = await fs.open(filePath, 'r');
+  try {
+    for (const {position, length} of ranges) {
+      const buffer = Buffer.alloc(length);
+      const {bytesRead} = await fileHandle.read(buffer, 0, length, position);
+      hasher.update(buffer.subarray(0, bytesRead));
+    }
+    return hasher.digest();
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+/**
+ * Hashes the first bytes of a file.
+ * @param {string} filePath - Path to the file.
+ * @param {number} chunkSize - Number of bytes to hash.
+ * @param {string} algorithm - Name of the algorithm.
+ * @returns {Promise<string>} - The hash.
+ */
+export function hashFileHead(filePath, chunkSize, algorithm) {
+  return hashFileRanges(filePath, [{position: 0, length: chunkSize}], algorithm);
+}
+
+/**
+ * Hashes a sample of a file: a chunk from its start, its middle and its end.
+ * @param {string} filePath - Path to the file.
+ * @param {number} size - Size of the file, in bytes.
+ * @param {number} chunkSize - Number of bytes to hash per chunk.
+ * @param {string} algorithm - Name of the algorithm.
+ * @returns {Promise<string>} - The hash.
+ */
+export function hashFileSample(filePath, size, chunkSize, algorithm) {
+  return hashFileRanges(filePath, [
+    {position: 0, length: chunkSize},
+    {position: Math.max(0, Math.floor(size / 2 - chunkSize / 2)), length: chunkSize},
+    {position: Math.max(0, size - chunkSize), length: chunkSize},
+  ], algorithm);
+}
+
+/**
+ * Hashes the complete contents of a file, streaming it.
+ * @param {string} filePath - Path to the file.
+ * @param {string} algorithm - Name of the algorithm.
+ * @returns {Promise<string>} - The hash.
+ */
+export async function hashFileFull(filePath, algorithm) {
+  const hasher = await createHasher(algorithm);
+  for await (const chunk of createReadStream(filePath, {highWaterMark: 1048576})) {
+    hasher.update(chunk);
+  }
+  return hasher.digest();
+}
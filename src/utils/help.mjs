@@ -0,0 +1,52 @@
+import chalk from 'chalk';
+
+/**
+ * Formats a configuration value for display in the help text.
+ * @param {*} value - The value.
+ * @returns {string} - The formatted value.
+ */
+function formatValue(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Generates the --help output from the command and flag definitions, and the configuration schema.
+ *
+ * @param {object} options - What to describe.
+ * @param {Object<string, {usage: string, description: string}>} options.commands - The available commands.
+ * @param {Object<string, {value?: string, alias?: string, description: string}>} options.flags - The available flags.
+ * @param {object} options.schema - The configuration schema (see config/defaults.mjs).
+ * @returns {string} - The help text.
+ */
+export function getHelpText({commands, flags, schema}) {
+  const lines = [
+    chalk.bold('Usage:') + ' npm start -- [command] [options]',
+    '',
+    chalk.bold('Commands:'),
+  ];
+
+  const commandWidth = Math.max(...Object.values(commands).map(command => command.usage.length));
+  Object.values(commands).forEach(command => {
+    lines.push(`  ${command.usage.padEnd(commandWidth)}  ${command.description}`);
+  });
+
+  lines.push('', chalk.bold('Options:'));
+  const flagUsages = Object.entries(flags).map(([name, flag]) => [
+    `${flag.alias ? `-${flag.alias}, ` : '    '}--${name}${flag.value ? ` ${flag.value}` : ''}`,
+    flag.description
+  ]);
+  const flagWidth = Math.max(...flagUsages.map(([usage]) => usage.length));
+  flagUsages.forEach(([usage, description]) => {
+    lines.push(`  ${usage.padEnd(flagWidth)}  ${description}`);
+  });
+
+  lines.push('', chalk.bold('Configuration settings') + ' (per entry in the configuration file):');
+  Object.entries(schema).forEach(([key, setting]) => {
+    const required = setting.required === true ? ', required' : (typeof setting.required === 'string' ? `, required for '${setting.required}'` : '');
+    const defaultValue = setting.default !== undefined ? ` default: ${formatValue(setting.default)}` : '';
+    lines.push(`  ${chalk.green(key)} (${setting.type}${setting.items ? ` of ${setting.items}s` : ''}${required})${defaultValue}`);
+    if (setting.description) lines.push(`      ${setting.description}`);
+  });
+
+  return lines.join('\n');
+}
@@ -11,7 +11,20 @@ export function normalizePath(thisPath) {
   return path.normalize(path.resolve(thisPath)).replace(/\/+$/, '');
 }
 
+/**
+ * Checks whether the user can be asked questions, i.e. whether stdin is an interactive terminal.
+ * This is not the case when running from cron, or when input is piped in.
+ *
+ * @returns {boolean} True if stdin is a TTY, false otherwise.
+ */
+export function isInteractive() {
+  return !!process.stdin.isTTY;
+}
+
 export function userConfirm(question, validAnswers = ['y', 'a', 'n', 'c', 's']) {
+  if (!isInteractive()) {
+    return Promise.reject(new Error(`Cannot ask "${question}": no interactive terminal available (stdin is not a TTY).`));
+  }
   logger.stopAndPersist({ symbol: '\x1b[35m?\x1b[0m', text: `\x1b[35m${question.toString()}\x1b[0m` });
   const answerGuide = [];
 
@@ -74,6 +87,18 @@ export async function answerLoop(question, validAnswers = ['y', 'a', 'n', 'c', '
   return userAnswer;
 }
 
+/**
+ * Checks whether `childPath` is located somewhere inside `parentPath`.
+ *
+ * @param {string} childPath - The path to check.
+ * @param {string} parentPath - The (presumed) parent path.
+ * @returns {boolean} True if `childPath` is nested inside `parentPath`, false otherwise (also if they are equal).
+ */
+export function isInsidePath(childPath, parentPath) {
+  const relative = path.relative(path.resolve(parentPath), path.resolve(childPath));
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
 /**
  * Rebase `targetPath` to start with `basePath` while retaining its unique parts.
  *
@@ -124,7 +149,7 @@ export function doHeader(message = '', characters = 50, echo = true) {
 
 
 /**
- * Hashes the first CHUNK_SIZE bytes of a file.
+ * Hashes the first CHUNK_SIZE bytes of a file (or the whole file, if it is smaller).
  * @param {string} filePath - Path to the file.
  * @param {number} chunkSize - Number of bytes to hash.
  * @returns {Promise<string>} - The hash of the file chunk.
@@ -133,53 +158,39 @@ export async function hashFileChunk(filePath, chunkSize = 131072) {
   const fileHandle = await fs.open(filePath, 'r');
   const buffer = Buffer.alloc(chunkSize);
   try {
-    await fileHandle.read(buffer, 0, chunkSize, 0);
-    return crypto.createHash('md5').update(buffer).digest('hex').toString();
+    const {bytesRead} = await fileHandle.read(buffer, 0, chunkSize, 0);
+    return crypto.createHash('md5').update(buffer.subarray(0, bytesRead)).digest('hex').toString();
   } finally {
     await fileHandle.close();
   }
 }
 
 /**
- * Recursively calculates an MD5 hash for a directory and its contents.
- *
- * The function computes the hash by combining:
- * - Hashes of all files directly within the directory.
- * - Hashes of all subdirectories (recursively processed).
- *
- * @param {Object} dirEntry - The directory entry object containing information about the directory.
- * @param {Object} results - An object containing two Maps:
- *        @param {Map<string, Object>} results.files - A Map of file paths to file entry objects.
- *        @param {Map<string, Object>} results.directories - A Map of directory paths to directory entry objects.
- * @returns {Promise<string>} - A promise that resolves to the final MD5 hash of the directory.
- *
- * @example
- * const dirEntry = { path: '/photos/2023' };
- * const results = {
- *     files: new Map([
- *         ['/photos/2023/file1.jpg', { path: '/photos/2023/file1.jpg', dir: '/photos/2023' }],
- *         ['/photos/2023/file2.jpg', { path: '/photos/2023/file2.jpg', dir: '/photos/2023' }]
- *     ]),
- *     directories: new Map([
- *         ['/photos/2023/subdir', { path: '/photos/2023/subdir', dir: '/photos/2023' }]
- *     ])
- * };
- *
- * const hash = await calculateDirectoryHash(dirEntry, results);
- * console.log(hash); // Outputs a unique MD5 hash for the directory and its contents
+ * Compares the complete contents of two files, byte by byte.
+ * @param {string} pathA - Path to the first file.
+ * @param {string} pathB - Path to the second file.
+ * @param {number} [chunkSize=1048576] - Number of bytes to compare at a time.
+ * @returns {Promise<boolean>} - True if both files have exactly the same content, false otherwise.
  */
-export async function calculateDirectoryHash(dirEntry, results) {
-  const hash = crypto.createHash('md5');
-  const childFiles = Array.from(results.files.values()).filter((file) => file.dir === dirEntry.path);
-  const childDirs = Array.from(results.directories.values()).filter((subDir) => subDir.dir === dirEntry.path);
+export async function filesAreIdentical(pathA, pathB, chunkSize = 1048576) {
+  const [statsA, statsB] = await Promise.all([fs.stat(pathA), fs.stat(pathB)]);
+  if (!statsA.isFile() || !statsB.isFile() || statsA.size !== statsB.size) return false;
 
-  for (const file of childFiles) {
-    hash.update(await hashFileChunk(file.path));
-  }
-  for (const subDir of childDirs) {
-    hash.update(await calculateDirectoryHash(subDir, results));
+  const [handleA, handleB] = await Promise.all([fs.open(pathA, 'r'), fs.open(pathB, 'r')]);
+  const bufferA = Buffer.alloc(chunkSize);
+  const bufferB = Buffer.alloc(chunkSize);
+  try {
+    for (let position = 0; position < statsA.size; position += chunkSize) {
+      const [{bytesRead}] = await Promise.all([
+        handleA.read(bufferA, 0, chunkSize, position),
+        handleB.read(bufferB, 0, chunkSize, position)
+      ]);
+      if (!bufferA.subarray(0, bytesRead).equals(bufferB.subarray(0, bytesRead))) return false;
+    }
+    return true;
+  } finally {
+    await Promise.all([handleA.close(), handleB.close()]);
   }
-  return hash.digest('hex');
 }
 
 /**
@@ -373,10 +384,66 @@ export function getFilesetForFile(filePath, directoryFiles) {
   return fileset.length > 1 ? fileset : []; // Return fileset if it contains more than one file
 }
 
+// Extensions of sidecar files: files holding edits, metadata, subtitles or previews of the file with the same name (e.g.
+// IMG_1234.AAE or movie.en.srt), or of a GoPro video (see findGoProVideo), the default of the orphanFileExtensions setting
+export const SIDECAR_EXTENSIONS = ['aae', 'xmp', 'thm', 'dop', 'pp3', 'srt', 'nfo', 'lrv'];
+
+/**
+ * Finds the video a GoPro low resolution proxy belongs to. GoPro names proxies "GL" followed by the chapter and number
+ * of their video, whose name starts with "GX" (HEVC) or "GH" (H.264) instead, e.g. GL010123.LRV for GX010123.MP4.
+ * @param {Object} proxy - The file item of the proxy.
+ * @param {Object[]} files - The file items to look for the video in.
+ * @returns {Object|undefined} - The video, if the proxy is named like a GoPro proxy and its video is among the files.
+ */
+function findGoProVideo(proxy, files) {
+  const match = /^GL(\d{6})\.lrv$/i.exec(proxy.name);
+  return match ? files.find(file => new RegExp(`^G[XH]${match[1]}\\.`, 'i').test(file.name)) : undefined;
+}
+
+/**
+ * Finds the sidecar files among the files of a directory, and the primary file each belongs to: the file whose name
+ * the sidecar's name starts with (e.g. "IMG_1234.HEIC" for "IMG_1234.HEIC.xmp"), the GoPro video of a GoPro proxy (see
+ * findGoProVideo), or otherwise the first other file of its fileset (e.g. "IMG_1234.HEIC" for "IMG_1234.AAE", see
+ * getFilesetForFile). Sidecars without a primary are left out.
+ *
+ * @param {Object[]} directoryFiles - The file items of one directory.
+ * @param {string[]} [extensions] - The extensions of sidecar files (defaults to SIDECAR_EXTENSIONS).
+ * @returns {Map<string, Object[]>} - The sidecars, by the path of their primary file.
+ */
+export function findSidecars(directoryFiles, extensions = SIDECAR_EXTENSIONS) {
+  const isSidecar = (file) => extensions.includes(file.extension?.toLowerCase());
+  const primaries = directoryFiles.filter(file => !isSidecar(file)).sort((a, b) => a.path.localeCompare(b.path));
+  const sidecars = new Map();
+
+  directoryFiles.filter(isSidecar).forEach(sidecar => {
+    const primary = primaries.find(file => sidecar.name.toLowerCase().startsWith(`${file.name.toLowerCase()}.`))
+      ?? findGoProVideo(sidecar, primaries)
+      ?? getFilesetForFile(sidecar.path, primaries.concat(sidecar)).find(file => file !== sidecar);
+    if (!primary) return;
+    if (!sidecars.has(primary.path)) sidecars.set(primary.path, []);
+    sidecars.get(primary.path).push(sidecar);
+  });
+  return sidecars;
+}
+
 export function normalizeExtension(fileName, extension) {
   // Create a regex to match repeated extensions at the end of the string
   const regex = new RegExp(`(\\.${extension})+$`, 'i');
 
-  // Replace the repeated extensions with a single one
-  return fileName.replace(regex, `.${extension}`);
-}
\ No newline at end of file
+  // Replace the repeated extensions with a single one, keeping its case (e.g. when a template lowercases it)
+  return fileName.replace(regex, (repeated) => repeated.slice(-extension.length - 1));
+}
+/**
+ * Parses a textual date, as used in metadata: "YYYY-MM-DD" or "YYYY:MM:DD" (as in EXIF), optionally followed by a
+ * time. Dates without a day (e.g. only a year) are ignored, as they are too imprecise to reorganize by. The date and
+ * time are taken as UTC (any timezone is ignored), like EXIF dates.
+ * @param {string} value - The textual date.
+ * @returns {Date|null} - The date, or null if it cannot be parsed.
+ */
+export function parseDateString(value) {
+  const match = /^\s*(\d{4})[-:](\d{2})[-:](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(value ?? '');
+  if (!match) return null;
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => part === undefined ? part : Number(part));
+  const date = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+  return isNaN(date) || date.getUTCDate() !== day ? null : date;
+}
@@ -0,0 +1,194 @@
+/**
+ * Reads the header of an ISO base media file format (ISOBMFF, e.g. MP4, MOV, HEIC) box: its size and type.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} position - Where the box starts.
+ * @param {number} end - Where the box's parent (or the file) ends.
+ * @returns {Promise<{type: string, start: number, dataStart: number, end: number}|null>} - The box type, where its
+ *          data starts and where it ends, or null if there is no valid box at the position.
+ */
+export async function readBoxHeader(fileHandle, position, end) {
+  if (end - position < 8) return null;
+  const header = Buffer.alloc(16);
+  const {bytesRead} = await fileHandle.read(header, 0, 16, position);
+  if (bytesRead < 8) return null;
+
+  let size = header.readUInt32BE(0);
+  const type = header.toString('latin1', 4, 8);
+  let dataStart = position + 8;
+  if (size === 1) {
+    // 64-bit size, following the type
+    if (bytesRead < 16) return null;
+    size = Number(header.readBigUInt64BE(8));
+    dataStart += 8;
+  } else if (size === 0) {
+    // The box extends to the end of its parent
+    size = end - position;
+  }
+  if (size < dataStart - position || position + size > end) return null;
+  return {type, start: position, dataStart, end: position + size};
+}
+
+/**
+ * Lists the boxes between two positions.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} start - Where the first box starts.
+ * @param {number} end - Where the last box ends.
+ * @returns {Promise<Object[]>} - The box headers (see readBoxHeader).
+ */
+export async function readBoxes(fileHandle, start, end) {
+  const boxes = [];
+  for (let box = await readBoxHeader(fileHandle, start, end); box; box = await readBoxHeader(fileHandle, box.end, end)) {
+    boxes.push(box);
+  }
+  return boxes;
+}
+
+/**
+ * Finds a nested box, e.g. ['moov', 'mvhd'].
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {string[]} boxPath - The types of the boxes to descend into, ending with the type of the box to find.
+ * @param {number} start - Where to start looking.
+ * @param {number} end - Where to stop looking (e.g. the size of the file).
+ * @returns {Promise<Object|null>} - The box header (see readBoxHeader), or null if it was not found.
+ */
+export async function findBox(fileHandle, boxPath, start, end) {
+  let parent = {dataStart: start, end};
+  for (const type of boxPath) {
+    const boxes = await readBoxes(fileHandle, parent.dataStart, parent.end);
+    parent = boxes.find(box => box.type === type);
+    if (!parent) return null;
+  }
+  return parent;
+}
+
+/**
+ * Reads the data of a box.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {Object} box - The box header (see readBoxHeader).
+ * @param {number} [maxLength=Infinity] - The maximum number of bytes to read.
+ * @returns {Promise<Buffer>} - The data.
+ */
+export async function readBoxData(fileHandle, box, maxLength = Infinity) {
+  const length = Math.min(box.end - box.dataStart, maxLength);
+  const buffer = Buffer.alloc(length);
+  const {bytesRead} = await fileHandle.read(buffer, 0, length, box.dataStart);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Reads an unsigned big-endian integer of 0, 4 or 8 bytes, as used for the variable size fields of the `iloc` box.
+ * @param {Buffer} buffer - The buffer.
+ * @param {number} offset - Where the integer starts.
+ * @param {number} size - Size of the integer, in bytes.
+ * @returns {number} - The integer.
+ */
+function readSizedInt(buffer, offset, size) {
+  if (size === 8) return Number(buffer.readBigUInt64BE(offset));
+  return size ? buffer.readUIntBE(offset, size) : 0;
+}
+
+/**
+ * Reads the items of a HEIF file (e.g. HEIC, AVIF) of the given types, as described in the `meta` box, with their data
+ * as located by the `iloc` box. Items of type `mime` include their content type (e.g. "application/rdf+xml" for XMP).
+ *
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @param {string[]} types - The item types to read (e.g. 'Exif', 'mime' or 'jpeg').
+ * @param {number} [maxLength=1048576] - The maximum number of bytes to read per item.
+ * @returns {Promise<{type: string, contentType: string|undefined, data: Buffer}[]>} - The items.
+ */
+export async function readItems(fileHandle, size, types, maxLength = 1048576) {
+  const meta = await findBox(fileHandle, ['meta'], 0, size);
+  if (!meta) return [];
+  // The meta box is a "full box": its children follow a version and flags
+  const children = await readBoxes(fileHandle, meta.dataStart + 4, meta.end);
+  const iinf = children.find(box => box.type === 'iinf');
+  const iloc = children.find(box => box.type === 'iloc');
+  const idat = children.find(box => box.type === 'idat');
+  if (!iinf || !iloc) return [];
+
+  // Find the IDs of the items
+  const itemTypes = new Map();
+  const iinfVersion = (await readBoxData(fileHandle, iinf, 1))[0];
+  for (const infe of await readBoxes(fileHandle, iinf.dataStart + (iinfVersion === 0 ? 6 : 8), iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    const data = await readBoxData(fileHandle, infe, 1024);
+    if (data.length < 12 || data[0] < 2) continue;
+    const idSize = data[0] === 2 ? 2 : 4;
+    const itemId = data.readUIntBE(4, idSize);
+    const typeOffset = 4 + idSize + 2;
+    const type = data.toString('latin1', typeOffset, typeOffset + 4);
+    if (!types.includes(type)) continue;
+    if (type === 'mime') {
+      // The item name and content type follow the type, as null-terminated strings
+      const [, contentType] = data.toString('utf8', typeOffset + 4).split('\0');
+      itemTypes.set(itemId, {type, contentType});
+    } else {
+      itemTypes.set(itemId, {type});
+    }
+  }
+  if (!itemTypes.size) return [];
+
+  // Find where their data is stored
+  const data = await readBoxData(fileHandle, iloc, 65536);
+  const version = data[0];
+  const offsetSize = data[4] >> 4;
+  const lengthSize = data[4] & 0x0F;
+  const baseOffsetSize = data[5] >> 4;
+  const indexSize = version === 1 || version === 2 ? data[5] & 0x0F : 0;
+  const itemCount = version < 2 ? data.readUInt16BE(6) : data.readUInt32BE(6);
+  let offset = version < 2 ? 8 : 10;
+
+  const items = [];
+  for (let idx = 0; idx < itemCount && offset < data.length; idx++) {
+    const itemId = version < 2 ? data.readUInt16BE(offset) : data.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = data.readUInt16BE(offset) & 0x0F;
+      offset += 2;
+    }
+    offset += 2; // Data reference index
+    const baseOffset = readSizedInt(data, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = data.readUInt16BE(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let extent = 0; extent < extentCount; extent++) {
+      offset += indexSize;
+      const extentOffset = readSizedInt(data, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSizedInt(data, offset, lengthSize);
+      offset += lengthSize;
+      extents.push({position: baseOffset + extentOffset, length: extentLength});
+    }
+
+    // Only items stored in the file itself (method 0), or in the idat box (method 1), can be read
+    const item = itemTypes.get(itemId);
+    if (!item || constructionMethod > 1 || (constructionMethod === 1 && !idat)) continue;
+    const buffers = [];
+    let remaining = maxLength;
+    for (const {position, length} of extents) {
+      // An extent length of 0 means the rest of the file
+      const extentLength = Math.min(length || size - position, remaining);
+      const buffer = Buffer.alloc(extentLength);
+      const {bytesRead} = await fileHandle.read(buffer, 0, extentLength, (constructionMethod === 1 ? idat.dataStart : 0) + position);
+      buffers.push(buffer.subarray(0, bytesRead));
+      remaining -= bytesRead;
+    }
+    items.push({...item, data: Buffer.concat(buffers)});
+  }
+  return items;
+}
+
+/**
+ * Reads the metadata items of a HEIF file: its `Exif` and `mime` (e.g. XMP) items (see readItems).
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @param {number} [maxLength=1048576] - The maximum number of bytes to read per item.
+ * @returns {Promise<{type: string, contentType: string|undefined, data: Buffer}[]>} - The items.
+ */
+export async function readMetadataItems(fileHandle, size, maxLength = 1048576) {
+  return readItems(fileHandle, size, ['Exif', 'mime'], maxLength);
+}
@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Creates a unique, sortable identifier for a run, e.g. '20240101-120000-a1b2'.
+ * @returns {string} - The run id.
+ */
+export function createRunId() {
+  const timestamp = new Date().toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Returns the path of the operation journal for a configuration.
+ * Unless configured otherwise using `journalPath`, the journal is kept inside the recycle bin, as that is never scanned.
+ * @param {object} config - The configuration.
+ * @returns {string} - The journal path.
+ */
+export function getJournalPath(config) {
+  return config.journalPath || path.join(config.recycleBinPath, '.easy-file-maintenance', 'journal.jsonl');
+}
+
+/**
+ * Appends an entry to the journal, one JSON object per line.
+ * @param {string} journalPath - Path to the journal.
+ * @param {object} entry - The entry to append. A timestamp is added automatically.
+ * @returns {Promise<void>}
+ */
+export async function appendJournalEntry(journalPath, entry) {
+  await fs.mkdir(path.dirname(journalPath), {recursive: true});
+  await fs.appendFile(journalPath, JSON.stringify({timestamp: new Date().toISOString(), ...entry}) + '\n');
+}
+
+/**
+ * Reads all entries from the journal, skipping lines that cannot be parsed (e.g. a line cut off by a crash).
+ * @param {string} journalPath - Path to the journal.
+ * @returns {Promise<object[]>} - The journal entries, oldest first. Empty if the journal does not exist.
+ */
+export async function readJournal(journalPath) {
+  let content;
+  try {
+    content = await fs.readFile(journalPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content.split('\n').filter(Boolean).reduce((entries, line) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Ignore incomplete lines
+    }
+    return entries;
+  }, []);
+}
+
+/**
+ * Summarizes the runs recorded in a journal.
+ * @param {object[]} entries - Journal entries (see readJournal).
+ * @returns {object[]} - One object per run, with its id, start and end time and the number of entries per operation.
+ */
+export function getJournalRuns(entries) {
+  const runs = new Map();
+  entries.forEach(entry => {
+    if (!runs.has(entry.runId)) {
+      runs.set(entry.runId, {runId: entry.runId, started: entry.timestamp, ended: entry.timestamp, operations: {}});
+    }
+    const run = runs.get(entry.runId);
+    run.ended = entry.timestamp;
+    run.operations[entry.operation] = (run.operations[entry.operation] ?? 0) + 1;
+  });
+  return [...runs.values()];
+}
@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import {constants} from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {filesAreIdentical, isInsidePath} from "./helpers.mjs";
+
+// Ways a duplicate file can be replaced by a link to its original (see duplicateAction in config/defaults.mjs)
+export const LINK_TYPES = ['hardlink', 'reflink', 'symlink'];
+
+// Descriptions of the link types, for display
+const LINK_NAMES = {hardlink: 'hard link', reflink: 'reflink (copy-on-write clone)', symlink: 'symbolic link'};
+
+/**
+ * Describes a link type in plain words.
+ * @param {string} linkType - One of LINK_TYPES.
+ * @returns {string} - The description, e.g. 'hard link'.
+ */
+export function describeLinkType(linkType) {
+  return LINK_NAMES[linkType] ?? linkType;
+}
+
+/**
+ * Returns a temporary path next to a file, to prepare its replacement in, so it can be swapped in with a single rename.
+ * @param {string} filePath - Path of the file to replace.
+ * @returns {string} - The temporary path.
+ */
+function getTemporaryPath(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+}
+
+/**
+ * Checks whether a duplicate file can safely be replaced by a link to its original: both must be regular files with
+ * the same permissions and ownership (so nothing changes for whoever uses the duplicate's path), with identical
+ * contents (compared byte by byte), and for hard links and reflinks they must be on the same device. Originals in
+ * read-only reference paths cannot get hard links, as changing the duplicate's permissions, ownership or timestamps
+ * would then change the original as well.
+ *
+ * @param {string} duplicatePath - Path of the duplicate file.
+ * @param {string} originalPath - Path of the original file.
+ * @param {string} linkType - One of LINK_TYPES.
+ * @param {string[]} [referencePaths=[]] - The read-only reference paths (see referencePaths in config/defaults.mjs).
+ * @returns {Promise<string|null>} - Why the duplicate cannot be replaced, or null if it can.
+ */
+export async function checkLinkSafety(duplicatePath, originalPath, linkType, referencePaths = []) {
+  if (!LINK_TYPES.includes(linkType)) {
+    return `unknown link type "${linkType}"`;
+  }
+  if (linkType === 'hardlink' && referencePaths.some(referencePath => isInsidePath(originalPath, referencePath))) {
+    return 'the original is in a read-only reference path, which only allows a reflink or symbolic link';
+  }
+
+  let duplicate, original;
+  try {
+    [duplicate, original] = await Promise.all([fs.lstat(duplicatePath), fs.lstat(originalPath)]);
+  } catch (error) {
+    return `cannot access both files (${error.message})`;
+  }
+
+  if (!duplicate.isFile() || !original.isFile()) {
+    return 'both must be regular files';
+  }
+  if (duplicate.dev === original.dev && duplicate.ino === original.ino) {
+    return 'already the same file';
+  }
+  if (linkType !== 'symlink' && duplicate.dev !== original.dev) {
+    return `a ${describeLinkType(linkType)} requires both files to be on the same device`;
+  }
+  if ((duplicate.mode & 0o7777) !== (original.mode & 0o7777)) {
+    return `permissions differ (${(duplicate.mode & 0o7777).toString(8)} vs ${(original.mode & 0o7777).toString(8)})`;
+  }
+  if (duplicate.uid !== original.uid || duplicate.gid !== original.gid) {
+    return `ownership differs (${duplicate.uid}:${duplicate.gid} vs ${original.uid}:${original.gid})`;
+  }
+  if (!await filesAreIdentical(duplicatePath, originalPath)) {
+    return 'contents are not identical';
+  }
+  return null;
+}
+
+/**
+ * Replaces a duplicate file by a link to its original. The link is created next to the duplicate first, and then
+ * renamed over it, so the duplicate's path is never missing. Reflinks get the duplicate's timestamps.
+ *
+ * @param {string} duplicatePath - Path of the duplicate file.
+ * @param {string} originalPath - Path of the original file.
+ * @param {string} linkType - One of LINK_TYPES.
+ * @returns {Promise<object>} - fs.Stats of the duplicate, before it was replaced.
+ */
+export async function replaceWithLink(duplicatePath, originalPath, linkType) {
+  const previous = await fs.lstat(duplicatePath);
+  const temporaryPath = getTemporaryPath(duplicatePath);
+
+  try {
+    if (linkType === 'hardlink') {
+      await fs.link(originalPath, temporaryPath);
+    } else if (linkType === 'reflink') {
+      // Fails (instead of falling back to a regular copy) if the filesystem does not support copy-on-write clones
+      await fs.copyFile(originalPath, temporaryPath, constants.COPYFILE_FICLONE_FORCE);
+      await fs.chmod(temporaryPath, previous.mode & 0o7777);
+      await fs.chown(temporaryPath, previous.uid, previous.gid);
+      await fs.utimes(temporaryPath, previous.atime, previous.mtime);
+    } else if (linkType === 'symlink') {
+      await fs.symlink(path.resolve(originalPath), temporaryPath);
+    } else {
+      throw new Error(`Unknown link type "${linkType}"`);
+    }
+    await fs.rename(temporaryPath, duplicatePath);
+  } catch (error) {
+    await fs.rm(temporaryPath, {force: true});
+    if (linkType === 'reflink' && ['ENOTSUP', 'EOPNOTSUPP', 'EXDEV', 'EINVAL'].includes(error.code)) {
+      throw new Error(`The filesystem does not support reflinks for "${duplicatePath}" (${error.code})`);
+    }
+    throw error;
+  }
+
+  return previous;
+}
+
+/**
+ * Replaces a link (created by replaceWithLink) by an independent copy of its original again, restoring the
+ * permissions, ownership and timestamps the duplicate had.
+ *
+ * @param {string} linkPath - Path of the link.
+ * @param {string} originalPath - Path of the original file.
+ * @param {{mode: number, uid: number, gid: number, atimeMs: number, mtimeMs: number}} previous - What the duplicate had.
+ * @returns {Promise<void>}
+ */
+export async function replaceLinkWithCopy(linkPath, originalPath, previous) {
+  const temporaryPath = getTemporaryPath(linkPath);
+  try {
+    await fs.copyFile(originalPath, temporaryPath);
+    await fs.chmod(temporaryPath, previous.mode);
+    await fs.chown(temporaryPath, previous.uid, previous.gid);
+    await fs.utimes(temporaryPath, new Date(previous.atimeMs), new Date(previous.mtimeMs));
+    await fs.rename(temporaryPath, linkPath);
+  } catch (error) {
+    await fs.rm(temporaryPath, {force: true});
+    throw error;
+  }
+}
@@ -17,6 +17,7 @@ process.on('uncaughtException', (error) => globalErrorHandler(error, 'uncaughtEx
 
 let spinner = null;
 let startTime = null; // Variable to store the high-resolution start time
+let verbose = false; // Whether debug messages are shown
 
 const logger = {
   hasInstance: () => {
@@ -85,6 +86,19 @@ const logger = {
     }
     return logger; // Enable chaining
   },
+  setVerbose: (enabled) => {
+    verbose = !!enabled;
+    return logger; // Enable chaining
+  },
+  isVerbose: () => {
+    return verbose;
+  },
+  debug: (message) => {
+    if (verbose) {
+      console.log(message);
+    }
+    return logger; // Enable chaining
+  },
   indent: () => {
     if (!spinner) {
       spinner = ora().start();
@@ -0,0 +1,370 @@
+import fs from 'fs/promises';
+import {findBox, readBoxData, readBoxes} from "./isobmff.mjs";
+import {getCachedValue, setCachedValue} from "./scanIndex.mjs";
+import {parseDateString} from "./helpers.mjs";
+import {parseOffset} from "./timezone.mjs";
+import logger from "./logger.mjs";
+
+// Extensions of files per container format that may contain a recording date
+const QUICKTIME_EXTENSIONS = new Set(['mp4', 'm4v', 'm4a', 'mov', 'qt', '3gp', '3g2']);
+const MATROSKA_EXTENSIONS = new Set(['mkv', 'mk3d', 'mka', 'webm']);
+const ID3_EXTENSIONS = new Set(['mp3']);
+const FLAC_EXTENSIONS = new Set(['flac']);
+const OGG_EXTENSIONS = new Set(['ogg', 'oga', 'ogv', 'opus']);
+
+// Extensions of audio and video files that may contain a recording date
+export const SUPPORTED_MEDIA_EXTENSIONS = new Set([
+  ...QUICKTIME_EXTENSIONS, ...MATROSKA_EXTENSIONS, ...ID3_EXTENSIONS, ...FLAC_EXTENSIONS, ...OGG_EXTENSIONS,
+]);
+
+// Start of the epochs used by QuickTime (1904-01-01) and Matroska (2001-01-01), in milliseconds since 1970-01-01
+const QUICKTIME_EPOCH = Date.UTC(1904, 0, 1);
+const MATROSKA_EPOCH = Date.UTC(2001, 0, 1);
+
+// Matroska element IDs (including their length marker bits)
+const EBML_IDS = {segment: 0x18538067, info: 0x1549A966, cluster: 0x1F43B675, dateUTC: 0x4461};
+
+// The maximum number of bytes of a tag (e.g. ID3) that is read, as tags can contain large images
+const MAX_TAG_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Parses a textual recording date (see parseDateString), including its offset from UTC if it has one.
+ * @param {string} value - The textual date.
+ * @param {string} source - Where the date was found.
+ * @returns {{date: Date, source: string, offset?: number, offsetSource?: string}|null} - The date, or null if it
+ *          cannot be parsed.
+ */
+function parseTextDate(value, source) {
+  const date = parseDateString(value);
+  const offset = parseOffset(value);
+  if (!date) return null;
+  return offset === undefined ? {date, source} : {date, source, offset, offsetSource: source};
+}
+
+/**
+ * Reads the text values of the QuickTime metadata of a movie (its `meta` box, with `keys` and `ilst` boxes), as written
+ * by e.g. iPhones.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {Object} moov - The header of the `moov` box (see readBoxHeader).
+ * @returns {Promise<Map<string, string>>} - The text values, by key (e.g. 'com.apple.quicktime.creationdate').
+ */
+async function readQuickTimeMetadata(fileHandle, moov) {
+  const values = new Map();
+  const meta = (await readBoxes(fileHandle, moov.dataStart, moov.end)).find(box => box.type === 'meta');
+  if (!meta) return values;
+  // Unlike in MP4 files, this meta box is not a "full box", but some writers add a version and flags anyway
+  const hasVersion = (await readBoxData(fileHandle, meta, 8)).toString('latin1', 4, 8) !== 'hdlr';
+  const children = await readBoxes(fileHandle, meta.dataStart + (hasVersion ? 4 : 0), meta.end);
+  const keysBox = children.find(box => box.type === 'keys');
+  const ilst = children.find(box => box.type === 'ilst');
+  if (!keysBox || !ilst) return values;
+
+  // The keys box follows a version and flags with the number of keys, and the keys: their size, namespace and name
+  const keyData = await readBoxData(fileHandle, keysBox, MAX_TAG_SIZE);
+  const keys = [];
+  for (let offset = 8; offset + 8 <= keyData.length && keys.length < keyData.readUInt32BE(4); ) {
+    const keySize = keyData.readUInt32BE(offset);
+    if (keySize < 8) break;
+    keys.push(keyData.toString('utf8', offset + 8, offset + keySize));
+    offset += keySize;
+  }
+
+  // The type of each item is the (1-based) index of its key, and its value is in a data box, after its data type
+  // (1 for UTF-8 text) and locale
+  for (const item of await readBoxes(fileHandle, ilst.dataStart, ilst.end)) {
+    const key = keys[Buffer.from(item.type, 'latin1').readUInt32BE(0) - 1];
+    const data = (await readBoxes(fileHandle, item.dataStart, item.end)).find(box => box.type === 'data');
+    if (!key || !data) continue;
+    const value = await readBoxData(fileHandle, data, 1024);
+    if (value.length > 8 && value.readUInt32BE(0) === 1) values.set(key, value.toString('utf8', 8));
+  }
+  return values;
+}
+
+/**
+ * Reads the creation date of a QuickTime or MP4 file: the `com.apple.quicktime.creationdate` metadata (the local time,
+ * with its offset from UTC), and the creation time in the movie header (`moov`/`mvhd`, in UTC).
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{date: Date, source: string}[]>} - The dates found, most reliable first.
+ */
+async function readQuickTimeDates(fileHandle, size) {
+  const moov = await findBox(fileHandle, ['moov'], 0, size);
+  if (!moov) return [];
+  const dates = [];
+  const metadata = await readQuickTimeMetadata(fileHandle, moov);
+  const creationDate = parseTextDate(metadata.get('com.apple.quicktime.creationdate'), 'quicktime (creationdate)');
+  if (creationDate) dates.push(creationDate);
+
+  const movieHeader = await findBox(fileHandle, ['mvhd'], moov.dataStart, moov.end);
+  const data = movieHeader ? await readBoxData(fileHandle, movieHeader, 16) : Buffer.alloc(0);
+  if (data.length < 12) return dates;
+
+  // Version 1 headers use 64-bit times, version 0 headers 32-bit times (in seconds since the QuickTime epoch)
+  const seconds = data[0] === 1 ? Number(data.readBigUInt64BE(4)) : data.readUInt32BE(4);
+  if (seconds) dates.push({date: new Date(QUICKTIME_EPOCH + seconds * 1000), source: 'quicktime (mvhd)', offset: 0, offsetSource: 'quicktime (mvhd)'});
+  return dates;
+}
+
+/**
+ * Reads a Matroska (EBML) element header: its ID, and the size of its data.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} position - Where the element starts.
+ * @param {number} end - Where the element's parent (or the file) ends.
+ * @returns {Promise<{id: number, dataStart: number, end: number|null}|null>} - The element ID, where its data starts,
+ *          and where it ends (null if its size is unknown), or null if there is no valid element at the position.
+ */
+async function readElementHeader(fileHandle, position, end) {
+  const header = Buffer.alloc(12);
+  const {bytesRead} = await fileHandle.read(header, 0, 12, position);
+
+  // IDs and sizes are variable length integers: the number of leading zero bits tells how many bytes follow
+  const readVint = (offset) => {
+    const length = Math.clz32(header[offset]) - 23;
+    return length >= 1 && length <= 8 && offset + length <= bytesRead ? length : null;
+  };
+  const idLength = readVint(0);
+  if (!idLength || idLength > 4) return null;
+  const id = header.readUIntBE(0, idLength);
+  const sizeLength = readVint(idLength);
+  if (!sizeLength) return null;
+
+  let dataSize = BigInt(header[idLength] & (0xFF >> sizeLength));
+  for (let idx = 1; idx < sizeLength; idx++) {
+    dataSize = (dataSize << 8n) | BigInt(header[idLength + idx]);
+  }
+  const dataStart = position + idLength + sizeLength;
+  const unknownSize = dataSize === (1n << BigInt(7 * sizeLength)) - 1n;
+  const elementEnd = unknownSize ? null : dataStart + Number(dataSize);
+  if (elementEnd !== null && elementEnd > end) return null;
+  return {id, dataStart, end: elementEnd};
+}
+
+/**
+ * Reads the recording date (`Segment`/`Info`/`DateUTC`) of a Matroska (MKV, WebM) file.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{date: Date, source: string}[]>} - The date found, if any.
+ */
+async function readMatroskaDates(fileHandle, size) {
+  // Find the segment, following the EBML header
+  let element = await readElementHeader(fileHandle, 0, size);
+  if (!element?.end) return [];
+  element = await readElementHeader(fileHandle, element.end, size);
+  if (element?.id !== EBML_IDS.segment) return [];
+
+  // Find the segment information, which precedes the clusters (the actual audio and video)
+  const segmentEnd = element.end ?? size;
+  let info = null;
+  for (let child = await readElementHeader(fileHandle, element.dataStart, segmentEnd); child; ) {
+    if (child.id === EBML_IDS.info || child.id === EBML_IDS.cluster || child.end === null) {
+      info = child.id === EBML_IDS.info ? child : null;
+      break;
+    }
+    child = await readElementHeader(fileHandle, child.end, segmentEnd);
+  }
+  if (!info?.end) return [];
+
+  for (let child = await readElementHeader(fileHandle, info.dataStart, info.end); child?.end; ) {
+    if (child.id === EBML_IDS.dateUTC && child.end - child.dataStart === 8) {
+      const data = Buffer.alloc(8);
+      await fileHandle.read(data, 0, 8, child.dataStart);
+      // Nanoseconds since the Matroska epoch
+      const date = new Date(MATROSKA_EPOCH + Number(data.readBigInt64BE(0) / 1000000n));
+      return [{date, source: 'matroska (DateUTC)', offset: 0, offsetSource: 'matroska (DateUTC)'}];
+    }
+    child = await readElementHeader(fileHandle, child.end, info.end);
+  }
+  return [];
+}
+
+/**
+ * Decodes the text of an ID3 text frame, which starts with a byte indicating its encoding.
+ * @param {Buffer} data - The frame data.
+ * @returns {string} - The text.
+ */
+function decodeId3Text(data) {
+  const text = data.subarray(1);
+  const decodeUtf16 = (bytes, bigEndian) => {
+    const even = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    return (bigEndian ? even.swap16() : even).toString('utf16le');
+  };
+  switch (data[0]) {
+    case 1: // UTF-16, starting with a byte order mark
+      return decodeUtf16(text.subarray(2), text[0] === 0xFE && text[1] === 0xFF);
+    case 2: // UTF-16 big endian
+      return decodeUtf16(text, true);
+    case 3:
+      return text.toString('utf8');
+    default:
+      return text.toString('latin1');
+  }
+}
+
+/**
+ * Reads the recording date from the ID3v2 tag at the start of a file (e.g. an MP3): the `TDRC` frame (ID3v2.4), or
+ * the `TYER` and `TDAT` frames (ID3v2.3 and ID3v2.2).
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @returns {Promise<{date: Date, source: string}[]>} - The dates found.
+ */
+async function readId3Dates(fileHandle) {
+  const header = Buffer.alloc(10);
+  const {bytesRead} = await fileHandle.read(header, 0, 10, 0);
+  if (bytesRead < 10 || header.toString('latin1', 0, 3) !== 'ID3') return [];
+
+  const version = header[3];
+  const readSyncsafe = (buffer, offset) => ((buffer[offset] & 0x7F) << 21) | ((buffer[offset + 1] & 0x7F) << 14) | ((buffer[offset + 2] & 0x7F) << 7) | (buffer[offset + 3] & 0x7F);
+  const tagSize = Math.min(readSyncsafe(header, 6), MAX_TAG_SIZE);
+  const tag = Buffer.alloc(tagSize);
+  await fileHandle.read(tag, 0, tagSize, 10);
+
+  // Skip the extended header, if any
+  let offset = 0;
+  if (header[5] & 0x40 && version >= 3) {
+    offset = version === 4 ? readSyncsafe(tag, 0) : tag.readUInt32BE(0) + 4;
+  }
+
+  const frames = {};
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  while (offset + headerLength <= tag.length && tag[offset] !== 0) {
+    const id = tag.toString('latin1', offset, offset + idLength);
+    const size = version === 2 ? tag.readUIntBE(offset + 3, 3) : version === 4 ? readSyncsafe(tag, offset + 4) : tag.readUInt32BE(offset + 4);
+    if (size <= 0 || offset + headerLength + size > tag.length) break;
+    if (id.startsWith('T')) {
+      frames[id] = decodeId3Text(tag.subarray(offset + headerLength, offset + headerLength + size)).replace(/\0+$/, '');
+    }
+    offset += headerLength + size;
+  }
+
+  const dates = [];
+  const recordingTime = parseTextDate(frames.TDRC, 'id3 (TDRC)');
+  if (recordingTime) dates.push(recordingTime);
+
+  // ID3v2.3 and ID3v2.2 store the year ("YYYY"), day and month ("DDMM") and time ("HHMM") separately
+  const [year, dayMonth, time] = version === 2 ? [frames.TYE, frames.TDA, frames.TIM] : [frames.TYER, frames.TDAT, frames.TIME];
+  if (/^\d{4}$/.test(year) && /^\d{4}$/.test(dayMonth)) {
+    const clock = /^\d{4}$/.test(time) ? ` ${time.slice(0, 2)}:${time.slice(2)}` : '';
+    const date = parseDateString(`${year}-${dayMonth.slice(2)}-${dayMonth.slice(0, 2)}${clock}`);
+    if (date) dates.push({date, source: version === 2 ? 'id3 (TYE/TDA)' : 'id3 (TYER/TDAT)'});
+  }
+  return dates;
+}
+
+/**
+ * Reads the `DATE` field of a Vorbis comment block, as used in FLAC, Ogg Vorbis and Opus files.
+ * @param {Buffer} buffer - Buffer containing the comment block.
+ * @param {number} offset - Where the comment block starts (at its vendor string).
+ * @returns {{date: Date, source: string}[]} - The dates found.
+ */
+function parseVorbisComment(buffer, offset) {
+  const dates = [];
+  if (offset + 4 > buffer.length) return dates;
+  offset += 4 + buffer.readUInt32LE(offset); // Skip the vendor string
+  if (offset + 4 > buffer.length) return dates;
+  const count = buffer.readUInt32LE(offset);
+  offset += 4;
+
+  for (let idx = 0; idx < count && offset + 4 <= buffer.length; idx++) {
+    const length = buffer.readUInt32LE(offset);
+    if (offset + 4 + length > buffer.length) break;
+    const comment = buffer.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (comment.slice(0, separator).toUpperCase() === 'DATE') {
+      const date = parseTextDate(comment.slice(separator + 1), 'vorbis (DATE)');
+      if (date) dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Reads the recording date from the Vorbis comment metadata block of a FLAC file.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<{date: Date, source: string}[]>} - The dates found.
+ */
+async function readFlacDates(fileHandle, size) {
+  const header = Buffer.alloc(4);
+  await fileHandle.read(header, 0, 4, 0);
+  if (header.toString('latin1') !== 'fLaC') return [];
+
+  for (let position = 4, last = false; !last && position + 4 <= size; ) {
+    await fileHandle.read(header, 0, 4, position);
+    last = !!(header[0] & 0x80);
+    const type = header[0] & 0x7F;
+    const length = header.readUIntBE(1, 3);
+    if (type === 4) {
+      const block = Buffer.alloc(Math.min(length, MAX_TAG_SIZE));
+      await fileHandle.read(block, 0, block.length, position + 4);
+      return parseVorbisComment(block, 0);
+    }
+    position += 4 + length;
+  }
+  return [];
+}
+
+/**
+ * Reads the recording date from the comment header of an Ogg Vorbis or Opus file, which follows the identification
+ * header at the start of the file.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @returns {Promise<{date: Date, source: string}[]>} - The dates found.
+ */
+async function readOggDates(fileHandle) {
+  const buffer = Buffer.alloc(65536);
+  const {bytesRead} = await fileHandle.read(buffer, 0, buffer.length, 0);
+  const data = buffer.subarray(0, bytesRead);
+  if (data.toString('latin1', 0, 4) !== 'OggS') return [];
+
+  const vorbis = data.indexOf('\x03vorbis', 0, 'latin1');
+  if (vorbis !== -1) return parseVorbisComment(data, vorbis + 7);
+  const opus = data.indexOf('OpusTags', 0, 'latin1');
+  if (opus !== -1) return parseVorbisComment(data, opus + 8);
+  return [];
+}
+
+/**
+ * Reads the recording dates from the metadata of an audio or video file: the creation date of QuickTime and MP4 files,
+ * the DateUTC of Matroska files, and the recording date in ID3 tags and Vorbis comments. The result is cached in the
+ * scan index, if any, unless the file could not be read.
+ * @param {Object} file - The file item from the scanner.
+ * @param {Object} [index] - The scan index, to cache the dates in.
+ * @returns {Promise<Object[]>} - The dates found, where each was found (e.g. 'quicktime (mvhd)'), and their offset
+ *          from UTC if known (in minutes, with where it was found). Dates without an offset are clock times.
+ */
+export async function readMediaDates(file, index) {
+  const cachedMediaDates = await getCachedValue(index, file, 'mediaDates');
+  if (cachedMediaDates !== undefined) {
+    return cachedMediaDates.map(({date, ...entry}) => ({...entry, date: new Date(date)}));
+  }
+  const extension = file.extension.toLowerCase();
+  if (!SUPPORTED_MEDIA_EXTENSIONS.has(extension)) {
+    return [];
+  }
+
+  let fh;
+  let dates = [];
+  try {
+    fh = await fs.open(file.path, 'r');
+    const {size} = await fh.stat();
+    if (QUICKTIME_EXTENSIONS.has(extension)) dates = await readQuickTimeDates(fh, size);
+    else if (MATROSKA_EXTENSIONS.has(extension)) dates = await readMatroskaDates(fh, size);
+    else if (ID3_EXTENSIONS.has(extension)) dates = await readId3Dates(fh);
+    else if (FLAC_EXTENSIONS.has(extension)) dates = await readFlacDates(fh, size);
+    else if (OGG_EXTENSIONS.has(extension)) dates = await readOggDates(fh);
+    dates = dates.filter(({date}) => !isNaN(date));
+  } catch (error) {
+    // Files that cannot be read (e.g. corrupt files) have no dates, but are not cached, so they are read again later
+    logger.debug(`Could not read the metadata of "${file.path}": ${error.message}`);
+    return [];
+  } finally {
+    if (fh) {
+      await fh.close();
+    }
+  }
+
+  setCachedValue(index, file, 'mediaDates', dates.map(({date, ...entry}) => ({...entry, date: date.getTime()})));
+  return dates;
+}
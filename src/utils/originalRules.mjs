@@ -0,0 +1,118 @@
+import path from 'path';
+import {minimatch} from 'minimatch';
+import {readExifDates, SUPPORTED_EXIF_EXTENSIONS} from "./exif.mjs";
+import {getDifferenceHash} from "./perceptualHash.mjs";
+
+// Matches filenames that look like copies, e.g. "photo (1).jpg", "photo copy.jpg", "photo_copy2.jpg" or "Copy of photo.jpg"
+const COPY_NAME_PATTERN = /(\s\(\d+\)$|[\s_-]copy(\s?\d+)?$|^copy of\s)/i;
+
+/**
+ * The available rules for choosing which of a group of duplicates is the original. Each rule scores a file (lower is
+ * better), and describes why the best scoring file was preferred. Rules with an argument are written as "name:argument".
+ */
+const RULES = {
+  'prefer-path': {
+    argument:    'glob',
+    description: (glob) => `its path matches "${glob}"`,
+    score:       (file, glob) => minimatch(file.path, glob, {dot: true, nocase: true}) ? 0 : 1,
+  },
+  'avoid-path': {
+    argument:    'glob',
+    description: (glob) => `the other's path matches "${glob}"`,
+    score:       (file, glob) => minimatch(file.path, glob, {dot: true, nocase: true}) ? 1 : 0,
+  },
+  'deepest': {
+    description: () => 'it is nested deeper',
+    score:       (file) => -file.path.split(path.sep).length,
+  },
+  'shallowest': {
+    description: () => 'it is nested less deep',
+    score:       (file) => file.path.split(path.sep).length,
+  },
+  'no-copy-suffix': {
+    description: () => 'its name does not look like a copy (e.g. " (1)" or " copy")',
+    score:       (file) => COPY_NAME_PATTERN.test(file.baseName ?? path.basename(file.path, path.extname(file.path))) ? 1 : 0,
+  },
+  'has-exif': {
+    description: () => 'it has EXIF data',
+    score:       async (file, argument, index) => file.isFile && (await readExifDates(file, index)).length ? 0 : 1,
+  },
+  'highest-resolution': {
+    description: () => 'it has a higher resolution',
+    score:       async (file, argument, index) => {
+      const image = file.isFile && SUPPORTED_EXIF_EXTENSIONS.has(file.extension?.toLowerCase())
+        ? await getDifferenceHash(file, index)
+        : null;
+      return image ? -(image.width * image.height) : 0;
+    },
+  },
+  'oldest-mtime': {
+    description: () => 'it has the oldest modification time',
+    score:       (file) => file.stats.mtimeMs,
+  },
+  'oldest': {
+    description: () => 'it has the oldest creation (or change) time',
+    score:       (file) => Math.min(file.stats.ctimeMs, file.stats.birthtimeMs),
+  },
+  'shortest-name': {
+    description: () => 'it has the shortest name',
+    score:       (file) => file.name.length,
+  },
+};
+
+// Names of the available rules, as shown in the help
+export const ORIGINAL_RULES = Object.entries(RULES).map(([name, rule]) => rule.argument ? `${name}:<${rule.argument}>` : name);
+
+/**
+ * Splits a rule into its name and argument (e.g. "prefer-path:**\/Albums/**").
+ * @param {string} rule - The rule.
+ * @returns {{name: string, argument: string|undefined}} - The rule's name and argument.
+ */
+function parseRule(rule) {
+  const separator = rule.indexOf(':');
+  return separator === -1
+    ? {name: rule, argument: undefined}
+    : {name: rule.slice(0, separator), argument: rule.slice(separator + 1)};
+}
+
+/**
+ * Checks whether a rule exists, and has an argument if it needs one.
+ * @param {string} rule - The rule, e.g. 'shallowest' or 'prefer-path:/volume1/photo/Albums/**'.
+ * @returns {boolean} - True if the rule is valid.
+ */
+export function isValidOriginalRule(rule) {
+  const {name, argument} = parseRule(rule);
+  return !!RULES[name] && (!RULES[name].argument || !!argument);
+}
+
+/**
+ * Determines the original of a group of duplicates, by applying the rules in order: each rule keeps only the best
+ * scoring candidates, until one remains. If more remain after all rules, the first one (in scan order) is used.
+ *
+ * @param {Object[]} items - The duplicate files (or directories).
+ * @param {string[]} rules - The rules to apply (see ORIGINAL_RULES).
+ * @param {Object} [index] - The scan index, to cache EXIF data in.
+ * @returns {Promise<{original: Object, reasons: Map<string, string>}>} - The original, and for each other item (by
+ *          path) why the original was preferred over it.
+ */
+export async function selectOriginal(items, rules, index) {
+  const reasons = new Map();
+  let candidates = items;
+
+  for (const rule of rules) {
+    if (candidates.length < 2) break;
+    const {name, argument} = parseRule(rule);
+    const definition = RULES[name];
+    if (!definition) continue;
+
+    const scores = await Promise.all(candidates.map(item => definition.score(item, argument, index)));
+    const best = Math.min(...scores);
+    candidates.forEach((item, idx) => {
+      if (scores[idx] !== best) reasons.set(item.path, definition.description(argument));
+    });
+    candidates = candidates.filter((item, idx) => scores[idx] === best);
+  }
+
+  candidates.slice(1).forEach(item => reasons.set(item.path, 'it was found first (no rule preferred either)'));
+  return {original: candidates[0], reasons};
+}
@@ -0,0 +1,159 @@
+import sharp from 'sharp';
+import {getCachedValue, setCachedValue} from "./scanIndex.mjs";
+import {readEmbeddedPreview} from "./preview.mjs";
+import logger from "./logger.mjs";
+
+// Extensions of images that sharp decodes itself; others (e.g. HEIC and RAW formats) are decoded from their preview
+const DECODABLE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'webp', 'tif', 'tiff']);
+
+// The operations that orient an image per EXIF orientation (sharp flops an image before rotating it)
+const ORIENTATIONS = {
+  2: (image) => image.flop(),
+  3: (image) => image.rotate(180),
+  4: (image) => image.flip(),
+  5: (image) => image.rotate(270).flop(),
+  6: (image) => image.rotate(90),
+  7: (image) => image.rotate(90).flop(),
+  8: (image) => image.rotate(270),
+};
+
+/**
+ * Calculates the difference hash (dHash) of an image: the image is oriented, converted to grayscale and shrunk to
+ * 9x8 pixels, and every bit tells whether a pixel is brighter than its right neighbour. Visually similar images
+ * (e.g. the same photo at another resolution, or re-compressed) get hashes that differ in only a few bits.
+ *
+ * @param {string|Buffer} input - Path to the image, or the image itself.
+ * @param {number} [orientation] - The EXIF orientation to apply if the image has none of its own (e.g. that of the RAW
+ *        file an embedded preview was read from).
+ * @returns {Promise<{hash: string, width: number, height: number}>} - The 64-bit hash (as 16 hex characters), and the
+ *          dimensions of the (oriented) image.
+ */
+export async function computeDifferenceHash(input, orientation) {
+  const image = sharp(input, {failOn: 'none'});
+  const metadata = await image.metadata();
+  const applied = metadata.orientation ?? orientation ?? 1;
+  const oriented = metadata.orientation ? image.rotate() : (ORIENTATIONS[applied]?.(image) ?? image);
+  const pixels = await oriented.grayscale().resize(9, 8, {fit: 'fill'}).raw().toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      hash = (hash << 1n) | (pixels[row * 9 + column] > pixels[row * 9 + column + 1] ? 1n : 0n);
+    }
+  }
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = applied >= 5;
+  return {
+    hash:   hash.toString(16).padStart(16, '0'),
+    width:  rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+  };
+}
+
+/**
+ * Calculates the difference hash of an image file. Formats that sharp cannot decode (e.g. HEIC and RAW formats) are
+ * hashed by their embedded JPEG preview, with the orientation and size of the file itself where known.
+ * @param {Object} file - The file item from the scanner.
+ * @returns {Promise<{hash: string, width: number, height: number}>} - The hash and dimensions (see computeDifferenceHash).
+ */
+async function hashImageFile(file) {
+  const extension = file.extension.toLowerCase();
+  if (DECODABLE_EXTENSIONS.has(extension)) return computeDifferenceHash(file.path);
+
+  const preview = await readEmbeddedPreview(file.path, extension);
+  if (!preview) throw new Error('it has no embedded JPEG preview');
+  const result = await computeDifferenceHash(preview.data, preview.orientation);
+  if (!preview.width || !preview.height) return result;
+  const rotated = preview.orientation >= 5;
+  return {...result, width: rotated ? preview.height : preview.width, height: rotated ? preview.width : preview.height};
+}
+
+/**
+ * Returns the difference hash of an image file (see hashImageFile), cached in the scan index (if any). Images that
+ * cannot be decoded are not cached, so they are tried again on the next run.
+ * @param {Object} file - The file item from the scanner.
+ * @param {Object} [index] - The scan index, to cache the hash in.
+ * @returns {Promise<{hash: string, width: number, height: number}|null>} - The hash and dimensions, or null if the
+ *          image could not be decoded.
+ */
+export async function getDifferenceHash(file, index) {
+  const cached = await getCachedValue(index, file, 'dhash');
+  if (cached) return cached;
+
+  try {
+    const result = await hashImageFile(file);
+    setCachedValue(index, file, 'dhash', result);
+    return result;
+  } catch (error) {
+    logger.debug(`Could not decode "${file.path}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Counts the number of bits that differ between two hashes.
+ * @param {string} hashA - The first hash, as hex characters.
+ * @param {string} hashB - The second hash, as hex characters.
+ * @returns {number} - The Hamming distance.
+ */
+export function hammingDistance(hashA, hashB) {
+  let difference = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (difference) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * A BK-tree: finds all hashes within a given Hamming distance of a hash, without comparing it to every other hash.
+ */
+export class HashTree {
+  constructor() {
+    this.root = null;
+  }
+
+  /**
+   * Adds a hash to the tree.
+   * @param {string} hash - The hash.
+   * @param {*} value - The value to return when the hash is found.
+   */
+  add(hash, value) {
+    const node = {hash, value, children: new Map()};
+    if (!this.root) {
+      this.root = node;
+      return;
+    }
+    let current = this.root;
+    for (;;) {
+      const distance = hammingDistance(hash, current.hash);
+      if (!current.children.has(distance)) {
+        current.children.set(distance, node);
+        return;
+      }
+      current = current.children.get(distance);
+    }
+  }
+
+  /**
+   * Finds all values whose hash is within the given distance of a hash.
+   * @param {string} hash - The hash to search for.
+   * @param {number} maxDistance - The maximum Hamming distance.
+   * @returns {{value: *, distance: number}[]} - The values found, and their distance to the hash.
+   */
+  search(hash, maxDistance) {
+    const results = [];
+    const stack = this.root ? [this.root] : [];
+    while (stack.length) {
+      const node = stack.pop();
+      const distance = hammingDistance(hash, node.hash);
+      if (distance <= maxDistance) results.push({value: node.value, distance});
+      node.children.forEach((child, childDistance) => {
+        if (Math.abs(childDistance - distance) <= maxDistance) stack.push(child);
+      });
+    }
+    return results;
+  }
+}
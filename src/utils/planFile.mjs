@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * The columns of a plan, in the order they are written to CSV files.
+ */
+export const PLAN_COLUMNS = [
+  'scanPath', 'operation', 'path', 'isDirectory', 'size', 'mtimeMs',
+  'move_to',
+  'link_to', 'link_type',
+  'mode', 'change_mode',
+  'owner', 'group', 'new_owner', 'new_group', 'new_owner_id', 'new_group_id',
+  'change_mtime', 'change_atime',
+  'reason', 'duplicate_of'
+];
+
+// Columns that hold numbers or booleans, which need converting when read from a CSV file
+const NUMBER_COLUMNS = ['size', 'mtimeMs', 'new_owner_id', 'new_group_id', 'change_mtime', 'change_atime'];
+const BOOLEAN_COLUMNS = ['isDirectory'];
+
+/**
+ * Formats a value as a CSV field, quoting it if needed.
+ * @param {*} value - The value.
+ * @returns {string} - The CSV field.
+ */
+function toCsvField(value) {
+  if (value === undefined || value === null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Parses CSV content (RFC 4180: quoted fields may contain commas, quotes and newlines) into records.
+ * @param {string} content - The CSV content.
+ * @returns {string[][]} - The records, each an array of fields.
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(fields => fields.some(value => value !== ''));
+}
+
+/**
+ * Converts the (string) fields of a row read from a CSV file to their proper types. Empty fields are left out.
+ * @param {object} row - The row.
+ * @returns {object} - The typed row.
+ */
+function typeRow(row) {
+  return Object.fromEntries(Object.entries(row)
+  .filter(([, value]) => value !== '' && value !== undefined && value !== null)
+  .map(([column, value]) => {
+    if (NUMBER_COLUMNS.includes(column)) return [column, Number(value)];
+    if (BOOLEAN_COLUMNS.includes(column)) return [column, value === true || String(value).toLowerCase() === 'true'];
+    return [column, value];
+  }));
+}
+
+/**
+ * Checks whether a plan file should be in CSV format (based on its extension), as opposed to JSON.
+ * @param {string} filePath - Path of the plan file.
+ * @returns {boolean} - True for .csv files.
+ */
+function isCsv(filePath) {
+  return path.extname(filePath).toLowerCase() === '.csv';
+}
+
+/**
+ * Writes a plan to a file, as CSV (for .csv files, e.g. to review in a spreadsheet) or JSON (anything else).
+ * @param {string} filePath - Path of the plan file.
+ * @param {object[]} rows - The plan rows (see toPlanRows).
+ * @returns {Promise<void>}
+ */
+export async function writePlanFile(filePath, rows) {
+  await fs.mkdir(path.dirname(path.resolve(filePath)), {recursive: true});
+  if (isCsv(filePath)) {
+    const lines = [PLAN_COLUMNS.join(','), ...rows.map(row => PLAN_COLUMNS.map(column => toCsvField(row[column])).join(','))];
+    await fs.writeFile(filePath, lines.join('\n') + '\n');
+  } else {
+    await fs.writeFile(filePath, JSON.stringify({created: new Date().toISOString(), operations: rows}, null, 2));
+  }
+}
+
+/**
+ * Reads a plan from a CSV or JSON file (see writePlanFile).
+ * @param {string} filePath - Path of the plan file.
+ * @returns {Promise<object[]>} - The plan rows.
+ */
+export async function readPlanFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  if (!isCsv(filePath)) {
+    const plan = JSON.parse(content);
+    return (Array.isArray(plan) ? plan : plan.operations ?? []).map(typeRow);
+  }
+
+  const [header = [], ...records] = parseCsv(content);
+  return records.map(fields => typeRow(Object.fromEntries(header.map((column, index) => [column.trim(), fields[index]]))));
+}
@@ -0,0 +1,223 @@
+import fs from 'fs/promises';
+import {CANON_UUID} from "./exif.mjs";
+import {findBox, readBoxData, readBoxes, readItems} from "./isobmff.mjs";
+
+// Extensions of files per container format; other files are expected to be TIFF based (e.g. most RAW formats)
+const HEIF_EXTENSIONS = new Set(['heif', 'heic']);
+
+// Canon CR3 files store their preview in a box with this UUID, at the top level of the file
+const CANON_PREVIEW_UUID = 'eaf42b5e1c984b88b9fbb7dc406e4d16';
+
+// Limits on the previews that are read, and on the IFDs followed to find them
+const MAX_PREVIEW_SIZE = 64 * 1024 * 1024;
+const MAX_IFDS = 16;
+
+// JPEG start of frame markers that libjpeg decodes: baseline, extended and progressive (not lossless, as used for RAW data)
+const DECODABLE_JPEG_FRAMES = new Set([0xC0, 0xC1, 0xC2]);
+
+/**
+ * Checks whether a buffer starts with a JPEG image that can be decoded, by finding its start of frame marker.
+ * @param {Buffer} buffer - The start of the JPEG image.
+ * @returns {boolean} - Whether it is a baseline, extended or progressive JPEG image.
+ */
+function isDecodableJpeg(buffer) {
+  if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) return false;
+  // Segments start with a marker (0xFF and a type) and their length
+  for (let offset = 2; offset + 4 <= buffer.length && buffer[offset] === 0xFF; offset += 2 + buffer.readUInt16BE(offset + 2)) {
+    const marker = buffer[offset + 1];
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) return DECODABLE_JPEG_FRAMES.has(marker);
+  }
+  return false;
+}
+
+/**
+ * Reads the IFDs of a TIFF structure: the chain starting at IFD0, and the IFDs referred to by SubIFDs tags (where RAW
+ * formats keep their full size image and previews).
+ * @param {function(number, number): Promise<Buffer>} read - Reads a number of bytes at a position, relative to the
+ *        start of the TIFF structure.
+ * @returns {Promise<Map<number, {count: number, values: number[]}>[]>} - The entries of every IFD (IFD0 first), by
+ *          tag: their count, and their values if they are numbers (SHORT or LONG), or otherwise the offset of their data.
+ */
+async function readTiffIfds(read) {
+  const header = await read(0, 8);
+  const byteOrder = header.toString('latin1', 0, 2);
+  if (header.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) return [];
+  const littleEndian = byteOrder === 'II';
+  const read16 = (buffer, offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const read32 = (buffer, offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  const ifds = [];
+  const queue = [read32(header, 4)];
+  const visited = new Set();
+  while (queue.length && ifds.length < MAX_IFDS) {
+    const offset = queue.shift();
+    if (!offset || visited.has(offset)) continue;
+    visited.add(offset);
+    const countBuffer = await read(offset, 2);
+    if (countBuffer.length < 2) continue;
+    const count = read16(countBuffer, 0);
+    const data = await read(offset + 2, count * 12 + 4);
+
+    // Each IFD entry is 12 bytes: tag, type, count, and the value itself (if it fits in 4 bytes) or its offset
+    const entries = new Map();
+    for (let entry = 0; entry + 12 <= data.length && entry < count * 12; entry += 12) {
+      const type = read16(data, entry + 2);
+      const valueCount = read32(data, entry + 4);
+      const valueSize = {3: 2, 4: 4, 13: 4}[type];
+      let values = [read32(data, entry + 8)];
+      if (valueSize) {
+        const length = Math.min(valueCount, 64) * valueSize;
+        const buffer = length <= 4 ? data.subarray(entry + 8, entry + 8 + length) : await read(read32(data, entry + 8), length);
+        values = Array.from({length: Math.floor(buffer.length / valueSize)}, (_, idx) => valueSize === 2 ? read16(buffer, idx * 2) : read32(buffer, idx * 4));
+      }
+      entries.set(read16(data, entry), {count: valueCount, values});
+    }
+    ifds.push(entries);
+    if (data.length >= count * 12 + 4) queue.push(read32(data, count * 12));
+    queue.push(...(entries.get(0x014A)?.values ?? []));
+  }
+  return ifds;
+}
+
+/**
+ * Finds the JPEG images in a TIFF structure, and the orientation and size of its full size image.
+ * @param {function(number, number): Promise<Buffer>} read - Reads a number of bytes at a position, relative to the
+ *        start of the TIFF structure.
+ * @returns {Promise<{previews: Object[], orientation?: number, width?: number, height?: number}>} - The JPEG images
+ *          (their length, and a function that reads them), the EXIF orientation and the size of the largest image.
+ */
+async function readTiffPreviews(read) {
+  const ifds = await readTiffIfds(read);
+  const previews = [];
+  let size = {};
+  ifds.forEach(ifd => {
+    const value = (tag) => ifd.get(tag)?.values[0];
+    const addPreview = (position, length) => previews.push({length, read: (offset, count) => read(position + offset, count)});
+    if (value(0x0201) && value(0x0202)) addPreview(value(0x0201), value(0x0202));
+    // JPEG compressed images in a single strip (e.g. DNG previews), except for RAW data (CFA or linear RAW)
+    if ([6, 7].includes(value(0x0103)) && ![32803, 34892].includes(value(0x0106)) && ifd.get(0x0111)?.count === 1) {
+      addPreview(value(0x0111), value(0x0117));
+    }
+    // Panasonic RW2 files embed a full size JPEG image (JpgFromRaw)
+    if (ifd.has(0x002E)) addPreview(value(0x002E), ifd.get(0x002E).count);
+    if (value(0x0100) * value(0x0101) > (size.width * size.height || 0)) size = {width: value(0x0100), height: value(0x0101)};
+  });
+  return {previews, orientation: ifds[0]?.get(0x0112)?.values[0], ...size};
+}
+
+/**
+ * Finds the JPEG images in a HEIF file (e.g. HEIC): JPEG coded items, and the thumbnail in its EXIF data.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<Object>} - The JPEG images, orientation and size (see readTiffPreviews).
+ */
+async function readHeifPreviews(fileHandle, size) {
+  const items = await readItems(fileHandle, size, ['jpeg', 'Exif'], MAX_PREVIEW_SIZE);
+  const previews = items.filter(item => item.type === 'jpeg')
+    .map(({data}) => ({length: data.length, read: async (offset, count) => data.subarray(offset, offset + count)}));
+
+  // The EXIF data starts with the offset of the TIFF structure, relative to the end of that offset
+  const exif = items.find(item => item.type === 'Exif' && item.data.length >= 4);
+  const tiffStart = exif ? 4 + exif.data.readUInt32BE(0) : 0;
+  const tiff = exif ? await readTiffPreviews(async (offset, count) => exif.data.subarray(tiffStart + offset, tiffStart + offset + count)) : {previews: []};
+
+  // The size of the image is the largest image spatial extents (ispe) property, as a grid image is larger than its tiles
+  let dimensions = {};
+  const meta = await findBox(fileHandle, ['meta'], 0, size);
+  const iprp = meta && (await readBoxes(fileHandle, meta.dataStart + 4, meta.end)).find(box => box.type === 'iprp');
+  const ipco = iprp && await findBox(fileHandle, ['ipco'], iprp.dataStart, iprp.end);
+  for (const box of ipco ? await readBoxes(fileHandle, ipco.dataStart, ipco.end) : []) {
+    if (box.type !== 'ispe') continue;
+    const data = await readBoxData(fileHandle, box, 12);
+    if (data.length < 12) continue;
+    const [width, height] = [data.readUInt32BE(4), data.readUInt32BE(8)];
+    if (width * height > (dimensions.width * dimensions.height || 0)) dimensions = {width, height};
+  }
+  return {previews: [...previews, ...tiff.previews], orientation: tiff.orientation, ...dimensions};
+}
+
+/**
+ * Finds the JPEG preview of a Canon CR3 file, and the orientation and size from its CMT1 box (IFD0).
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} size - Size of the file.
+ * @returns {Promise<Object>} - The JPEG images, orientation and size (see readTiffPreviews).
+ */
+async function readCr3Previews(fileHandle, size) {
+  const previews = [];
+  for (const box of await readBoxes(fileHandle, 0, size)) {
+    if (box.type !== 'uuid' || (await readBoxData(fileHandle, box, 16)).toString('hex') !== CANON_PREVIEW_UUID) continue;
+    // The PRVW box follows the UUID and 8 other bytes, and holds the JPEG image (and its length) after a 16 byte header
+    const prvw = (await readBoxes(fileHandle, box.dataStart + 24, box.end)).find(child => child.type === 'PRVW');
+    const header = prvw && await readBoxData(fileHandle, prvw, 16);
+    if (header?.length === 16) {
+      previews.push({length: header.readUInt32BE(12), read: (offset, count) => readBytes(fileHandle, prvw.dataStart + 16 + offset, count)});
+    }
+  }
+
+  const moov = await findBox(fileHandle, ['moov'], 0, size);
+  for (const box of moov ? await readBoxes(fileHandle, moov.dataStart, moov.end) : []) {
+    if (box.type !== 'uuid' || (await readBoxData(fileHandle, box, 16)).toString('hex') !== CANON_UUID) continue;
+    const cmt1 = (await readBoxes(fileHandle, box.dataStart + 16, box.end)).find(child => child.type === 'CMT1');
+    if (cmt1) {
+      const {orientation, width, height} = await readTiffPreviews((offset, count) => readBytes(fileHandle, cmt1.dataStart + offset, Math.min(count, cmt1.end - cmt1.dataStart - offset)));
+      return {previews, orientation, width, height};
+    }
+  }
+  return {previews};
+}
+
+/**
+ * Finds the JPEG preview of a Fujifilm RAF file, whose offset and length are stored in its header.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @returns {Promise<Object>} - The JPEG images (see readTiffPreviews).
+ */
+async function readRafPreviews(fileHandle) {
+  const header = await readBytes(fileHandle, 0, 92);
+  if (header.length < 92 || header.toString('latin1', 0, 15) !== 'FUJIFILMCCD-RAW') return {previews: []};
+  const position = header.readUInt32BE(84);
+  return {previews: [{length: header.readUInt32BE(88), read: (offset, count) => readBytes(fileHandle, position + offset, count)}]};
+}
+
+/**
+ * Reads a number of bytes from a file, fewer if the file ends sooner.
+ * @param {import('fs/promises').FileHandle} fileHandle - The opened file.
+ * @param {number} position - Where to start reading.
+ * @param {number} length - The number of bytes to read.
+ * @returns {Promise<Buffer>} - The bytes read.
+ */
+async function readBytes(fileHandle, position, length) {
+  const buffer = Buffer.alloc(Math.max(length, 0));
+  const {bytesRead} = await fileHandle.read(buffer, 0, buffer.length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Reads the largest decodable JPEG preview embedded in an image file that cannot be decoded itself: HEIF (e.g. HEIC),
+ * Canon CR3, Fujifilm RAF, or TIFF based formats (e.g. DNG and most other RAW formats).
+ *
+ * @param {string} filePath - Path to the image.
+ * @param {string} extension - The file's extension, which determines its container format.
+ * @returns {Promise<{data: Buffer, orientation?: number, width?: number, height?: number}|null>} - The JPEG image, the
+ *          EXIF orientation of the file (if known, for previews without one of their own) and the size of its full size
+ *          image (if known), or null if it has no preview.
+ */
+export async function readEmbeddedPreview(filePath, extension) {
+  const fh = await fs.open(filePath, 'r');
+  try {
+    const {size} = await fh.stat();
+    const {previews, ...image} =
+      HEIF_EXTENSIONS.has(extension) ? await readHeifPreviews(fh, size)
+        : extension === 'cr3' ? await readCr3Previews(fh, size)
+        : extension === 'raf' ? await readRafPreviews(fh)
+        : await readTiffPreviews((offset, count) => readBytes(fh, offset, count));
+
+    const candidates = previews.filter(({length}) => length > 0 && length <= MAX_PREVIEW_SIZE).sort((a, b) => b.length - a.length);
+    for (const preview of candidates) {
+      if (!isDecodableJpeg(await preview.read(0, Math.min(preview.length, 65536)))) continue;
+      return {...image, data: await preview.read(0, preview.length)};
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import {createReadStream} from 'fs';
+import path from 'path';
+import readline from 'readline';
+import crypto from 'crypto';
+import {getJournalPath, readJournal} from "./journal.mjs";
+
+// Bump when the format of the index changes, so older indexes are discarded instead of misread
+const INDEX_VERSION = 3;
+
+// Stats properties stored per item, as used throughout the app
+const INDEXED_STATS = ['size', 'mode', 'uid', 'gid', 'nlink', 'ino', 'dev', 'mtimeMs', 'ctimeMs', 'birthtimeMs'];
+
+/**
+ * Returns the path of the scan index for a configuration.
+ * Unless configured otherwise using `indexPath`, the index is kept inside the recycle bin (as that is never scanned),
+ * with one index per scanPath.
+ * @param {object} config - The configuration.
+ * @returns {string} - The index path.
+ */
+export function getScanIndexPath(config) {
+  if (config.indexPath) return config.indexPath;
+  const scanPathHash = crypto.createHash('md5').update(path.resolve(config.scanPath)).digest('hex').slice(0, 8);
+  return path.join(config.recycleBinPath, '.easy-file-maintenance', `index-${scanPathHash}.jsonl`);
+}
+
+/**
+ * Creates a stand-in for fs.Stats from an index entry.
+ * @param {object} entry - The index entry.
+ * @returns {object} - Object exposing the fs.Stats properties and methods used throughout the app.
+ */
+export function createIndexedStats(entry) {
+  const stats = Object.fromEntries(INDEXED_STATS.map(key => [key, entry[key]]));
+  return {
+    ...stats,
+    mtime:       new Date(entry.mtimeMs),
+    ctime:       new Date(entry.ctimeMs),
+    birthtime:   new Date(entry.birthtimeMs),
+    isFile:      () => !entry.isDirectory,
+    isDirectory: () => entry.isDirectory,
+  };
+}
+
+/**
+ * Checks whether stats still describe the same, unchanged item as an index entry.
+ * @param {object} entry - The index entry.
+ * @param {object} stats - fs.Stats (or a stand-in) of the item.
+ * @returns {boolean} - True if size, modification time and inode match.
+ */
+function isUnchanged(entry, stats) {
+  return !!entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs && entry.ino === stats.ino;
+}
+
+/**
+ * Loads the scan index for a configuration. Directories containing items changed by this app since the index was
+ * last built (according to the journal) are marked stale, as changing permissions or ownership does not change the
+ * modification time of the directory an item is in.
+ *
+ * @param {object} config - The configuration.
+ * @param {boolean} [rescan=false] - Ignore the existing index, so every directory is read again (and the index rebuilt).
+ * @returns {Promise<object>} - The index: its path, the scanned path, the previous entries keyed by path, their children keyed by
+ *          directory, the stale directories, and the entries of the current scan (see indexItem).
+ */
+export async function loadScanIndex(config, rescan = false) {
+  const index = {
+    path:       getScanIndexPath(config),
+    scanPath:   path.resolve(config.scanPath),
+    scannedAt:  new Date().toISOString(),
+    previous:   new Map(),
+    children:   new Map(),
+    staleDirs:  new Set(),
+    entries:    new Map(),
+    dirty:      true,
+  };
+  if (rescan) return index;
+
+  let header = null;
+  try {
+    const lines = readline.createInterface({input: createReadStream(index.path), crlfDelay: Infinity});
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Ignore incomplete lines (e.g. a line cut off by a crash)
+      }
+      if (!header) {
+        header = entry;
+        if (header.version !== INDEX_VERSION || header.scanPath !== index.scanPath) break;
+        continue;
+      }
+      index.previous.set(entry.path, entry);
+      const dir = path.dirname(entry.path);
+      if (!index.children.has(dir)) index.children.set(dir, []);
+      index.children.get(dir).push(entry);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (!header || header.version !== INDEX_VERSION || header.scanPath !== index.scanPath) {
+    index.previous.clear();
+    index.children.clear();
+    return index;
+  }
+
+  (await readJournal(getJournalPath(config)))
+    .filter(entry => entry.timestamp >= header.scannedAt)
+    .forEach(entry => [entry.path, entry.target].filter(Boolean).forEach(changedPath => {
+      index.staleDirs.add(path.dirname(changedPath));
+      index.staleDirs.add(changedPath);
+    }));
+  index.dirty = false;
+
+  return index;
+}
+
+/**
+ * Returns the indexed children of a directory, if the directory has not changed since it was indexed.
+ * @param {object} index - The scan index (see loadScanIndex).
+ * @param {string} dirPath - Path of the directory.
+ * @param {object} stats - Current fs.Stats of the directory.
+ * @returns {object[]|null} - The index entries of the directory's children, or null if it needs to be read again (also
+ *          if it was ignored when indexed, as its children were not indexed then).
+ */
+export function getIndexedChildren(index, dirPath, stats) {
+  const previous = index.previous.get(dirPath);
+  if (index.staleDirs.has(dirPath) || !isUnchanged(previous, stats) || previous.ignored) return null;
+  return index.children.get(dirPath) ?? [];
+}
+
+/**
+ * Adds an item found while scanning to the index. Cached values (hashes, dates) are kept when the item is unchanged.
+ * @param {object} index - The scan index (see loadScanIndex).
+ * @param {string} itemPath - Path of the item.
+ * @param {object} stats - fs.Stats (or a stand-in) of the item.
+ * @param {boolean} isDirectory - Whether the item is scanned as a directory.
+ * @param {boolean} [ignored=false] - Whether the item is an ignored directory, whose children are not indexed.
+ */
+export function indexItem(index, itemPath, stats, isDirectory, ignored = false) {
+  const previous = index.previous.get(itemPath);
+  const unchanged = isUnchanged(previous, stats) && previous.isDirectory === isDirectory;
+  index.entries.set(itemPath, {
+    path: itemPath,
+    isDirectory,
+    ...Object.fromEntries(INDEXED_STATS.map(key => [key, stats[key]])),
+    ...(ignored ? {ignored} : {}),
+    ...(unchanged && previous.cache ? {cache: previous.cache} : {}),
+  });
+  if (!unchanged || !!previous.ignored !== ignored || previous.mode !== stats.mode || previous.uid !== stats.uid || previous.gid !== stats.gid) {
+    index.dirty = true;
+  }
+}
+
+/**
+ * Writes the index to disk, if anything changed since it was loaded or last written.
+ * Entries that were not found during the scan (e.g. deleted items) are left out.
+ * @param {object} index - The scan index (see loadScanIndex).
+ * @returns {Promise<void>}
+ */
+export async function saveScanIndex(index) {
+  if (!index.dirty && index.entries.size === index.previous.size) return;
+
+  await fs.mkdir(path.dirname(index.path), {recursive: true});
+  const tempPath = `${index.path}.tmp`;
+  const fileHandle = await fs.open(tempPath, 'w');
+  try {
+    await fileHandle.write(JSON.stringify({version: INDEX_VERSION, scanPath: index.scanPath, scannedAt: index.scannedAt}) + '\n');
+    let lines = [];
+    for (const entry of index.entries.values()) {
+      lines.push(JSON.stringify(entry));
+      if (lines.length >= 10000) {
+        await fileHandle.write(lines.join('\n') + '\n');
+        lines = [];
+      }
+    }
+    if (lines.length) await fileHandle.write(lines.join('\n') + '\n');
+  } finally {
+    await fileHandle.close();
+  }
+  await fs.rename(tempPath, index.path);
+  index.dirty = false;
+  index.previous = index.entries;
+}
+
+/**
+ * Marks a file that changed without its directory changing (e.g. edited in place) in the index, so none of its cached
+ * values are used or added anymore, and its directory is read again next time.
+ * @param {object} index - The scan index (see loadScanIndex).
+ * @param {object} entry - The index entry of the file.
+ */
+function markChanged(index, entry) {
+  entry.mtimeMs = null;
+  const dirEntry = index.entries.get(path.dirname(entry.path));
+  if (dirEntry) dirEntry.mtimeMs = null;
+  index.dirty = true;
+}
+
+/**
+ * Returns a value cached in the index for a file, if the file has not changed since.
+ * As files in unchanged directories are not read again while scanning, the file is checked before using a cached value.
+ * @param {object|undefined} index - The scan index (see loadScanIndex), if any.
+ * @param {object} file - The file item from the scanner.
+ * @param {string} key - Name of the cached value.
+ * @returns {Promise<*>} - The cached value, or undefined if there is none.
+ */
+export async function getCachedValue(index, file, key) {
+  const entry = index?.entries.get(file.path);
+  if (!isUnchanged(entry, file.stats) || entry.cache?.[key] === undefined) return undefined;
+
+  const stats = await fs.stat(file.path).catch(() => null);
+  if (stats && isUnchanged(entry, stats)) return entry.cache[key];
+  markChanged(index, entry);
+  return undefined;
+}
+
+/**
+ * Caches a value in the index for a file, until the file changes.
+ * @param {object|undefined} index - The scan index (see loadScanIndex), if any.
+ * @param {object} file - The file item from the scanner.
+ * @param {string} key - Name of the value.
+ * @param {*} value - The value to cache (must be JSON serializable).
+ */
+export function setCachedValue(index, file, key, value) {
+  const entry = index?.entries.get(file.path);
+  if (!isUnchanged(entry, file.stats)) return;
+  entry.cache = {...entry.cache, [key]: value};
+  index.dirty = true;
+}
+
+/**
+ * Hashes a file, reusing the hash cached in the index when possible.
+ * As files in unchanged directories are not read again while scanning, the file is checked before using a cached hash.
+ * @param {object|undefined} index - The scan index (see loadScanIndex), if any.
+ * @param {object} file - The file item from the scanner.
+ * @param {string} key - Name of the cached hash, identifying how it is calculated (e.g. 'sha256:head:131072').
+ * @param {function(): Promise<string>} computeHash - Calculates the hash, if it is not cached.
+ * @returns {Promise<string>} - The hash.
+ */
+export async function getCachedFileHash(index, file, key, computeHash) {
+  const entry = index?.entries.get(file.path);
+  if (!entry) return computeHash();
+
+  const stats = await fs.stat(file.path);
+  if (isUnchanged(entry, stats) && entry.cache?.[key]) return entry.cache[key];
+
+  const hash = await computeHash();
+  if (isUnchanged(entry, stats)) {
+    entry.cache = {...entry.cache, [key]: hash};
+    index.dirty = true;
+  } else {
+    markChanged(index, entry);
+  }
+  return hash;
+}
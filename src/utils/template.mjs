@@ -0,0 +1,249 @@
+import path from 'path';
+import {minimatch} from 'minimatch';
+import {SUPPORTED_EXIF_EXTENSIONS} from "./exif.mjs";
+import {SUPPORTED_MEDIA_EXTENSIONS} from "./mediaMetadata.mjs";
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Extensions of regular (non-RAW) images and of audio files; other files with EXIF data are RAW images, and other
+// media files are videos
+const PHOTO_EXTENSIONS = new Set(['jpg', 'jpeg', 'tif', 'tiff', 'png', 'webp', 'heif', 'heic', 'gif', 'bmp']);
+const AUDIO_EXTENSIONS = new Set(['mp3', 'm4a', 'mka', 'flac', 'ogg', 'oga', 'opus', 'wav', 'aac']);
+const VIDEO_EXTENSIONS = new Set([...SUPPORTED_MEDIA_EXTENSIONS, 'avi', 'mts', 'm2ts', 'wmv', 'mpg', 'mpeg']);
+
+// Types of media, as determined by getMediaType
+export const MEDIA_TYPES = ['photo', 'raw', 'video', 'audio', 'other'];
+
+// Conditions a template rule can match files by (see parseTemplateRules)
+const MATCH_CONDITIONS = ['glob', 'extensions', 'mediaType'];
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+// Formats every text token accepts
+const TEXT_FORMATS = {
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+};
+
+/**
+ * Calculates the ISO 8601 week number of a date (weeks start on Monday, and week 1 contains the first Thursday).
+ * @param {Date} date - The date, in UTC.
+ * @returns {number} - The week number.
+ */
+function getIsoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 3 - (date.getUTCDay() + 6) % 7));
+  return Math.ceil(((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+}
+
+/**
+ * Determines the type of media a file contains, by its extension.
+ * @param {string} extension - The extension, without a dot.
+ * @returns {string} - 'photo', 'raw', 'video', 'audio' or 'other'.
+ */
+export function getMediaType(extension = '') {
+  const ext = extension.toLowerCase();
+  if (PHOTO_EXTENSIONS.has(ext)) return 'photo';
+  if (SUPPORTED_EXIF_EXTENSIONS.has(ext)) return 'raw';
+  if (AUDIO_EXTENSIONS.has(ext)) return 'audio';
+  if (VIDEO_EXTENSIONS.has(ext)) return 'video';
+  return 'other';
+}
+
+/**
+ * The tokens a template can contain, e.g. `{month}`, or with a format: `{month:MMM}`. Number tokens (those with a
+ * `width`) are zero-padded to that width, or to the width given as format (e.g. `{counter:3}`). Text tokens accept
+ * the formats `lower` and `upper`. The value of a token is calculated from the context given to renderTemplate, which
+ * is also passed to its formats.
+ */
+export const TEMPLATE_TOKENS = {
+  year:        {width: 4, value: ({date}) => date.getUTCFullYear(), formats: {YYYY: (value) => String(value), YY: (value) => pad(value % 100, 2)}},
+  month:       {width: 2, value: ({date}) => date.getUTCMonth() + 1, formats: {
+    M: (value) => String(value), MM: (value) => pad(value, 2), MMM: (value) => MONTH_NAMES[value - 1].slice(0, 3), MMMM: (value) => MONTH_NAMES[value - 1],
+  }},
+  monthName:   {value: ({date}) => MONTH_NAMES[date.getUTCMonth()], formats: {short: (value) => value.slice(0, 3)}},
+  day:         {width: 2, value: ({date}) => date.getUTCDate(), formats: {D: (value) => String(value), DD: (value) => pad(value, 2)}},
+  hour:        {width: 2, value: ({date}) => date.getUTCHours()},
+  minute:      {width: 2, value: ({date}) => date.getUTCMinutes()},
+  second:      {width: 2, value: ({date}) => date.getUTCSeconds()},
+  week:        {width: 2, value: ({date}) => getIsoWeek(date)},
+  quarter:     {width: 1, value: ({date}) => Math.floor(date.getUTCMonth() / 3) + 1, formats: {Q: (value) => `Q${value}`}},
+  filename:    {value: ({file}) => file.baseName},
+  extension:   {value: ({file}) => file.extension},
+  cameraMake:  {value: ({camera}) => camera?.make || 'Unknown'},
+  cameraModel: {value: ({camera}) => camera?.model || 'Unknown'},
+  mediaType:   {value: ({file}) => getMediaType(file.extension)},
+  // The kind of source the date was found in (e.g. 'exif' or 'path'), or the full source with the format 'full'
+  dateSource:  {value: ({dateSource}) => (dateSource ?? 'unknown').split(' ')[0], formats: {full: (value, {dateSource}) => dateSource ?? value}},
+  // The directory the file is in, relative to the root of the template, or only its name with the format 'name'
+  originalDir: {value: ({file, root}) => path.relative(root, file.dir), formats: {name: (value) => path.basename(value)}, isPath: true},
+  // Numbers the files that would otherwise get the same path, starting at 1 (see renderTemplate)
+  counter:     {width: 1, value: ({counter}) => counter ?? 0},
+};
+
+/**
+ * Parses a template, such as the `reorganizeTemplate`: text with tokens in braces, optionally with a format, e.g.
+ * `/{year}/{year}-{month}-{day}_{hour}{minute}_{counter:3}.{extension}` (see TEMPLATE_TOKENS).
+ * A template that ends with a slash describes a directory only; the file's name is appended to it.
+ *
+ * @param {string} template - The template.
+ * @returns {{parts: (string|{name: string, format: string|undefined})[], tokens: Set<string>}} - The text and tokens
+ *          the template consists of, and the names of the tokens used.
+ * @throws {Error} - If the template is empty, or contains an unknown token or format, or unbalanced braces.
+ */
+export function parseTemplate(template) {
+  if (!template.trim()) {
+    throw new Error('The template is empty.');
+  }
+  const source = template.endsWith('/') ? `${template}{filename}.{extension}` : template;
+  const parts = [];
+  const tokens = new Set();
+  let position = 0;
+
+  for (const match of source.matchAll(/\{([^{}]*)}/g)) {
+    const text = source.slice(position, match.index);
+    if (/[{}]/.test(text)) {
+      throw new Error(`Unbalanced brace in template "${template}".`);
+    }
+    const [name, ...formatParts] = match[1].split(':');
+    const format = formatParts.length ? formatParts.join(':') : undefined;
+    const token = TEMPLATE_TOKENS[name];
+    if (!token) {
+      throw new Error(`Unknown token "{${match[1]}}" in template "${template}". Available tokens: ${Object.keys(TEMPLATE_TOKENS).map(key => `{${key}}`).join(', ')}.`);
+    }
+    const formats = [...Object.keys(token.formats ?? {}), ...(token.width ? ['<width>'] : Object.keys(TEXT_FORMATS))];
+    if (format !== undefined && !token.formats?.[format] && !(token.width ? /^\d+$/.test(format) : TEXT_FORMATS[format])) {
+      throw new Error(`Unknown format "${format}" for token "{${name}}" in template "${template}". Use one of: ${formats.join(', ')}.`);
+    }
+    if (text) parts.push(text);
+    parts.push({name, format});
+    tokens.add(name);
+    position = match.index + match[0].length;
+  }
+
+  const text = source.slice(position);
+  if (/[{}]/.test(text)) {
+    throw new Error(`Unbalanced brace in template "${template}".`);
+  }
+  if (text) parts.push(text);
+  return {parts, tokens};
+}
+
+/**
+ * Checks the conditions files are matched by (see matchesFile), e.g. those of a template rule.
+ * @param {Object} match - The conditions.
+ * @param {string[]} [conditions] - The conditions that are allowed (defaults to those of template rules).
+ * @throws {Error} - If a condition is unknown or invalid.
+ */
+export function validateFileMatch(match, conditions = MATCH_CONDITIONS) {
+  const unknown = typeof match === 'object' && match !== null ? Object.keys(match).filter(condition => !conditions.includes(condition)) : [];
+  if (typeof match !== 'object' || match === null || Array.isArray(match) || unknown.length) {
+    throw new Error(`"match" must be an object with any of ${conditions.join(', ')}.`);
+  }
+  if (match.glob !== undefined && typeof match.glob !== 'string') {
+    throw new Error(`"glob" must be a string.`);
+  }
+  if (match.extensions !== undefined && (!Array.isArray(match.extensions) || !match.extensions.every(extension => typeof extension === 'string'))) {
+    throw new Error(`"extensions" must be a list of extensions.`);
+  }
+  if (match.mediaType !== undefined && ![match.mediaType].flat().every(mediaType => MEDIA_TYPES.includes(mediaType))) {
+    throw new Error(`"mediaType" must be one or more of ${MEDIA_TYPES.join(', ')}.`);
+  }
+}
+
+/**
+ * Checks whether a file matches conditions, such as those of a template rule: all of its `glob` (matched against the
+ * file's name, or against its full path if the glob contains a slash), `extensions` and `mediaType`.
+ * @param {Object} match - The conditions.
+ * @param {Object} file - The file item from the scanner.
+ * @returns {boolean} - True if the file matches all conditions.
+ */
+export function matchesFile(match, file) {
+  const extension = file.extension?.toLowerCase() ?? '';
+  return (match.glob === undefined || minimatch(file.path, match.glob, {dot: true, nocase: true, matchBase: true}))
+    && (match.extensions === undefined || match.extensions.some(candidate => candidate.replace(/^\./, '').toLowerCase() === extension))
+    && (match.mediaType === undefined || [match.mediaType].flat().includes(getMediaType(extension)));
+}
+
+/**
+ * Parses a template setting, such as the `reorganizeTemplate`: a single template, or an ordered list of rules, each
+ * with a template and the files it applies to. Rules can match files by:
+ *
+ * - `glob`: a glob, matched against the file's name, or against its full path if the glob contains a slash.
+ * - `extensions`: a list of extensions (without a dot), e.g. `["cr2", "nef"]`.
+ * - `mediaType`: a media type (see MEDIA_TYPES), or a list of them.
+ *
+ * A rule matches a file if all its conditions do; a rule without a `match` matches every file, and can be used as
+ * fallback. A rule with a `null` template matches files that should be left where they are.
+ *
+ * @param {string|Object[]} setting - The template, or the rules.
+ * @returns {{match: Object|undefined, template: Object|null}[]} - The rules, with their templates parsed (see
+ *          parseTemplate).
+ * @throws {Error} - If a rule or its template is invalid.
+ */
+export function parseTemplateRules(setting) {
+  if (typeof setting === 'string') {
+    return [{template: parseTemplate(setting)}];
+  }
+  return setting.map((rule, idx) => {
+    const {match, template, ...unknownKeys} = rule;
+    if (Object.keys(unknownKeys).length) {
+      throw new Error(`Rule ${idx}: unknown key(s) ${Object.keys(unknownKeys).join(', ')}; use "match" and "template".`);
+    }
+    if (match !== undefined) {
+      try {
+        validateFileMatch(match);
+      } catch (error) {
+        throw new Error(`Rule ${idx}: ${error.message}`);
+      }
+    }
+    if (template !== null && typeof template !== 'string') {
+      throw new Error(`Rule ${idx}: "template" must be a template, or null to leave matching files where they are.`);
+    }
+    try {
+      return {match, template: template === null ? null : parseTemplate(template)};
+    } catch (error) {
+      throw new Error(`Rule ${idx}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Selects the template for a file: that of the first rule that matches it (see parseTemplateRules).
+ * @param {Object[]} rules - The parsed rules.
+ * @param {Object} file - The file item from the scanner.
+ * @returns {Object|null} - The parsed template, or null if the file should be left where it is.
+ */
+export function selectTemplate(rules, file) {
+  const rule = rules.find(({match}) => !match || matchesFile(match, file));
+  return rule?.template ?? null;
+}
+
+/**
+ * Renders a parsed template. Token values cannot add directories: path separators in them are replaced with
+ * underscores (except for `{originalDir}`).
+ *
+ * To number files with `{counter}`, first render the template without a counter: files that get the same result
+ * would otherwise get the same path, and should be numbered.
+ *
+ * @param {Object} parsedTemplate - The template (see parseTemplate).
+ * @param {Object} context - The values to render with: `file` (the file item from the scanner), `date` (a Date, of
+ *        which the UTC fields are used), `dateSource`, `camera` (`{make, model}`), `root` (the directory
+ *        `{originalDir}` is relative to) and `counter`.
+ * @returns {string} - The rendered template.
+ */
+export function renderTemplate(parsedTemplate, context) {
+  return parsedTemplate.parts.map(part => {
+    if (typeof part === 'string') return part;
+    const token = TEMPLATE_TOKENS[part.name];
+    const value = token.value(context);
+    let rendered;
+    if (part.format === undefined) {
+      rendered = token.width ? pad(value, token.width) : String(value);
+    } else if (token.formats?.[part.format]) {
+      rendered = token.formats[part.format](value, context);
+    } else {
+      rendered = token.width ? pad(value, Number(part.format)) : TEXT_FORMATS[part.format](String(value));
+    }
+    return token.isPath ? rendered : rendered.replace(/[\\/]/g, '_');
+  }).join('');
+}
@@ -0,0 +1,105 @@
+// Formatters per timezone, as creating them is relatively slow
+const FORMATTERS = new Map();
+
+/**
+ * Returns the timezone of the system, e.g. 'Europe/Amsterdam'.
+ * @returns {string} - The IANA name of the timezone.
+ */
+export function getSystemTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Checks whether a timezone is known, e.g. 'Europe/Amsterdam' or 'UTC'.
+ * @param {string} timezone - The IANA name of the timezone.
+ * @returns {boolean} - True if the timezone is known.
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', {timeZone: timezone});
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Determines the offset of a timezone from UTC at a moment in time (including daylight saving time).
+ * @param {Date} date - The moment.
+ * @param {string} timezone - The IANA name of the timezone.
+ * @returns {number} - The offset, in minutes east of UTC (e.g. 60 for '+01:00').
+ */
+export function getTimezoneOffset(date, timezone) {
+  if (!FORMATTERS.has(timezone)) {
+    FORMATTERS.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(FORMATTERS.get(timezone).formatToParts(date).map(({type, value}) => [type, Number(value)]));
+  const clock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((clock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Formats an offset from UTC, e.g. '+01:00' or '-05:30'.
+ * @param {number} offset - The offset, in minutes east of UTC.
+ * @returns {string} - The formatted offset.
+ */
+export function formatOffset(offset) {
+  const minutes = Math.abs(offset);
+  return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a moment as the clock time at an offset from UTC, e.g. '2024-01-01 00:30:00 +01:00'.
+ * @param {Date} date - The moment.
+ * @param {number} offset - The offset, in minutes east of UTC.
+ * @returns {string} - The formatted clock time and offset.
+ */
+export function formatMoment(date, offset) {
+  return `${new Date(date.getTime() + offset * 60000).toISOString().slice(0, 19).replace('T', ' ')} ${formatOffset(offset)}`;
+}
+
+/**
+ * Parses an offset from UTC, as written after a time in EXIF (OffsetTimeOriginal), XMP or ISO 8601 dates: 'Z',
+ * '+01:00' or '+0100'.
+ * @param {string} value - The offset, or a date and time ending with one.
+ * @returns {number|undefined} - The offset, in minutes east of UTC, or undefined if there is none.
+ */
+export function parseOffset(value) {
+  const match = /(?:[T ]?\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?|^)\s*(Z|([+-])(\d{2}):?(\d{2}))\s*$/.exec(value ?? '');
+  if (!match) return undefined;
+  if (match[1] === 'Z') return 0;
+  const offset = Number(match[3]) * 60 + Number(match[4]);
+  return offset > 14 * 60 ? undefined : (match[2] === '-' ? -offset : offset);
+}
+
+/**
+ * Converts a clock time to the moment it describes, e.g. the date a photo was taken according to the camera's clock.
+ * Clock times are Dates whose UTC fields hold the time on the clock (as returned by parseDateString). A clock time
+ * skipped when the clocks moved forward (e.g. 02:30 when they jump from 02:00 to 03:00) is taken as the moment it
+ * would have been without the change (03:30).
+ *
+ * @param {Date} clock - The clock time.
+ * @param {string} timezone - The IANA name of the timezone the clock was in.
+ * @returns {{date: Date, offset: number}} - The moment, and the offset of the timezone at that moment (in minutes).
+ */
+export function clockToMoment(clock, timezone) {
+  // The offset at the clock time itself may differ around a daylight saving time change, so check it again
+  const offset = getTimezoneOffset(clock, timezone);
+  const date = new Date(clock.getTime() - getTimezoneOffset(new Date(clock.getTime() - offset * 60000), timezone) * 60000);
+  return {date, offset: getTimezoneOffset(date, timezone)};
+}
+
+/**
+ * Converts a moment to the clock time in a timezone, as a Date whose UTC fields hold the time on the clock (e.g. to
+ * determine the year, month and day in that timezone using getUTCFullYear, getUTCMonth and getUTCDate).
+ *
+ * @param {Date} date - The moment.
+ * @param {string} timezone - The IANA name of the timezone.
+ * @returns {Date} - The clock time.
+ */
+export function momentToClock(date, timezone) {
+  return new Date(date.getTime() + getTimezoneOffset(date, timezone) * 60000);
+}
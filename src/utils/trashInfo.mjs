@@ -0,0 +1,86 @@
+import fs from 'fs/promises';
+
+export const TRASHINFO_EXTENSION = '.trashinfo';
+
+/**
+ * Formats a date as local time without timezone, as prescribed by the freedesktop.org trash specification.
+ * @param {Date} date - The date to format.
+ * @returns {string} - The formatted date, e.g. '2024-01-01T12:00:00'.
+ */
+function formatDeletionDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Returns the path of the metadata file belonging to an item in the recycle bin.
+ * @param {string} binItemPath - Path of the item inside the recycle bin.
+ * @returns {string} - Path of its .trashinfo file.
+ */
+export function getTrashInfoPath(binItemPath) {
+  return `${binItemPath}${TRASHINFO_EXTENSION}`;
+}
+
+/**
+ * Writes a .trashinfo file next to an item that was moved into the recycle bin.
+ * The format follows the freedesktop.org trash specification (Path and DeletionDate), extended with the reason,
+ * operation and run that put the item there.
+ *
+ * @param {string} binItemPath - Path of the item inside the recycle bin.
+ * @param {object} info - The metadata to store.
+ * @param {string} info.originalPath - Where the item was moved from.
+ * @param {string} [info.reason] - Why the item was recycled.
+ * @param {string} [info.operation] - The operation that recycled the item (e.g. 'duplicate').
+ * @param {string} [info.runId] - The run during which the item was recycled.
+ * @param {Date} [info.deletionDate=new Date()] - When the item was recycled.
+ * @returns {Promise<void>}
+ */
+export async function writeTrashInfo(binItemPath, {originalPath, reason, operation, runId, deletionDate = new Date()}) {
+  const lines = [
+    '[Trash Info]',
+    `Path=${encodeURI(originalPath)}`,
+    `DeletionDate=${formatDeletionDate(deletionDate)}`,
+    reason ? `Reason=${reason.replace(/\n/g, ' ')}` : null,
+    operation ? `Operation=${operation}` : null,
+    runId ? `RunId=${runId}` : null,
+  ];
+  await fs.writeFile(getTrashInfoPath(binItemPath), lines.filter(line => line !== null).join('\n') + '\n');
+}
+
+/**
+ * Reads the .trashinfo file belonging to an item in the recycle bin.
+ * @param {string} binItemPath - Path of the item inside the recycle bin.
+ * @returns {Promise<object|null>} - The metadata (originalPath, deletionDate, reason, operation, runId), or null if there is none.
+ */
+export async function readTrashInfo(binItemPath) {
+  let content;
+  try {
+    content = await fs.readFile(getTrashInfoPath(binItemPath), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const values = Object.fromEntries(
+    content.split('\n')
+    .filter(line => line.includes('='))
+    .map(line => [line.slice(0, line.indexOf('=')), line.slice(line.indexOf('=') + 1)])
+  );
+
+  return {
+    originalPath: values.Path ? decodeURI(values.Path) : null,
+    deletionDate: values.DeletionDate ? new Date(values.DeletionDate) : null,
+    reason:       values.Reason ?? null,
+    operation:    values.Operation ?? null,
+    runId:        values.RunId ?? null,
+  };
+}
+
+/**
+ * Removes the .trashinfo file belonging to an item, if there is one.
+ * @param {string} binItemPath - Path of the item inside the recycle bin.
+ * @returns {Promise<void>}
+ */
+export async function removeTrashInfo(binItemPath) {
+  await fs.rm(getTrashInfoPath(binItemPath), {force: true});
+}
@@ -0,0 +1,67 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {checkConfigs} from '../../src/modules/configLoader.mjs';
+
+describe('checkConfigs', () => {
+  let dir;
+  const check = async (entry) => {
+    const configPath = path.join(dir, 'config.json');
+    await fs.writeFile(configPath, JSON.stringify([{scanPath: '/photos', recycleBinPath: '/photos/#recycle', actions: ['duplicates'], ...entry}]));
+    const {configs, problems} = await checkConfigs(configPath);
+    return {config: configs[0], problems: problems.map(({key, severity, message}) => ({key, severity, message}))};
+  };
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  test('merges a valid entry with the defaults', async () => {
+    const {config, problems} = await check({actions: ['duplicates']});
+    expect(problems).toEqual([]);
+    expect(config).toMatchObject({scanPath: '/photos', actions: ['duplicates'], duplicateAction: 'recycle'});
+  });
+
+  test('rejects unknown actions, instead of falling back to the default actions', async () => {
+    const {config, problems} = await check({actions: ['reorganise']});
+    expect(config).toBe(false);
+    expect(problems).toEqual([{key: 'actions', severity: 'error', message: '["reorganise"] failed validation. Unknown action(s): reorganise.'}]);
+  });
+
+  test.each([
+    ['duplicateAction', 'delete'],
+    ['similarityThreshold', 65],
+    ['similarityThreshold', '10'],
+    ['orphanRules', [{match: {}, reason: 'everything'}]],
+    ['timezone', 'Mars/Olympus_Mons'],
+  ])('rejects an invalid %s as an error', async (key, value) => {
+    const {config, problems} = await check({[key]: value});
+    expect(config).toBe(false);
+    expect(problems).toEqual([expect.objectContaining({key, severity: 'error'})]);
+  });
+
+  test.each([
+    ['/{yaer}/{month}/', /^"\/\{yaer\}\/\{month\}\/" failed validation\. Unknown token "\{yaer\}"/],
+    [[{match: {extensions: ['cr2']}, template: '/raw/{year}/'}, {template: '/{year}/{month:MMMMM}/'}], /Rule 1: Unknown format "MMMMM" for token "\{month\}"/],
+  ])('rejects the invalid reorganizeTemplate %j, instead of reorganizing with the default template', async (reorganizeTemplate, message) => {
+    const {config, problems} = await check({actions: ['reorganize'], reorganizeTemplate});
+    expect(config).toBe(false);
+    expect(problems).toEqual([{key: 'reorganizeTemplate', severity: 'error', message: expect.stringMatching(message)}]);
+  });
+
+  test('requires the owner for the ownership action', async () => {
+    const {config, problems} = await check({actions: ['ownership']});
+    expect(config).toBe(false);
+    expect(problems.map(({key, severity}) => [key, severity])).toEqual([['owner_user', 'error'], ['owner_group', 'error']]);
+  });
+
+  test('only warns about unknown settings', async () => {
+    const {config, problems} = await check({actions: ['duplicates'], ignoreDirectory: ['@eaDir']});
+    expect(config).toMatchObject({actions: ['duplicates']});
+    expect(problems).toEqual([{key: 'ignoreDirectory', severity: 'warning', message: 'Unknown setting, it is ignored. Did you mean "ignoreDirectories"?'}]);
+  });
+});
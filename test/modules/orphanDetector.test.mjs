@@ -0,0 +1,50 @@
+import {parseOrphanRules} from '../../src/modules/orphanDetector.mjs';
+
+describe('parseOrphanRules', () => {
+  test('accepts file and directory rules, normalizing their type and onlyContains', () => {
+    expect(parseOrphanRules([
+      {match: {extensions: ['part', 'crdownload'], olderThan: 7}, reason: 'unfinished download'},
+      {match: {type: 'directory', onlyContains: '.DS_Store'}, reason: 'only holds metadata'},
+      {match: {type: 'directory', glob: '**/cache', onlyContains: ['@eaDir', 'Thumbs.db'], maxSize: 0}, reason: 'empty cache'},
+      {match: {mediaType: 'photo', withoutSibling: {extensions: ['xmp'], sameName: true}}, reason: 'photo without edits'},
+    ])).toEqual([
+      {match: {type: 'file', extensions: ['part', 'crdownload'], olderThan: 7, onlyContains: undefined}, reason: 'unfinished download'},
+      {match: {type: 'directory', onlyContains: ['.DS_Store']}, reason: 'only holds metadata'},
+      {match: {type: 'directory', glob: '**/cache', onlyContains: ['@eaDir', 'Thumbs.db'], maxSize: 0}, reason: 'empty cache'},
+      {match: {type: 'file', mediaType: 'photo', withoutSibling: {extensions: ['xmp'], sameName: true}, onlyContains: undefined}, reason: 'photo without edits'},
+    ]);
+  });
+
+  test('accepts no rules', () => {
+    expect(parseOrphanRules([])).toEqual([]);
+  });
+
+  test.each([
+    [{match: {glob: '*.tmp'}}, /"reason" must be a text/],
+    [{match: {glob: '*.tmp'}, reason: '  '}, /"reason" must be a text/],
+    [{match: {glob: '*.tmp'}, reason: 'temporary', action: 'delete'}, /unknown key\(s\) action/],
+    [{reason: 'temporary'}, /"match" must be an object/],
+    [{match: ['*.tmp'], reason: 'temporary'}, /"match" must be an object/],
+    [{match: {type: 'symlink', glob: '*.tmp'}, reason: 'temporary'}, /"type" must be "file" or "directory"/],
+    [{match: {}, reason: 'everything'}, /at least one condition besides "type"/],
+    [{match: {type: 'directory'}, reason: 'everything'}, /would match every directory/],
+    [{match: {type: 'directory', extensions: ['tmp']}, reason: 'temporary'}, /"match" must be an object with any of type, glob, olderThan/],
+    [{match: {onlyContains: '*.tmp'}, reason: 'temporary'}, /"match" must be an object with any of type, glob, extensions/],
+    [{match: {glob: 5}, reason: 'temporary'}, /"glob" must be a string/],
+    [{match: {extensions: 'tmp'}, reason: 'temporary'}, /"extensions" must be a list/],
+    [{match: {mediaType: 'image'}, reason: 'photos'}, /"mediaType" must be one or more of/],
+    [{match: {glob: '*.tmp', olderThan: -1}, reason: 'temporary'}, /"olderThan" must be a number of days/],
+    [{match: {glob: '*.tmp', minSize: '1 MB'}, reason: 'temporary'}, /"minSize" must be a number of bytes/],
+    [{match: {glob: '*.tmp', withSibling: {type: 'file'}}, reason: 'temporary'}, /"withSibling": "match" must be an object with any of glob/],
+    [{match: {glob: '*.tmp', withoutSibling: {sameName: 'yes'}}, reason: 'temporary'}, /"withoutSibling": "sameName" must be true or false/],
+    [{match: {type: 'directory', onlyContains: []}, reason: 'empty'}, /"onlyContains" must be a glob, or a list of globs/],
+    [{match: {type: 'directory', onlyContains: ['@eaDir', 5]}, reason: 'metadata'}, /"onlyContains" must be a glob, or a list of globs/],
+  ])('rejects %j', (rule, error) => {
+    expect(() => parseOrphanRules([rule])).toThrow(error);
+  });
+
+  test('names the rule that is invalid', () => {
+    expect(() => parseOrphanRules([{match: {glob: '*.tmp'}, reason: 'temporary'}, {match: {}, reason: 'everything'}]))
+      .toThrow(/^Rule 1: /);
+  });
+});
@@ -0,0 +1,41 @@
+import {jest} from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import getSimilarImageItems from '../../src/modules/similarImages.mjs';
+import logger from '../../src/utils/logger.mjs';
+
+describe('getSimilarImageItems', () => {
+  let dir;
+  const files = new Map();
+  const addFile = async (name, data) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, data);
+    const extension = path.extname(name).slice(1);
+    files.set(filePath, {path: filePath, name, baseName: path.basename(name, `.${extension}`), extension, isFile: true, stats: await fs.stat(filePath)});
+  };
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'similar-test-'));
+    const pixels = Buffer.from(Array.from({length: 64 * 48}, (_, idx) => ((idx % 64) * 4 + Math.floor(idx / 64) ** 2) % 256));
+    const image = sharp(pixels, {raw: {width: 64, height: 48, channels: 1}});
+    await addFile('photo.jpg', await image.clone().jpeg({quality: 95}).toBuffer());
+    await addFile('photo-small.jpg', await image.clone().resize(32, 24).jpeg().toBuffer());
+    await addFile('corrupt.heic', Buffer.from('not an image'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  test('reports the images that could not be decoded, and compares the others', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => logger);
+
+    const {files: similar} = await getSimilarImageItems({files}, path.join(dir, '#recycle'));
+
+    expect(similar.map(file => [file.path, file.duplicate_of])).toEqual([[path.join(dir, 'photo-small.jpg'), path.join(dir, 'photo.jpg')]]);
+    expect(warn).toHaveBeenCalledWith(`Not comparing "${path.join(dir, 'corrupt.heic')}" to similar images: it could not be decoded`);
+  });
+});
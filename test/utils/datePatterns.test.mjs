@@ -0,0 +1,58 @@
+import {compileDatePattern, DEFAULT_DATE_PATTERNS, findDates} from '../../src/utils/datePatterns.mjs';
+
+describe('findDates', () => {
+  const patterns = DEFAULT_DATE_PATTERNS.map(compileDatePattern);
+  const find = (text, extraPatterns = []) => findDates(text, [...extraPatterns.map(compileDatePattern), ...patterns])
+    .map(({date, isEpoch}) => ({date: date.toISOString(), isEpoch}));
+
+  test.each([
+    ['IMG_20230506.jpg', '2023-05-06T00:00:00.000Z'],
+    ['2023-05-06 holiday.jpg', '2023-05-06T00:00:00.000Z'],
+    ['PXL_20230506_143000123.jpg', '2023-05-06T14:30:00.000Z'],
+    ['2023-05-06 14.30.00.jpg', '2023-05-06T14:30:00.000Z'],
+    ['VID_20230506_143000.mp4', '2023-05-06T14:30:00.000Z'],
+    ['scan 06-05-2023.pdf', '2023-05-06T00:00:00.000Z'],
+  ])('finds the clock time in "%s"', (text, date) => {
+    expect(find(text)).toEqual([{date, isEpoch: false}]);
+  });
+
+  test('finds epoch timestamps as moments', () => {
+    expect(find('photo_1683383400.jpg')).toEqual([{date: '2023-05-06T14:30:00.000Z', isEpoch: true}]);
+  });
+
+  test('finds every date matching the first pattern that matches', () => {
+    expect(find('20230506 to 20230510')).toEqual([
+      {date: '2023-05-06T00:00:00.000Z', isEpoch: false},
+      {date: '2023-05-10T00:00:00.000Z', isEpoch: false},
+    ]);
+  });
+
+  test.each([
+    ['IMG_1234.jpg'],
+    ['serial 120230506.jpg'], // Part of a longer number
+    ['20230230.jpg'], // February 30th
+    ['20231306.jpg'], // Month 13
+    ['20230506_256100.jpg'], // Hour 25 (the date alone is not matched either, as the first pattern matched)
+    ['18990506.jpg'], // Before 1900
+    ['2023-05_06.jpg'], // Mixed separators
+  ])('finds no dates in "%s"', (text) => {
+    expect(find(text)).toEqual([]);
+  });
+
+  test('tries configured patterns before the default ones', () => {
+    const whatsApp = 'IMG-(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})-WA(?<minute>\\d{2})';
+    expect(find('IMG-20230506-WA12.jpg', [whatsApp])).toEqual([{date: '2023-05-06T00:12:00.000Z', isEpoch: false}]);
+  });
+});
+
+describe('compileDatePattern', () => {
+  test('compiles a pattern with named groups', () => {
+    expect(compileDatePattern('(?<day>\\d{2})(?<month>\\d{2})(?<year>\\d{4})')).toBeInstanceOf(RegExp);
+    expect(compileDatePattern('ts(?<epoch>\\d{10})')).toBeInstanceOf(RegExp);
+  });
+
+  test('rejects invalid patterns, and patterns without the required groups', () => {
+    expect(() => compileDatePattern('(?<year>\\d{4}')).toThrow(/Invalid date pattern/);
+    expect(() => compileDatePattern('(?<year>\\d{4})(?<month>\\d{2})')).toThrow(/needs named groups/);
+  });
+});
@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {readExifData} from '../../src/utils/exif.mjs';
+import {indexItem} from '../../src/utils/scanIndex.mjs';
+
+/**
+ * Builds a minimal TIFF structure, as found in TIFF files and EXIF data, with the given IFDs: the first is IFD0, the
+ * others are referred to by entries with an `ifd` (their index).
+ * @param {Object[][]} ifds - The entries per IFD: {tag, ascii}, {tag, rationals} or {tag, ifd}.
+ * @param {boolean} [littleEndian=true] - Whether to use the "II" (little endian) or "MM" (big endian) byte order.
+ * @returns {Buffer} - The TIFF structure.
+ */
+function buildTiff(ifds, littleEndian = true) {
+  const buffer = Buffer.alloc(1024);
+  const write16 = (value, offset) => littleEndian ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt16BE(value, offset);
+  const write32 = (value, offset) => littleEndian ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset);
+  const dataSize = (entry) => entry.ascii !== undefined ? (entry.ascii.length + 1 > 4 ? entry.ascii.length + 1 : 0)
+    : entry.rationals ? entry.rationals.length * 8 : 0;
+
+  // Every IFD is followed by the values that do not fit in its entries
+  const ifdOffsets = [];
+  let offset = 8;
+  ifds.forEach(entries => {
+    ifdOffsets.push(offset);
+    offset += 2 + entries.length * 12 + 4 + entries.reduce((sum, entry) => sum + dataSize(entry), 0);
+  });
+
+  buffer.write(littleEndian ? 'II' : 'MM', 0, 'latin1');
+  write16(42, 2);
+  write32(ifdOffsets[0], 4);
+  ifds.forEach((entries, idx) => {
+    let dataOffset = ifdOffsets[idx] + 2 + entries.length * 12 + 4;
+    write16(entries.length, ifdOffsets[idx]);
+    entries.forEach((entry, entryIdx) => {
+      const position = ifdOffsets[idx] + 2 + entryIdx * 12;
+      write16(entry.tag, position);
+      if (entry.ascii !== undefined) {
+        write16(2, position + 2);
+        write32(entry.ascii.length + 1, position + 4);
+        const valueOffset = dataSize(entry) ? dataOffset : position + 8;
+        buffer.write(`${entry.ascii}\0`, valueOffset, 'latin1');
+        if (dataSize(entry)) write32(valueOffset, position + 8);
+      } else if (entry.rationals) {
+        write16(5, position + 2);
+        write32(entry.rationals.length, position + 4);
+        write32(dataOffset, position + 8);
+        entry.rationals.forEach((value, valueIdx) => {
+          write32(value, dataOffset + valueIdx * 8);
+          write32(1, dataOffset + valueIdx * 8 + 4);
+        });
+      } else {
+        write16(4, position + 2);
+        write32(1, position + 4);
+        write32(ifdOffsets[entry.ifd], position + 8);
+      }
+      dataOffset += dataSize(entry);
+    });
+  });
+  return buffer.subarray(0, offset);
+}
+
+describe('readExifData', () => {
+  let dir;
+  const readTiff = async (buffer, name = 'photo.tif') => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, buffer);
+    return readExifData({path: filePath, extension: name.split('.').pop(), stats: await fs.stat(filePath)});
+  };
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'exif-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  const ifds = [
+    [{tag: 0x010F, ascii: 'Canon '}, {tag: 0x0110, ascii: 'EOS R6'}, {tag: 0x8769, ifd: 1}, {tag: 0x8825, ifd: 2}],
+    [{tag: 0x9003, ascii: '2023:05:06 14:30:00'}, {tag: 0x9011, ascii: '+02:00'}, {tag: 0x9004, ascii: '2023:05:06 14:31:00'}],
+    [{tag: 0x001D, ascii: '2023:05:06'}, {tag: 0x0007, rationals: [12, 30, 5]}],
+  ];
+
+  test.each([['little', true], ['big', false]])('reads the camera and dates from a %s endian TIFF structure', async (name, littleEndian) => {
+    const exifData = await readTiff(buildTiff(ifds, littleEndian));
+
+    expect(exifData.make).toBe('Canon');
+    expect(exifData.model).toBe('EOS R6');
+    expect(exifData.dates).toEqual([
+      {date: new Date('2023-05-06T14:30:00Z'), source: 'exif (DateTimeOriginal)', offset: 120, offsetSource: 'exif (OffsetTimeOriginal)'},
+      {date: new Date('2023-05-06T14:31:00Z'), source: 'exif (CreateDate)', offset: 120, offsetSource: 'exif (GPS timestamp)'},
+      {date: new Date('2023-05-06T12:30:05Z'), source: 'exif (GPS timestamp)', offset: 0, offsetSource: 'exif (GPS timestamp)'},
+    ]);
+  });
+
+  test('reads a TIFF structure following an "Exif" header, as in JPEG files', async () => {
+    const tiff = buildTiff(ifds.slice(0, 2).map(entries => entries.filter(entry => entry.ifd !== 2)));
+    const app1 = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(app1.length + 2);
+    const jpeg = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE1]), length, app1, Buffer.from([0xFF, 0xD9])]);
+
+    const {dates} = await readTiff(jpeg, 'photo.jpg');
+
+    expect(dates.map(({source}) => source)).toEqual(['exif (DateTimeOriginal)', 'exif (CreateDate)']);
+  });
+
+  test('ignores offsets pointing outside the data', async () => {
+    const tiff = buildTiff([[{tag: 0x010F, ascii: 'Canon'}, {tag: 0x8769, ifd: 0}]]);
+    tiff.writeUInt32LE(tiff.length + 100, 8 + 2 + 8); // Make's value
+    tiff.writeUInt32LE(tiff.length + 100, 8 + 2 + 12 + 8); // The EXIF IFD
+
+    expect(await readTiff(tiff)).toEqual({dates: [], make: undefined, model: undefined});
+  });
+
+  test('returns no dates for files without a TIFF structure', async () => {
+    expect(await readTiff(Buffer.from('not an image'))).toEqual({dates: [], make: undefined, model: undefined});
+  });
+
+  test('caches the data of files that could be read, but not of files that failed to be read', async () => {
+    const index = {entries: new Map(), previous: new Map()};
+    const indexFile = async (filePath) => {
+      const stats = await fs.stat(filePath);
+      indexItem(index, filePath, stats, false);
+      return {path: filePath, extension: 'tif', stats};
+    };
+    const photo = path.join(dir, 'cached.tif');
+    await fs.writeFile(photo, buildTiff(ifds));
+    // Reading a directory fails
+    const unreadable = path.join(dir, 'unreadable.tif');
+    await fs.mkdir(unreadable);
+
+    expect((await readExifData(await indexFile(photo), index)).make).toBe('Canon');
+    expect(index.entries.get(photo).cache.exif).toMatchObject({make: 'Canon'});
+    expect(await readExifData(await indexFile(unreadable), index)).toEqual({dates: []});
+    expect(index.entries.get(unreadable).cache).toBeUndefined();
+  });
+});
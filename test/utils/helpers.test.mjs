@@ -0,0 +1,25 @@
+import {findSidecars} from '../../src/utils/helpers.mjs';
+
+describe('findSidecars', () => {
+  const file = (name) => ({path: `/photos/${name}`, name, extension: name.split('.').pop()});
+  const find = (...names) => Object.fromEntries([...findSidecars(names.map(file))]
+    .map(([primaryPath, sidecars]) => [primaryPath, sidecars.map(sidecar => sidecar.name)]));
+
+  test('matches sidecars by name, and by file set', () => {
+    expect(find('IMG_1234.HEIC', 'IMG_1234.HEIC.xmp', 'IMG_1234.AAE', 'movie.mkv', 'movie.en.srt')).toEqual({
+      '/photos/IMG_1234.HEIC': ['IMG_1234.HEIC.xmp', 'IMG_1234.AAE'],
+      '/photos/movie.mkv':     ['movie.en.srt'],
+    });
+  });
+
+  test('matches GoPro proxies to their video, by the GoPro naming scheme', () => {
+    expect(find('GX010123.MP4', 'GL010123.LRV', 'GX010123.THM', 'GH020456.MP4', 'GL020456.lrv')).toEqual({
+      '/photos/GX010123.MP4': ['GL010123.LRV', 'GX010123.THM'],
+      '/photos/GH020456.MP4': ['GL020456.lrv'],
+    });
+  });
+
+  test('leaves out sidecars without their file', () => {
+    expect(find('GX010123.MP4', 'GL010124.LRV', 'GL010123.MP4.LRV', 'IMG_1235.AAE')).toEqual({});
+  });
+});
@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {readMediaDates} from '../../src/utils/mediaMetadata.mjs';
+
+/**
+ * Builds an ISOBMFF box.
+ * @param {string} type - The box type.
+ * @param {...Buffer} data - The box's data (e.g. other boxes).
+ * @returns {Buffer} - The box.
+ */
+function box(type, ...data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + data.reduce((sum, buffer) => sum + buffer.length, 0));
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, ...data]);
+}
+
+/**
+ * Builds a QuickTime movie with a creation time in its movie header, and QuickTime metadata (as written by iPhones).
+ * @param {Date} created - The creation time of the movie header.
+ * @param {Object} metadata - The text values, by key.
+ * @param {boolean} [metaVersion=false] - Whether to write a version and flags at the start of the meta box.
+ * @returns {Buffer} - The movie.
+ */
+function buildMovie(created, metadata, metaVersion = false) {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE((created - Date.UTC(1904, 0, 1)) / 1000, 4);
+  const keys = Object.keys(metadata).map(key => {
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(8 + Buffer.byteLength(key));
+    return Buffer.concat([size, Buffer.from(`mdta${key}`)]);
+  });
+  const count = Buffer.alloc(8);
+  count.writeUInt32BE(keys.length, 4);
+  const items = Object.values(metadata).map((value, idx) => {
+    const type = Buffer.alloc(4);
+    type.writeUInt32BE(idx + 1);
+    return box(type.toString('latin1'), box('data', Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]), Buffer.from(value)));
+  });
+  const hdlr = box('hdlr', Buffer.alloc(8), Buffer.from('mdta'), Buffer.alloc(13));
+  const meta = box('meta', ...(metaVersion ? [Buffer.alloc(4)] : []), hdlr, box('keys', count, ...keys), box('ilst', ...items));
+  return Buffer.concat([box('ftyp', Buffer.from('qt  \0\0\0\0qt  ')), box('moov', box('mvhd', mvhd), meta)]);
+}
+
+/**
+ * Builds a Matroska element, with a one byte size (or an eight byte size for larger data).
+ * @param {number[]} id - The element ID (including its length marker bits).
+ * @param {...Buffer} data - The element's data (e.g. other elements).
+ * @returns {Buffer} - The element.
+ */
+function element(id, ...data) {
+  const content = Buffer.concat(data);
+  const size = content.length < 127 ? Buffer.from([0x80 | content.length]) : Buffer.from([0x01, 0, 0, 0, 0, 0, 0, 0]);
+  if (content.length >= 127) size.writeUIntBE(content.length, 2, 6);
+  return Buffer.concat([Buffer.from(id), size, content]);
+}
+
+/**
+ * Builds a Vorbis comment block.
+ * @param {string[]} comments - The comments, e.g. "DATE=2023-05-06".
+ * @returns {Buffer} - The comment block.
+ */
+function vorbisComment(comments) {
+  const uint32 = (value) => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+  };
+  return Buffer.concat([uint32(4), Buffer.from('test'), uint32(comments.length),
+    ...comments.flatMap(comment => [uint32(Buffer.byteLength(comment)), Buffer.from(comment)])]);
+}
+
+/**
+ * Builds an ID3v2 tag, followed by some audio.
+ * @param {number} version - The major version: 3 or 4.
+ * @param {Object} frames - The text of the frames, by ID.
+ * @returns {Buffer} - The tag.
+ */
+function buildId3(version, frames) {
+  const syncsafe = (value) => Buffer.from([(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F]);
+  const content = Buffer.concat(Object.entries(frames).map(([id, text]) => {
+    const data = Buffer.concat([Buffer.from([3]), Buffer.from(text)]); // UTF-8
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(data.length);
+    return Buffer.concat([Buffer.from(id), version === 4 ? syncsafe(data.length) : size, Buffer.alloc(2), data]);
+  }));
+  return Buffer.concat([Buffer.from('ID3'), Buffer.from([version, 0, 0]), syncsafe(content.length), content, Buffer.alloc(16, 0xFF)]);
+}
+
+/**
+ * Builds a FLAC file with a Vorbis comment block as its only metadata block.
+ * @param {string[]} comments - The comments, e.g. "DATE=2023-05-06".
+ * @returns {Buffer} - The FLAC file.
+ */
+function buildFlac(comments) {
+  const comment = vorbisComment(comments);
+  const header = Buffer.from([0x84, 0, 0, 0]); // Last block, type 4 (Vorbis comment)
+  header.writeUIntBE(comment.length, 1, 3);
+  return Buffer.concat([Buffer.from('fLaC'), header, comment]);
+}
+
+describe('readMediaDates', () => {
+  let dir;
+  const read = async (name, data) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, data);
+    return readMediaDates({path: filePath, extension: path.extname(name).slice(1), stats: await fs.stat(filePath)});
+  };
+  const created = new Date('2023-05-06T12:30:00Z');
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-test-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  test.each([[false], [true]])('reads the QuickTime creation date before the movie header (meta box with version: %p)', async (metaVersion) => {
+    const movie = buildMovie(created, {'com.apple.quicktime.make': 'Apple', 'com.apple.quicktime.creationdate': '2023-05-06T14:30:00+0200'}, metaVersion);
+
+    expect(await read('IMG_1234.MOV', movie)).toEqual([
+      {date: new Date('2023-05-06T14:30:00Z'), source: 'quicktime (creationdate)', offset: 120, offsetSource: 'quicktime (creationdate)'},
+      {date: created, source: 'quicktime (mvhd)', offset: 0, offsetSource: 'quicktime (mvhd)'},
+    ]);
+  });
+
+  test('reads the movie header of a movie without metadata', async () => {
+    expect(await read('movie.mp4', buildMovie(created, {}))).toEqual([
+      {date: created, source: 'quicktime (mvhd)', offset: 0, offsetSource: 'quicktime (mvhd)'},
+    ]);
+  });
+
+  test('reads the DateUTC of a Matroska file', async () => {
+    const dateUTC = Buffer.alloc(8);
+    dateUTC.writeBigInt64BE(BigInt(created - Date.UTC(2001, 0, 1)) * 1000000n);
+    const ebml = element([0x1A, 0x45, 0xDF, 0xA3], element([0x42, 0x82], Buffer.from('matroska')));
+    const segment = element([0x18, 0x53, 0x80, 0x67], element([0x15, 0x49, 0xA9, 0x66], element([0x2A, 0xD7, 0xB1], Buffer.from([0x0F, 0x42, 0x40])), element([0x44, 0x61], dateUTC)));
+
+    expect(await read('movie.mkv', Buffer.concat([ebml, segment]))).toEqual([
+      {date: created, source: 'matroska (DateUTC)', offset: 0, offsetSource: 'matroska (DateUTC)'},
+    ]);
+  });
+
+  test('reads the TDRC frame of an ID3v2.4 tag', async () => {
+    expect(await read('song.mp3', buildId3(4, {TIT2: 'Song', TDRC: '2023-05-06T14:30:00'}))).toEqual([
+      {date: new Date('2023-05-06T14:30:00Z'), source: 'id3 (TDRC)'},
+    ]);
+  });
+
+  test('reads the TYER, TDAT and TIME frames of an ID3v2.3 tag', async () => {
+    expect(await read('song.mp3', buildId3(3, {TYER: '2023', TDAT: '0605', TIME: '1430'}))).toEqual([
+      {date: new Date('2023-05-06T14:30:00Z'), source: 'id3 (TYER/TDAT)'},
+    ]);
+  });
+
+  test('reads the DATE of the Vorbis comment in FLAC and Ogg files', async () => {
+    const comments = ['TITLE=Song', 'date=2023-05-06T14:30:00+02:00'];
+    const expected = [{date: new Date('2023-05-06T14:30:00Z'), source: 'vorbis (DATE)', offset: 120, offsetSource: 'vorbis (DATE)'}];
+
+    expect(await read('song.flac', buildFlac(comments))).toEqual(expected);
+    expect(await read('song.opus', Buffer.concat([Buffer.from('OggS'), Buffer.alloc(60), Buffer.from('OpusTags'), vorbisComment(comments)]))).toEqual(expected);
+  });
+
+  test('ignores dates without a day, and files without metadata', async () => {
+    expect(await read('song.flac', buildFlac(['DATE=2023']))).toEqual([]);
+    expect(await read('song.mp3', Buffer.alloc(64, 0xFF))).toEqual([]);
+    expect(await read('movie.mp4', Buffer.from('not a movie'))).toEqual([]);
+  });
+});
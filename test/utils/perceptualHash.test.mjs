@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {computeDifferenceHash, getDifferenceHash, hammingDistance} from '../../src/utils/perceptualHash.mjs';
+import {indexItem} from '../../src/utils/scanIndex.mjs';
+
+/**
+ * Builds a minimal little endian TIFF structure (as used by most RAW formats) with a single IFD of SHORT and LONG
+ * values, followed by an embedded JPEG image that JPEGInterchangeFormat points to.
+ * @param {Object} tags - The values per tag.
+ * @param {Buffer} jpeg - The JPEG image.
+ * @returns {Buffer} - The TIFF structure.
+ */
+function buildRaw(tags, jpeg) {
+  const entries = Object.entries({...tags, 0x0201: 0, 0x0202: jpeg.length}).map(([tag, value]) => [Number(tag), value]);
+  const jpegOffset = 8 + 2 + entries.length * 12 + 4;
+  const buffer = Buffer.alloc(jpegOffset);
+  buffer.write('II', 0, 'latin1');
+  buffer.writeUInt16LE(42, 2);
+  buffer.writeUInt32LE(8, 4);
+  buffer.writeUInt16LE(entries.length, 8);
+  entries.forEach(([tag, value], idx) => {
+    const position = 10 + idx * 12;
+    buffer.writeUInt16LE(tag, position);
+    buffer.writeUInt16LE(4, position + 2); // LONG
+    buffer.writeUInt32LE(1, position + 4);
+    buffer.writeUInt32LE(tag === 0x0201 ? jpegOffset : value, position + 8);
+  });
+  return Buffer.concat([buffer, jpeg]);
+}
+
+/**
+ * Builds an ISOBMFF box.
+ * @param {string} type - The box type.
+ * @param {...Buffer} data - The box's data (e.g. other boxes).
+ * @returns {Buffer} - The box.
+ */
+function box(type, ...data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + data.reduce((sum, buffer) => sum + buffer.length, 0));
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, ...data]);
+}
+
+/**
+ * Builds a minimal HEIC file with an `Exif` item (located by the `iloc` box, after the `meta` box) and the size of its
+ * image as `ispe` property.
+ * @param {Buffer} tiff - The TIFF structure of the EXIF data.
+ * @param {number} width - Width of the image.
+ * @param {number} height - Height of the image.
+ * @returns {Buffer} - The HEIC file.
+ */
+function buildHeic(tiff, width, height) {
+  const exif = Buffer.concat([Buffer.alloc(4), tiff]); // Starting with the offset of the TIFF structure
+  const ispe = Buffer.alloc(12);
+  ispe.writeUInt32BE(width, 4);
+  ispe.writeUInt32BE(height, 8);
+  const infe = box('infe', Buffer.from([2, 0, 0, 0, 0, 1, 0, 0]), Buffer.from('Exif\0', 'latin1'));
+  const buildMeta = (position) => {
+    // Version 0, 4 byte offsets and lengths, and one item with one extent
+    const iloc = Buffer.from([0, 0, 0, 0, 0x44, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0]);
+    iloc.writeUInt32BE(position, 14);
+    iloc.writeUInt32BE(exif.length, 18);
+    return box('meta', Buffer.alloc(4), box('iinf', Buffer.from([0, 0, 0, 0, 0, 1]), infe), box('iloc', iloc), box('iprp', box('ipco', box('ispe', ispe))));
+  };
+  const ftyp = box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'latin1'));
+  const position = ftyp.length + buildMeta(0).length + 8;
+  return Buffer.concat([ftyp, buildMeta(position), box('mdat', exif)]);
+}
+
+describe('getDifferenceHash', () => {
+  let dir;
+  let jpeg;
+  let index;
+  const hashFile = async (name, data) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, data);
+    const stats = await fs.stat(filePath);
+    indexItem(index, filePath, stats, false);
+    return getDifferenceHash({path: filePath, extension: path.extname(name).slice(1), stats}, index);
+  };
+  const getCache = (name) => index.entries.get(path.join(dir, name)).cache;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dhash-test-'));
+    // A 64x48 image with gradients in both directions, so its hash changes when it is rotated
+    const pixels = Buffer.from(Array.from({length: 64 * 48}, (_, idx) => ((idx % 64) * 4 + Math.floor(idx / 64) ** 2) % 256));
+    jpeg = await sharp(pixels, {raw: {width: 64, height: 48, channels: 1}}).jpeg({quality: 95}).toBuffer();
+  });
+
+  beforeEach(() => {
+    index = {entries: new Map(), previous: new Map()};
+  });
+
+  afterAll(async () => {
+    await fs.rm(dir, {recursive: true, force: true});
+  });
+
+  test('hashes an image, and a resized copy of it within a few bits', async () => {
+    const image = await hashFile('photo.jpg', jpeg);
+    const resized = await hashFile('resized.jpg', await sharp(jpeg).resize(32, 24).jpeg().toBuffer());
+
+    expect(image).toEqual({hash: expect.stringMatching(/^[0-9a-f]{16}$/), width: 64, height: 48});
+    expect(hammingDistance(image.hash, resized.hash)).toBeLessThanOrEqual(4);
+    expect(getCache('photo.jpg')).toEqual({dhash: image});
+  });
+
+  test('hashes a RAW file by its embedded JPEG preview, with the orientation and size of the RAW image', async () => {
+    const raw = buildRaw({0x0100: 4000, 0x0101: 3000, 0x0112: 6}, jpeg);
+    const rotated = await computeDifferenceHash(await sharp(jpeg).rotate(90).png().toBuffer());
+
+    expect(await hashFile('photo.dng', raw)).toEqual({hash: rotated.hash, width: 3000, height: 4000});
+  });
+
+  test('hashes a HEIC image by the thumbnail in its EXIF data, with the size of the HEIC image', async () => {
+    const heic = buildHeic(buildRaw({0x0112: 6}, jpeg), 4032, 3024);
+    const rotated = await computeDifferenceHash(await sharp(jpeg).rotate(90).png().toBuffer());
+
+    expect(await hashFile('photo.heic', heic)).toEqual({hash: rotated.hash, width: 3024, height: 4032});
+  });
+
+  test.each([
+    ['a corrupt JPEG image', 'corrupt.jpg', Buffer.from('not an image')],
+    ['a HEIC image without a JPEG preview', 'photo.heic', Buffer.from('\0\0\0\x18ftypheic\0\0\0\0mif1heic', 'latin1')],
+    ['a RAW file without a JPEG preview', 'photo.nef', buildRaw({0x0100: 4000, 0x0101: 3000}, Buffer.alloc(0))],
+  ])('returns null for %s, without caching it', async (name, fileName, data) => {
+    expect(await hashFile(fileName, data)).toBeNull();
+    expect(getCache(fileName)).toBeUndefined();
+  });
+});
@@ -0,0 +1,87 @@
+import {parseTemplate, parseTemplateRules, renderTemplate} from '../../src/utils/template.mjs';
+
+describe('parseTemplate', () => {
+  test('splits a template into text and tokens, with their formats', () => {
+    expect(parseTemplate('/{year}/{month:MMM}/{filename}_{counter:3}.{extension:lower}')).toEqual({
+      parts: [
+        '/', {name: 'year', format: undefined},
+        '/', {name: 'month', format: 'MMM'},
+        '/', {name: 'filename', format: undefined},
+        '_', {name: 'counter', format: '3'},
+        '.', {name: 'extension', format: 'lower'},
+      ],
+      tokens: new Set(['year', 'month', 'filename', 'counter', 'extension']),
+    });
+  });
+
+  test('appends the file name to a template ending with a slash', () => {
+    const {parts, tokens} = parseTemplate('/{year}/');
+    expect(parts).toEqual(['/', {name: 'year', format: undefined}, '/', {name: 'filename', format: undefined}, '.', {name: 'extension', format: undefined}]);
+    expect([...tokens]).toEqual(['year', 'filename', 'extension']);
+  });
+
+  test('keeps the rest of a format after the first colon', () => {
+    expect(parseTemplate('{dateSource:full}').parts).toEqual([{name: 'dateSource', format: 'full'}]);
+  });
+
+  test.each([
+    ['', /empty/],
+    ['   ', /empty/],
+    ['/{yaer}/', /Unknown token "\{yaer\}"/],
+    ['/{year:MM}/', /Unknown format "MM" for token "\{year\}"/],
+    ['/{filename:3}', /Unknown format "3" for token "\{filename\}"/],
+    ['/{month:x}/', /Unknown format "x"/],
+    ['/{year/', /Unbalanced brace/],
+    ['/year}/', /Unbalanced brace/],
+    ['/{{year}}/', /Unbalanced brace/],
+  ])('rejects the template "%s"', (template, error) => {
+    expect(() => parseTemplate(template)).toThrow(error);
+  });
+});
+
+describe('parseTemplateRules', () => {
+  test('parses a template, or a list of rules', () => {
+    expect(parseTemplateRules('/{year}/')).toEqual([{template: parseTemplate('/{year}/')}]);
+    expect(parseTemplateRules([{match: {mediaType: 'raw'}, template: '/raw/'}, {template: null}])).toEqual([
+      {match: {mediaType: 'raw'}, template: parseTemplate('/raw/')},
+      {match: undefined, template: null},
+    ]);
+  });
+
+  test.each([
+    ['/{yaer}/', /^Unknown token "\{yaer\}"/],
+    [[{template: '/{year}/'}, {template: '/{yaer}/'}], /^Rule 1: Unknown token "\{yaer\}"/],
+    [[{match: {mediaType: 'image'}, template: '/{year}/'}], /^Rule 0: "mediaType" must be one or more of/],
+    [[{template: 5}], /^Rule 0: "template" must be a template, or null/],
+    [[{glob: '*.jpg', template: '/{year}/'}], /^Rule 0: unknown key\(s\) glob/],
+  ])('rejects %j', (setting, error) => {
+    expect(() => parseTemplateRules(setting)).toThrow(error);
+  });
+});
+
+describe('renderTemplate', () => {
+  const context = {
+    file:       {baseName: 'IMG_1234', extension: 'JPG', dir: '/photos/Holiday/Day 1'},
+    date:       new Date('2023-05-06T14:30:00Z'),
+    dateSource: 'exif (DateTimeOriginal)',
+    camera:     {make: 'Canon', model: 'EOS R6'},
+    root:       '/photos',
+    counter:    7,
+  };
+  const render = (template) => renderTemplate(parseTemplate(template), context);
+
+  test.each([
+    ['/{year}/{month}/', '/2023/05/IMG_1234.JPG'],
+    ['/{year:YY}-{month:MMMM}-{day:D}/{hour}{minute}{second}.{extension:lower}', '/23-May-6/143000.jpg'],
+    ['/{monthName:short}/{filename:upper}_{counter:3}.{extension}', '/May/IMG_1234_007.JPG'],
+    ['/{quarter:Q}/{week}/{mediaType}/{cameraMake} {cameraModel}/', '/Q2/18/photo/Canon EOS R6/IMG_1234.JPG'],
+    ['/{dateSource}/{originalDir}/', '/exif/Holiday/Day 1/IMG_1234.JPG'],
+    ['/{originalDir:name}/', '/Day 1/IMG_1234.JPG'],
+  ])('renders "%s" as "%s"', (template, rendered) => {
+    expect(render(template)).toBe(rendered);
+  });
+
+  test('replaces slashes in values, except in paths', () => {
+    expect(renderTemplate(parseTemplate('/{cameraModel}/'), {...context, camera: {model: 'A/B'}})).toBe('/A_B/IMG_1234.JPG');
+  });
+});
@@ -0,0 +1,70 @@
+import {clockToMoment, formatMoment, momentToClock, parseOffset} from '../../src/utils/timezone.mjs';
+
+describe('parseOffset', () => {
+  test.each([
+    ['Z', 0],
+    ['+00:00', 0],
+    ['+01:00', 60],
+    ['-05:30', -330],
+    ['+0545', 345],
+    [' +02:00 ', 120],
+    ['2023-05-06T14:30:00+02:00', 120],
+    ['2023-05-06T14:30:00.123-03:00', -180],
+    ['2023:05:06 14:30:00Z', 0],
+    ['2023-05-06T14:30:00 +1400', 840],
+  ])('parses "%s" as %p minutes', (value, offset) => {
+    expect(parseOffset(value)).toBe(offset);
+  });
+
+  test.each([
+    [undefined],
+    [''],
+    ['2023-05-06T14:30:00'],
+    ['2023-05-06'], // Not an offset of -05:06, as there is no time
+    ['+15:00'],
+    ['+1'],
+    ['UTC'],
+  ])('returns undefined for %p', (value) => {
+    expect(parseOffset(value)).toBeUndefined();
+  });
+});
+
+describe('clockToMoment', () => {
+  const clock = (text) => new Date(`${text}Z`);
+
+  test('converts clock times in UTC and fixed offsets', () => {
+    expect(clockToMoment(clock('2024-01-01T00:30:00'), 'UTC')).toEqual({date: new Date('2024-01-01T00:30:00Z'), offset: 0});
+    expect(clockToMoment(clock('2024-01-01T00:30:00'), 'Asia/Kolkata')).toEqual({date: new Date('2023-12-31T19:00:00Z'), offset: 330});
+  });
+
+  test('uses the offset in effect on either side of a daylight saving time change', () => {
+    // Europe/Amsterdam moves from +01:00 to +02:00 at 2024-03-31 02:00, and back at 2024-10-27 03:00
+    expect(clockToMoment(clock('2024-03-31T01:59:00'), 'Europe/Amsterdam')).toEqual({date: new Date('2024-03-31T00:59:00Z'), offset: 60});
+    expect(clockToMoment(clock('2024-03-31T03:00:00'), 'Europe/Amsterdam')).toEqual({date: new Date('2024-03-31T01:00:00Z'), offset: 120});
+    expect(clockToMoment(clock('2024-10-27T01:59:00'), 'Europe/Amsterdam')).toEqual({date: new Date('2024-10-26T23:59:00Z'), offset: 120});
+    expect(clockToMoment(clock('2024-10-27T03:00:00'), 'Europe/Amsterdam')).toEqual({date: new Date('2024-10-27T02:00:00Z'), offset: 60});
+  });
+
+  test('uses the offset in effect in the southern hemisphere', () => {
+    // Australia/Sydney is at +11:00 in January (summer), and at +10:00 in July
+    expect(clockToMoment(clock('2024-01-15T12:00:00'), 'Australia/Sydney').offset).toBe(660);
+    expect(clockToMoment(clock('2024-07-15T12:00:00'), 'Australia/Sydney').offset).toBe(600);
+  });
+
+  test('takes a clock time skipped by a daylight saving time change as the moment it would have been', () => {
+    expect(clockToMoment(clock('2024-03-31T02:30:00'), 'Europe/Amsterdam')).toEqual({date: new Date('2024-03-31T01:30:00Z'), offset: 120});
+  });
+
+  test('returns a moment with a matching offset for a clock time that occurred twice', () => {
+    const {date, offset} = clockToMoment(clock('2024-10-27T02:30:00'), 'Europe/Amsterdam');
+    expect(formatMoment(date, offset)).toMatch(/^2024-10-27 02:30:00 \+0[12]:00$/);
+    expect(momentToClock(date, 'Europe/Amsterdam')).toEqual(clock('2024-10-27T02:30:00'));
+  });
+
+  test('round trips with momentToClock', () => {
+    const date = new Date('2024-06-01T10:15:00Z');
+    const {date: moment, offset} = clockToMoment(momentToClock(date, 'America/New_York'), 'America/New_York');
+    expect(moment).toEqual(date);
+    expect(formatMoment(moment, offset)).toBe('2024-06-01 06:15:00 -04:00');
+  });
+});